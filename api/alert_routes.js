@@ -0,0 +1,41 @@
+/**
+ * API Routes for the alert history, used by on-call to see what fired.
+ * Operator-only.
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const router = express.Router();
+const alertingService = require('../services/alerting_service');
+const authMiddleware = require('./auth_middleware');
+const { requireOperator } = authMiddleware;
+
+router.use(authMiddleware, requireOperator);
+
+/**
+ * GET /api/v2/alerts
+ * Lists persisted alerts, newest first, optionally filtered by severity and status.
+ */
+router.get(
+  '/',
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('severity').optional().isIn(alertingService.SEVERITY_LEVELS),
+  query('status').optional().isIn(['SENT', 'SUPPRESSED', 'RATE_LIMITED', 'FAILED']),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { page = 1, pageSize = 20, severity, status } = req.query;
+      const result = await alertingService.getAlertHistory({ page, pageSize, severity, status });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(500).json({ error: 'An internal error occurred while retrieving alerts.' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,129 @@
+/**
+ * API Routes for the tamper-evident audit log (see services/audit_service.js).
+ * Operator-only.
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const router = express.Router();
+const auditService = require('../services/audit_service');
+const authMiddleware = require('./auth_middleware');
+const { requireOperator } = authMiddleware;
+
+router.use(authMiddleware, requireOperator);
+
+/**
+ * GET /api/v2/audit
+ * Lists audit log entries, newest first.
+ */
+router.get(
+  '/',
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('pageSize').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('entity_type').optional().isIn(auditService.ENTITY_TYPES),
+  query('entity_id').optional().isString(),
+  query('request_id').optional().isString(),
+  query('actor_id').optional().isString(),
+  query('action').optional().isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { page = 1, pageSize = 50, entity_type, entity_id, request_id, actor_id, action } = req.query;
+      const result = await auditService.getEntries({
+        page,
+        pageSize,
+        entityType: entity_type,
+        entityId: entity_id,
+        requestId: request_id,
+        actorId: actor_id,
+        action,
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(500).json({ error: 'An internal error occurred while retrieving the audit log.' });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/audit/verify
+ * Verifies the hash chain, over the whole log or a range of entry IDs.
+ */
+router.get(
+  '/verify',
+  query('from_id').optional().isInt({ min: 1 }).toInt(),
+  query('to_id').optional().isInt({ min: 1 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await auditService.verifyChain({ fromId: req.query.from_id, toId: req.query.to_id });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(500).json({ error: 'An internal error occurred while verifying the audit log.' });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/audit/requests/:requestId/verify
+ * Verifies the audit trail of one withdrawal request.
+ */
+router.get('/requests/:requestId/verify', async (req, res) => {
+  try {
+    const trail = await auditService.getRequestTrail(req.params.requestId);
+    if (trail.length === 0) {
+      return res.status(404).json({ error: 'No audit trail found for this request.' });
+    }
+    const result = await auditService.verifyEntity('WITHDRAWAL_REQUEST', trail[0].entityId);
+    res.status(200).json({ requestId: req.params.requestId, ...result });
+  } catch (error) {
+    res.status(500).json({ error: 'An internal error occurred while verifying the audit trail.' });
+  }
+});
+
+/**
+ * GET /api/v2/audit/requests/:requestId/export
+ * Exports the audit trail of one withdrawal request with its verification result,
+ * as a JSON document or as JSON Lines (one entry per line, verification last).
+ */
+router.get(
+  '/requests/:requestId/export',
+  query('format').optional().isIn(['json', 'jsonl']),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { requestId } = req.params;
+      const trail = await auditService.getRequestTrail(requestId);
+      if (trail.length === 0) {
+        return res.status(404).json({ error: 'No audit trail found for this request.' });
+      }
+      const verification = await auditService.verifyEntity('WITHDRAWAL_REQUEST', trail[0].entityId);
+
+      const format = req.query.format || 'json';
+      const fileName = `audit-${requestId.replace(/[^\w.-]/g, '_')}.${format}`;
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      if (format === 'jsonl') {
+        res.type('application/x-ndjson');
+        res.send([...trail, { verification }].map((line) => JSON.stringify(line)).join('\n') + '\n');
+      } else {
+        res.status(200).json({ requestId, exportedAt: new Date().toISOString(), verification, entries: trail });
+      }
+    } catch (error) {
+      res.status(500).json({ error: 'An internal error occurred while exporting the audit trail.' });
+    }
+  }
+);
+
+module.exports = router;
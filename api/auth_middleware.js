@@ -0,0 +1,58 @@
+/**
+ * API key authentication middleware.
+ *
+ * Expects an `Authorization: Bearer <api_key>` header. On success the resolved
+ * client is attached to `req.user` as `{ clientId, name, role }`.
+ */
+
+const apiClientService = require('../services/api_client_service');
+const logger = require('../services/logger');
+
+const log = logger.child('auth');
+
+async function authMiddleware(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const [scheme, apiKey] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !apiKey) {
+    return res.status(401).json({ error: 'Missing or malformed Authorization header. Expected: Bearer <api_key>.' });
+  }
+
+  try {
+    const client = await apiClientService.authenticate(apiKey);
+    if (!client) {
+      return res.status(401).json({ error: 'Invalid or revoked API key.' });
+    }
+
+    req.user = { clientId: client.id, name: client.name, role: client.role };
+    logger.addContext({ clientId: client.id });
+    return next();
+  } catch (error) {
+    log.error('Failed to authenticate API key.', { error: error.message });
+    return res.status(500).json({ error: 'An internal error occurred during authentication.' });
+  }
+}
+
+/**
+ * Rejects callers that are not operators. Must run after `authMiddleware`.
+ */
+function requireOperator(req, res, next) {
+  if (req.user?.role !== 'OPERATOR') {
+    return res.status(403).json({ error: 'This endpoint requires an operator API key.' });
+  }
+  return next();
+}
+
+/**
+ * Returns the client ID that queries should be scoped to.
+ * Operators see every client's requests, so no scope is applied for them.
+ * @param {object} user - The `req.user` object set by `authMiddleware`.
+ * @returns {string|undefined}
+ */
+function scopeClientId(user) {
+  return user.role === 'OPERATOR' ? undefined : user.clientId;
+}
+
+module.exports = authMiddleware;
+module.exports.requireOperator = requireOperator;
+module.exports.scopeClientId = scopeClientId;
@@ -0,0 +1,153 @@
+/**
+ * API Routes for withdrawal jobs that failed their last attempt (see services/dead_letter_service.js).
+ * Operator-only.
+ */
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const router = express.Router();
+const deadLetterService = require('../services/dead_letter_service');
+const authMiddleware = require('./auth_middleware');
+const { requireOperator } = authMiddleware;
+
+router.use(authMiddleware, requireOperator);
+
+// Errors from the RPC (ethers errors, which carry a short message) are upstream failures;
+// the others are refused state transitions.
+function sendActionError(res, error) {
+  if (error.message === 'Dead-letter entry not found.') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.shortMessage) {
+    return res.status(502).json({ error: `The chain could not be queried: ${error.shortMessage}` });
+  }
+  res.status(409).json({ error: error.message });
+}
+
+/**
+ * GET /api/v2/dead-letter
+ * Lists dead-lettered jobs, most recent failure first. Defaults to the OPEN ones.
+ */
+router.get(
+  '/',
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('status').optional().isIn(deadLetterService.DEAD_LETTER_STATUSES),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { page = 1, pageSize = 20, status = 'OPEN' } = req.query;
+      const result = await deadLetterService.list({ page, pageSize, status });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(500).json({ error: 'An internal error occurred while retrieving dead-lettered jobs.' });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/dead-letter/:id
+ * Returns a dead-lettered job with the error of each attempt, its request's history and
+ * transactions, and the job's current state in the queue.
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await deadLetterService.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Dead-letter entry not found.' });
+    }
+    res.status(200).json(entry);
+  } catch (error) {
+    res.status(500).json({ error: 'An internal error occurred while retrieving the dead-lettered job.' });
+  }
+});
+
+/**
+ * POST /api/v2/dead-letter/:id/retry
+ * Runs the failed job once more. Refused for requests with a signed transaction, and for
+ * batch jobs: their requests are requeued instead.
+ */
+router.post('/:id/retry', body('note').optional().isString().isLength({ max: 1000 }), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await deadLetterService.retry(req.params.id, req.user, req.body.note);
+    res.status(200).json(result);
+  } catch (error) {
+    sendActionError(res, error);
+  }
+});
+
+/**
+ * POST /api/v2/dead-letter/:id/requeue
+ * Enqueues a new job for the request, with a full set of attempts. A batch request goes
+ * back to the batch collector. Refused for requests with a signed transaction.
+ */
+router.post('/:id/requeue', body('note').optional().isString().isLength({ max: 1000 }), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await deadLetterService.requeue(req.params.id, req.user, req.body.note);
+    res.status(200).json(result);
+  } catch (error) {
+    sendActionError(res, error);
+  }
+});
+
+/**
+ * POST /api/v2/dead-letter/:id/force-fail
+ * Rejects the request permanently.
+ */
+router.post(
+  '/:id/force-fail',
+  body('reason').isString().trim().isLength({ min: 1, max: 1000 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await deadLetterService.forceFail(req.params.id, req.user, req.body.reason);
+      res.status(200).json(result);
+    } catch (error) {
+      sendActionError(res, error);
+    }
+  }
+);
+
+/**
+ * POST /api/v2/dead-letter/:id/resolve
+ * Completes the request with a payout made on-chain by other means. The transaction must
+ * transfer the requested amount from the treasury to the destination.
+ */
+router.post(
+  '/:id/resolve',
+  body('tx_hash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('tx_hash must be a 32-byte hex string.'),
+  body('note').optional().isString().isLength({ max: 1000 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await deadLetterService.resolve(req.params.id, req.user, req.body.tx_hash.toLowerCase(), req.body.note);
+      res.status(200).json(result);
+    } catch (error) {
+      sendActionError(res, error);
+    }
+  }
+);
+
+module.exports = router;
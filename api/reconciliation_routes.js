@@ -0,0 +1,99 @@
+/**
+ * API Routes for treasury reconciliation reports (see services/reconciliation_service.js).
+ * Operator-only.
+ */
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const router = express.Router();
+const reconciliationService = require('../services/reconciliation_service');
+const chainRegistry = require('../services/chain_registry');
+const authMiddleware = require('./auth_middleware');
+const { requireOperator } = authMiddleware;
+
+router.use(authMiddleware, requireOperator);
+
+/**
+ * POST /api/v2/reconciliation/reports
+ * Requests a reconciliation report for a time range, on one treasury or on every treasury
+ * of the chain. The reports run asynchronously in the worker.
+ */
+router.post(
+  '/reports',
+  body('chain_id')
+    .isInt({ min: 1 })
+    .toInt()
+    .custom((chainId) => chainRegistry.isSupported(chainId))
+    .withMessage('Unsupported chain_id.'),
+  body('treasury_contract_address').optional().isEthereumAddress(),
+  body('from').isISO8601().toDate(),
+  body('to')
+    .isISO8601()
+    .toDate()
+    .custom((to, { req }) => to > req.body.from && to <= new Date())
+    .withMessage('`to` must be after `from` and not in the future.'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { chain_id, treasury_contract_address, from, to } = req.body;
+      const reports = await reconciliationService.requestReport(
+        { chainId: chain_id, treasuryContractAddress: treasury_contract_address, from, to },
+        req.user
+      );
+      if (reports.length === 0) {
+        return res.status(404).json({ error: `No treasury has withdrawals on chain ${chain_id}.` });
+      }
+      res.status(202).json({ reports: reports.map(({ id, treasuryContractAddress, status }) => ({ id, treasuryContractAddress, status })) });
+    } catch (error) {
+      res.status(500).json({ error: 'An internal error occurred while requesting the reconciliation.' });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/reconciliation/reports
+ * Lists reports, newest first, optionally filtered by chain and status.
+ */
+router.get(
+  '/reports',
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('chain_id').optional().isInt({ min: 1 }).toInt(),
+  query('status').optional().isIn(['PENDING', 'RUNNING', 'OK', 'DISCREPANCIES', 'ERROR']),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { page = 1, pageSize = 20, chain_id, status } = req.query;
+      const result = await reconciliationService.getReports({ page, pageSize, chainId: chain_id, status });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(500).json({ error: 'An internal error occurred while retrieving reconciliation reports.' });
+    }
+  }
+);
+
+/**
+ * GET /api/v2/reconciliation/reports/:id
+ * Returns a report with its discrepancies.
+ */
+router.get('/reports/:id', async (req, res) => {
+  try {
+    const report = await reconciliationService.getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found.' });
+    }
+    res.status(200).json(report);
+  } catch (error) {
+    res.status(500).json({ error: 'An internal error occurred while retrieving the reconciliation report.' });
+  }
+});
+
+module.exports = router;
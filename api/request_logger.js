@@ -0,0 +1,36 @@
+/**
+ * Request logging middleware.
+ *
+ * Runs each API request in a log context with a correlation ID, so that every line logged
+ * while handling it can be tied together. The ID is taken from the caller's `X-Request-Id`
+ * header when it is a reasonable one, generated otherwise, and returned in the response.
+ * One access line is logged per request, with its status and duration.
+ */
+
+const crypto = require('crypto');
+const logger = require('../services/logger');
+
+const log = logger.child('http');
+
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+function requestLogger(req, res, next) {
+  const header = req.get('X-Request-Id');
+  const correlationId = header && CORRELATION_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+  res.set('X-Request-Id', correlationId);
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    // Query strings may carry search terms, so only the path is logged.
+    log.info(`${req.method} ${req.originalUrl.split('?')[0]} ${res.statusCode}`, {
+      correlationId,
+      clientId: req.user?.clientId,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+    });
+  });
+
+  logger.runWithContext({ correlationId }, next);
+}
+
+module.exports = requestLogger;
@@ -0,0 +1,102 @@
+/**
+ * API Routes for outbound webhook registration and delivery management.
+ * All routes act on the webhook of the authenticated client.
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const router = express.Router();
+const webhookService = require('../services/webhook_service');
+const authMiddleware = require('./auth_middleware');
+const logger = require('../services/logger');
+
+const log = logger.child('api');
+
+router.use(authMiddleware);
+
+/**
+ * PUT /api/v2/webhooks
+ * Registers or replaces the client's callback URL. If `secret` is omitted a
+ * new one is generated; it is returned so the client can verify signatures.
+ */
+router.put(
+  '/',
+  body('url').isURL({ require_tld: false, require_protocol: true, protocols: ['http', 'https'] }),
+  body('secret').optional().isString().isLength({ min: 16 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await webhookService.registerWebhook(req.user.clientId, req.body.url, req.body.secret);
+      res.status(200).json(result);
+    } catch (error) {
+      log.error('Failed to register webhook.', { error });
+      res.status(500).json({ error: 'An internal error occurred.' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v2/webhooks
+ * Removes the client's webhook registration.
+ */
+router.delete('/', async (req, res) => {
+  try {
+    await webhookService.unregisterWebhook(req.user.clientId);
+    res.status(204).end();
+  } catch (error) {
+    log.error('Failed to unregister webhook.', { error });
+    res.status(500).json({ error: 'An internal error occurred.' });
+  }
+});
+
+/**
+ * GET /api/v2/webhooks/deliveries
+ * Lists the client's webhook deliveries, newest first.
+ */
+router.get(
+  '/deliveries',
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { page = 1, pageSize = 20 } = req.query;
+      const result = await webhookService.listDeliveries(req.user.clientId, { page, pageSize });
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(500).json({ error: 'An internal error occurred while retrieving deliveries.' });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/webhooks/deliveries/:deliveryId/replay
+ * Re-sends a delivery (e.g. after the client's endpoint was down for longer than the retry window).
+ */
+router.post(
+  '/deliveries/:deliveryId/replay',
+  param('deliveryId').isString().notEmpty(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await webhookService.replayDelivery(req.params.deliveryId, req.user.clientId);
+      res.status(202).json(result);
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
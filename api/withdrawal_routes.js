@@ -4,10 +4,17 @@
  */
 
 const express = require('express');
+const { ethers } = require('ethers');
 const { body, param, query, validationResult } = require('express-validator');
 const router = express.Router();
 const withdrawalManager = require('../services/withdrawal_manager');
-// const authMiddleware = require('./auth_middleware'); // Assuming an auth middleware exists
+const chainRegistry = require('../services/chain_registry');
+const eventStream = require('../services/event_stream');
+const authMiddleware = require('./auth_middleware');
+const logger = require('../services/logger');
+const { requireOperator, scopeClientId } = authMiddleware;
+
+const log = logger.child('api');
 
 /**
  * GET /api/v2/withdrawal/health
@@ -23,22 +30,63 @@ router.get('/health', async (_req, res) => {
   return res.status(503).json(healthStatus);
 });
 
-// router.use(authMiddleware); // All routes below would be protected
+router.use(authMiddleware); // All routes below are protected
+
+// Every request names the chain it is executed on; only enabled chains are accepted.
+const chainIdValidator = (field = 'chain_id') =>
+  body(field)
+    .isInt({ min: 1 })
+    .toInt()
+    .custom((chainId) => chainRegistry.isSupported(chainId))
+    .withMessage('Unsupported chain_id.');
+
+// The fields of a withdrawal request, at the top level of the body or under `prefix`.
+// `execute_after` and `expires_at` are optional timestamps (ISO 8601).
+const withdrawalValidators = (prefix = '') => [
+  body(`${prefix}request_id`).isString().notEmpty(),
+  chainIdValidator(`${prefix}chain_id`),
+  body(`${prefix}treasury_contract_address`).isEthereumAddress(),
+  body(`${prefix}destination_address`).isEthereumAddress(),
+  body(`${prefix}token_contract_address`).isEthereumAddress(),
+  // Amounts are stored and compared with 18 decimal places.
+  body(`${prefix}amount`).isDecimal({ decimal_digits: '0,18' }).withMessage('amount must be a decimal number with at most 18 decimal places.'),
+  body(`${prefix}partially_signed_tx`).matches(/^0x[a-fA-F0-9]+$/),
+  body(`${prefix}execute_after`).optional().isISO8601().toDate(),
+  body(`${prefix}expires_at`)
+    .optional()
+    .isISO8601()
+    .toDate()
+    .custom((expiresAt, { req, pathValues }) => {
+      // With a prefix, the request is an item of `withdrawals`, at the wildcard's index.
+      const request = prefix ? req.body.withdrawals[pathValues[0]] : req.body;
+      return expiresAt > new Date() && !(request.execute_after >= expiresAt);
+    })
+    .withMessage('expires_at must be in the future and after execute_after.'),
+];
+
+// Adds the link to the record's transaction on the chain's block explorer, once it has one.
+function withExplorerUrl(record) {
+  return { ...record, explorerUrl: chainRegistry.getExplorerTxUrl(record.chainId, record.txHash) };
+}
+
+// Maximum number of withdrawals in one /initiate/batch call.
+const MAX_BATCH_REQUEST_SIZE = 500;
 
 /**
  * POST /api/v2/withdrawal/initiate
  * Endpoint for the bank to submit a partially-signed multi-sig withdrawal request.
  * This is the primary, most secure endpoint.
+ * With `batch: true`, the request is paid together with other batchable requests from the
+ * same treasury and token (their bank signatures must use consecutive Safe nonces).
+ * With a future `execute_after`, the request is accepted as SCHEDULED and released to the
+ * worker at that time; it can be cancelled until then. With `expires_at`, it is EXPIRED if
+ * it has not been picked up for execution by then.
  */
 router.post(
   '/initiate',
   // Input validation middleware
-  body('request_id').isString().notEmpty(),
-  body('treasury_contract_address').isEthereumAddress(),
-  body('destination_address').isEthereumAddress(),
-  body('token_contract_address').isEthereumAddress(),
-  body('amount').isDecimal(),
-  body('partially_signed_tx').matches(/^0x[a-fA-F0-9]+$/),
+  withdrawalValidators(),
+  body('batch').optional().isBoolean().toBoolean(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -46,19 +94,58 @@ router.post(
     }
 
     try {
-      const result = await withdrawalManager.processNewRequest(req.body);
-      // 202 Accepted is the correct response for an async process
-      res.status(202).json({ status: 'PENDING', ...result });
+      const result = await withdrawalManager.processNewRequest(req.body, req.user.clientId);
+      if (result.status === 'REJECTED_BY_POLICY') {
+        // The rejection is recorded, so it stays visible through /status.
+        return res.status(422).json(result);
+      }
+      // 202 Accepted is the correct response for an async process.
+      // Requests over the approval threshold are accepted as PENDING_APPROVAL, and requests
+      // with a future execute_after as SCHEDULED.
+      res.status(202).json(result);
     } catch (error) {
-      // Handle potential errors like duplicate request_id
-      res.status(409).json({ error: error.message });
+      if (error.message.startsWith('Duplicate request_id')) {
+        return res.status(409).json({ error: error.message });
+      }
+      log.error('Failed to process withdrawal request.', { requestId: req.body.request_id, error: error.message });
+      res.status(500).json({ error: 'An internal error occurred.' });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/withdrawal/initiate/batch
+ * Endpoint for the bank to submit many withdrawals at once, e.g. a payroll run.
+ * Each item has the same fields as /initiate and is paid in a batched transaction.
+ * Items are processed independently: the response lists each item's result, with an
+ * `error` for items that were refused (such as a duplicate request_id).
+ */
+router.post(
+  '/initiate/batch',
+  body('withdrawals').isArray({ min: 1, max: MAX_BATCH_REQUEST_SIZE }),
+  withdrawalValidators('withdrawals.*.'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const results = await withdrawalManager.processBatchRequest(req.body.withdrawals, req.user.clientId);
+      const accepted = results.filter((r) => ['PENDING', 'PENDING_APPROVAL', 'SCHEDULED'].includes(r.status)).length;
+      // 202 as soon as one item was accepted; the per-item results carry the rest.
+      res.status(accepted > 0 ? 202 : 422).json({ accepted, rejected: results.length - accepted, results });
+    } catch (error) {
+      log.error('Failed to process batch withdrawal request.', { error });
+      res.status(500).json({ error: 'An internal error occurred.' });
     }
   }
 );
 
 /**
  * POST /api/v2/withdrawal/cancel
- * Endpoint for the bank to cancel a pending request before it's fully signed.
+ * Endpoint for the bank to cancel a pending or scheduled request before it's fully signed.
+ * Clients can only cancel their own requests.
  */
 router.post(
   '/cancel',
@@ -70,7 +157,7 @@ router.post(
     }
 
     try {
-      const result = await withdrawalManager.cancelRequest(req.body.request_id);
+      const result = await withdrawalManager.cancelRequest(req.body.request_id, scopeClientId(req.user), req.user);
       res.status(200).json({ status: 'CANCELLED', ...result });
     } catch (error) {
       // Handle cases where the request is not found or already processed
@@ -79,9 +166,110 @@ router.post(
   }
 );
 
+/**
+ * POST /api/v2/withdrawal/approve
+ * Endpoint for operators to approve a request held in PENDING_APPROVAL.
+ * The request is released to the worker once enough distinct operators approve it.
+ */
+router.post(
+  '/approve',
+  requireOperator,
+  body('request_id').isString().notEmpty(),
+  body('comment').optional().isString().isLength({ max: 500 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await withdrawalManager.approveRequest(req.body.request_id, req.user, req.body.comment);
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(error.message === 'Request not found.' ? 404 : 409).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/withdrawal/reject
+ * Endpoint for operators to reject a request held in PENDING_APPROVAL.
+ */
+router.post(
+  '/reject',
+  requireOperator,
+  body('request_id').isString().notEmpty(),
+  body('reason').isString().notEmpty().isLength({ max: 500 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await withdrawalManager.rejectRequest(req.body.request_id, req.user, req.body.reason);
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(error.message === 'Request not found.' ? 404 : 409).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/withdrawal/speed-up
+ * Endpoint for operators to speed up a stuck, broadcast withdrawal by resending
+ * the same transaction with higher fees.
+ * The replacement reuses the nonce and is sent asynchronously by the worker.
+ */
+router.post(
+  '/speed-up',
+  requireOperator,
+  body('request_id').isString().notEmpty(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await withdrawalManager.requestTransactionReplacement(req.body.request_id, 'speed-up', req.user);
+      res.status(202).json(result);
+    } catch (error) {
+      res.status(error.message === 'Request not found.' ? 404 : 409).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /api/v2/withdrawal/cancel-broadcast
+ * Endpoint for operators to cancel a stuck, broadcast withdrawal by replacing it
+ * with a 0-value self-transfer with higher fees.
+ * The replacement reuses the nonce and is sent asynchronously by the worker.
+ */
+router.post(
+  '/cancel-broadcast',
+  requireOperator,
+  body('request_id').isString().notEmpty(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await withdrawalManager.requestTransactionReplacement(req.body.request_id, 'cancel', req.user);
+      res.status(202).json(result);
+    } catch (error) {
+      res.status(error.message === 'Request not found.' ? 404 : 409).json({ error: error.message });
+    }
+  }
+);
+
 /**
  * GET /api/v2/withdrawal/status/:requestId
  * Endpoint for the client to poll for the status of a specific withdrawal request.
+ * Clients can only see their own requests. `explorerUrl` (on the request and on each of its
+ * transactions) links to the transaction on the chain's block explorer.
  */
 router.get(
   '/status/:requestId',
@@ -94,23 +282,101 @@ router.get(
 
     try {
       const result = await withdrawalManager.getRequestStatus(
-        req.params.requestId
+        req.params.requestId,
+        scopeClientId(req.user)
       );
-      res.status(200).json(result);
+      res.status(200).json({ ...withExplorerUrl(result), transactions: result.transactions.map(withExplorerUrl) });
     } catch (error) {
       res.status(404).json({ error: error.message });
     }
   }
 );
 
+// Interval of the comment lines that keep idle event streams open through proxies.
+const EVENT_STREAM_HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * GET /api/v2/withdrawal/events
+ * Server-Sent Events stream of withdrawal status transitions and confirmation updates
+ * (see services/event_stream.js), as they are written. Clients only receive the events of
+ * their own requests; operator keys receive all of them. Events missed while disconnected
+ * are not replayed: reload the state from /list or /status after reconnecting.
+ */
+router.get('/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Keep nginx from buffering the stream
+  });
+  res.write('retry: 5000\n\n');
+
+  const clientId = scopeClientId(req.user);
+  const unsubscribe = eventStream.subscribe((event) => {
+    if (clientId !== undefined && event.clientId !== clientId) return;
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Filters and sorting shared by /list and /list/export. `status` takes a comma-separated list.
+const listQueryValidators = [
+  query('status')
+    .optional()
+    .customSanitizer((value) => String(value).split(',').map((status) => status.trim()))
+    .custom((statuses) => statuses.every((status) => withdrawalManager.REQUEST_STATUSES.includes(status)))
+    .withMessage(`status must be one or more of: ${withdrawalManager.REQUEST_STATUSES.join(', ')}.`),
+  query('chain_id').optional().isInt({ min: 1 }).toInt(),
+  query('created_from').optional().isISO8601().toDate(),
+  query('created_to').optional().isISO8601().toDate(),
+  query('token_contract_address').optional().isEthereumAddress(),
+  query('destination_address').optional().isEthereumAddress(),
+  query('treasury_contract_address').optional().isEthereumAddress(),
+  query('client_id').optional().isString().notEmpty(),
+  query('amount_min').optional().isDecimal(),
+  query('amount_max').optional().isDecimal(),
+  query('q').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  query('sort').optional().isIn(withdrawalManager.LIST_SORT_FIELDS),
+  query('order').optional().isIn(['asc', 'desc']),
+];
+
+function listFilters(req) {
+  const q = req.query;
+  return {
+    statuses: q.status,
+    chainId: q.chain_id,
+    createdFrom: q.created_from,
+    createdTo: q.created_to,
+    tokenContractAddress: q.token_contract_address,
+    destinationAddress: q.destination_address,
+    treasuryContractAddress: q.treasury_contract_address,
+    // Clients only ever see their own requests; operators may filter by client.
+    clientId: scopeClientId(req.user) ?? q.client_id,
+    amountMin: q.amount_min,
+    amountMax: q.amount_max,
+    search: q.q,
+    sort: q.sort,
+    order: q.order,
+  };
+}
+
 /**
  * GET /api/v2/withdrawal/list
- * Endpoint for the dashboard to get a list of all withdrawal requests.
+ * Endpoint for the dashboard to get a list of withdrawal requests.
+ * Clients only see their own requests; operator keys see all of them.
+ * Pages are addressed by `page`, or by `cursor` (the `nextCursor` of the previous page).
  */
 router.get(
   '/list',
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('pageSize').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('cursor').optional().isString().notEmpty(),
+  listQueryValidators,
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -118,23 +384,112 @@ router.get(
     }
 
     try {
-      const { page = 1, pageSize = 10 } = req.query;
-      const paginatedResult = await withdrawalManager.getAllRequests({ page, pageSize });
-      res.status(200).json(paginatedResult);
+      const { page = 1, pageSize = 10, cursor } = req.query;
+      const paginatedResult = await withdrawalManager.getAllRequests({ page, pageSize, cursor, ...listFilters(req) });
+      res.status(200).json({ ...paginatedResult, data: paginatedResult.data.map(withExplorerUrl) });
     } catch (error) {
       res.status(500).json({ error: 'An internal error occurred while retrieving requests.' });
     }
   }
 );
 
+// Columns of the export, in order.
+const EXPORT_FIELDS = [
+  'requestId', 'status', 'chainId', 'treasuryContractAddress', 'tokenContractAddress', 'destinationAddress',
+  'amount', 'txHash', 'blockNumber', 'confirmations', 'batchId', 'logIndex', 'signerId', 'clientId',
+  'policyRule', 'errorCode', 'errorMessage', 'executeAfter', 'expiresAt', 'createdAt', 'updatedAt',
+];
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Keep spreadsheets from evaluating client-supplied text (e.g. request IDs) as formulas.
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * GET /api/v2/withdrawal/list/export
+ * Exports every request matching the /list filters, as CSV (default) or JSON lines.
+ * The export is streamed, so it is not limited to a page.
+ */
+router.get(
+  '/list/export',
+  query('format').optional().isIn(['csv', 'jsonl']),
+  listQueryValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const format = req.query.format || 'csv';
+    const filename = `withdrawals-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+    res.status(200);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    try {
+      if (format === 'csv') res.write(`${EXPORT_FIELDS.join(',')}\n`);
+      for await (const requests of withdrawalManager.iterateRequests(listFilters(req))) {
+        if (res.destroyed) return; // The client went away
+        const lines = requests.map((request) =>
+          format === 'csv'
+            ? EXPORT_FIELDS.map((field) => toCsvValue(request[field])).join(',')
+            : JSON.stringify(Object.fromEntries(EXPORT_FIELDS.map((field) => [field, request[field] ?? null])))
+        );
+        if (!res.write(`${lines.join('\n')}\n`)) {
+          await new Promise((resolve) => {
+            res.once('drain', resolve);
+            res.once('close', resolve);
+          });
+        }
+      }
+      res.end();
+    } catch (error) {
+      log.error('Withdrawal export failed.', { error: error.message });
+      // The status line is already sent: cut the response short so the file is not taken as complete.
+      res.destroy(error);
+    }
+  }
+);
+
 /**
  * POST /api/v2/broadcast/raw-transaction
  * A simpler endpoint for clients who manage their own keys and want to use
  * our service only for reliable broadcasting and monitoring.
+ * The transaction must decode, carry a valid signature and be signed for `chain_id`.
+ * Transactions that fail the pre-flight simulation are refused with 422 and an `errorCode`,
+ * and a transaction that was already submitted is refused with 409.
  */
 router.post(
   '/broadcast/raw-transaction',
-  body('raw_tx').matches(/^0x[a-fA-F0-9]+$/).withMessage('Invalid raw transaction format.'),
+  chainIdValidator(),
+  body('raw_tx')
+    .matches(/^0x[a-fA-F0-9]+$/)
+    .withMessage('Invalid raw transaction format.')
+    .bail()
+    .custom((rawTx, { req }) => {
+      let tx;
+      let signer;
+      try {
+        tx = ethers.Transaction.from(rawTx);
+        signer = tx.signature ? tx.from : null; // Recovering the signer fails on an invalid signature
+      } catch (e) {
+        throw new Error(`raw_tx could not be decoded: ${e.shortMessage || e.message}`);
+      }
+      if (!signer) {
+        throw new Error('raw_tx is not signed.');
+      }
+      // The signature commits to a chain ID (EIP-155); broadcasting it elsewhere can never succeed.
+      if (tx.chainId === 0n) {
+        throw new Error('raw_tx is not replay-protected: it must be signed for a chain ID (EIP-155).');
+      }
+      if (Number.isInteger(req.body.chain_id) && tx.chainId !== BigInt(req.body.chain_id)) {
+        throw new Error(`raw_tx is signed for chain ${tx.chainId}, not chain_id ${req.body.chain_id}.`);
+      }
+      return true;
+    }),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -142,16 +497,48 @@ router.post(
     }
 
     try {
-      const { raw_tx } = req.body;
-      // Assuming your auth middleware adds a client ID to the request object
-      const clientId = req.user?.clientId;
-      const result = await withdrawalManager.processRawTransactionBroadcast(raw_tx, clientId);
+      const { raw_tx, chain_id } = req.body;
+      const { clientId } = req.user;
+      const result = await withdrawalManager.processRawTransactionBroadcast(raw_tx, chain_id, clientId);
+      if (result.status === 'REJECTED_BY_PREFLIGHT') {
+        // The transaction would fail on-chain (revert, balance, gas or fee ceiling).
+        return res.status(422).json(result);
+      }
       res.status(202).json(result);
     } catch (error) {
-      console.error('[API-ERROR] Failed to process raw transaction broadcast:', error);
+      if (error.message.startsWith('Duplicate raw_tx')) {
+        return res.status(409).json({ error: error.message });
+      }
+      log.error('Failed to process raw transaction broadcast.', { error });
       res.status(500).json({ error: 'An internal error occurred.' });
     }
   }
 );
 
+/**
+ * GET /api/v2/withdrawal/broadcast/:broadcastId
+ * Endpoint for the client to poll for the status of a raw transaction it submitted.
+ * Clients can only see their own broadcasts.
+ */
+router.get(
+  '/broadcast/:broadcastId',
+  param('broadcastId').isString().notEmpty(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const result = await withdrawalManager.getBroadcastStatus(
+        req.params.broadcastId,
+        scopeClientId(req.user)
+      );
+      res.status(200).json(withExplorerUrl(result));
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
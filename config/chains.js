@@ -0,0 +1,92 @@
+// Parses a comma-separated list of RPC URLs.
+function urlList(value) {
+  return (value || '').split(',').map((url) => url.trim()).filter(Boolean);
+}
+
+/**
+ * Registered chains, keyed by EIP-155 chain ID.
+ *
+ * A chain is enabled when at least one RPC URL is set. Each chain has:
+ * - `rpcUrls`: its JSON-RPC endpoints (a comma-separated list in the environment), in
+ *   order of preference. Calls fail over between them.
+ * - `rpcQuorum`: how many endpoints must agree on block numbers and receipts (default 1).
+ * - `confirmations`: the depth after which a transaction is final, with optional
+ *   `tokenConfirmations` overrides per token contract (lowercase address), e.g. to
+ *   wait longer for high-value stablecoin payouts.
+ * - `gas`: the fee strategy. All registered chains accept EIP-1559 (type 2) transactions;
+ *   `minPriorityFeeGwei` sets a floor for the tip (some chains reject lower tips) and
+ *   `maxFeePerGasGwei` a hard ceiling checked before any transaction is signed or accepted.
+ * - `multicallAddress` (optional): the Multicall3 contract used for batched payouts, if it is
+ *   not deployed at the canonical address on the chain.
+ * - `explorerUrl` (optional): the block explorer, linked from the dashboard as `<explorerUrl>/tx/<hash>`.
+ */
+module.exports = {
+  1: {
+    name: 'mainnet',
+    explorerUrl: 'https://etherscan.io',
+    rpcUrls: urlList(process.env.MAINNET_RPC_URL),
+    rpcQuorum: Number(process.env.MAINNET_RPC_QUORUM || 1),
+    confirmations: 12,
+    tokenConfirmations: {
+      '0xdac17f958d2ee523a2206206994597c13d831ec7': 20, // USDT
+      '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': 20, // USDC
+    },
+    gas: { minPriorityFeeGwei: '0.01', maxFeePerGasGwei: process.env.MAINNET_MAX_FEE_PER_GAS_GWEI },
+  },
+  11155111: {
+    name: 'sepolia',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    rpcUrls: urlList(process.env.SEPOLIA_RPC_URL),
+    rpcQuorum: Number(process.env.SEPOLIA_RPC_QUORUM || 1),
+    confirmations: 3,
+    gas: { minPriorityFeeGwei: '0.01', maxFeePerGasGwei: process.env.SEPOLIA_MAX_FEE_PER_GAS_GWEI },
+  },
+  137: {
+    name: 'polygon',
+    explorerUrl: 'https://polygonscan.com',
+    rpcUrls: urlList(process.env.POLYGON_RPC_URL),
+    rpcQuorum: Number(process.env.POLYGON_RPC_QUORUM || 1),
+    confirmations: 64,
+    gas: { minPriorityFeeGwei: '30', maxFeePerGasGwei: process.env.POLYGON_MAX_FEE_PER_GAS_GWEI },
+  },
+  42161: {
+    name: 'arbitrum',
+    explorerUrl: 'https://arbiscan.io',
+    rpcUrls: urlList(process.env.ARBITRUM_RPC_URL),
+    rpcQuorum: Number(process.env.ARBITRUM_RPC_QUORUM || 1),
+    confirmations: 20,
+    gas: { minPriorityFeeGwei: '0', maxFeePerGasGwei: process.env.ARBITRUM_MAX_FEE_PER_GAS_GWEI },
+  },
+  10: {
+    name: 'optimism',
+    explorerUrl: 'https://optimistic.etherscan.io',
+    rpcUrls: urlList(process.env.OPTIMISM_RPC_URL),
+    rpcQuorum: Number(process.env.OPTIMISM_RPC_QUORUM || 1),
+    confirmations: 20,
+    gas: { minPriorityFeeGwei: '0.001', maxFeePerGasGwei: process.env.OPTIMISM_MAX_FEE_PER_GAS_GWEI },
+  },
+  8453: {
+    name: 'base',
+    explorerUrl: 'https://basescan.org',
+    rpcUrls: urlList(process.env.BASE_RPC_URL),
+    rpcQuorum: Number(process.env.BASE_RPC_QUORUM || 1),
+    confirmations: 20,
+    gas: { minPriorityFeeGwei: '0.001', maxFeePerGasGwei: process.env.BASE_MAX_FEE_PER_GAS_GWEI },
+  },
+  56: {
+    name: 'bsc',
+    explorerUrl: 'https://bscscan.com',
+    rpcUrls: urlList(process.env.BSC_RPC_URL),
+    rpcQuorum: Number(process.env.BSC_RPC_QUORUM || 1),
+    confirmations: 15,
+    gas: { minPriorityFeeGwei: '0.1', maxFeePerGasGwei: process.env.BSC_MAX_FEE_PER_GAS_GWEI },
+  },
+  43114: {
+    name: 'avalanche',
+    explorerUrl: 'https://snowtrace.io',
+    rpcUrls: urlList(process.env.AVALANCHE_RPC_URL),
+    rpcQuorum: Number(process.env.AVALANCHE_RPC_QUORUM || 1),
+    confirmations: 1, // Snowman consensus: accepted blocks are final
+    gas: { minPriorityFeeGwei: '0.001', maxFeePerGasGwei: process.env.AVALANCHE_MAX_FEE_PER_GAS_GWEI },
+  },
+};
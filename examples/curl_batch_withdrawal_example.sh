@@ -0,0 +1,44 @@
+#!/bin/bash
+
+# Example curl command for a bank to submit a burst of withdrawals (e.g. payroll)
+# to be paid in batched transactions.
+#
+# Each item has the same fields as /initiate (see curl_multisig_withdrawal_example.sh).
+# Items from the same treasury and token are paid together in one transaction, which
+# runs each item's Safe transaction in nonce order. The bank must therefore sign the
+# items with consecutive Safe nonces (n, n+1, n+2, ...).
+# The response lists each item's result; `/status/:requestId` works per item as usual,
+# with the batch's `txHash` and the item's `logIndex` once mined.
+
+API_URL="https://ortenberg-crypto-host.onrender.com/api/v2/withdrawal/initiate/batch"
+API_KEY="sk_live_ortenberg_client_001"
+
+read -r -d '' BATCH_DATA << EOM
+{
+  "withdrawals": [
+    {
+      "request_id": "payroll-2025-06-0001",
+      "chain_id": 137,
+      "treasury_contract_address": "0x...MultiSigWalletAddress...",
+      "destination_address": "0x...EmployeeWalletAddress1...",
+      "token_contract_address": "0x...UsdtContractAddress...",
+      "amount": "120.00",
+      "partially_signed_tx": "0x_bank_signature_payload_for_safe_nonce_n"
+    },
+    {
+      "request_id": "payroll-2025-06-0002",
+      "chain_id": 137,
+      "treasury_contract_address": "0x...MultiSigWalletAddress...",
+      "destination_address": "0x...EmployeeWalletAddress2...",
+      "token_contract_address": "0x...UsdtContractAddress...",
+      "amount": "85.50",
+      "partially_signed_tx": "0x_bank_signature_payload_for_safe_nonce_n_plus_1"
+    }
+  ]
+}
+EOM
+
+curl -X POST "$API_URL" \
+  -H "Authorization: Bearer $API_KEY" \
+  -H "Content-Type: application/json" \
+  -d "$BATCH_DATA"
@@ -4,14 +4,28 @@
 # This is the "last mile" activation for customer funds.
 
 API_URL="https://ortenberg-crypto-host.onrender.com/api/v2/withdrawal/initiate"
-API_KEY="sk_live_ortenberg_client_001" # The bank's API key for your service
+API_KEY="sk_live_ortenberg_client_001" # The bank's API key, issued with `npm run client:create -- "<bank name>"`
 
 # The bank's system constructs this payload after an internal officer action.
 # The key element is `partially_signed_tx`, which is the transaction
-# signed with the BANK'S key from the multi-sig wallet.
+# signed with the BANK'S key from the multi-sig wallet. It is the ABI encoding of
+#   (address safe, address to, uint256 value, bytes data, uint8 operation,
+#    uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken,
+#    address refundReceiver, uint256 nonce, bytes signature)
+# where `to` is the token, `data` is `transfer(destination, amount)` and
+# `signature` is the bank owner's EIP-712 signature over the Safe transaction.
+# The service verifies it against the fields below, adds its own signature
+# and submits `execTransaction` on the treasury.
+# `chain_id` is the EIP-155 chain the treasury lives on (1 = Ethereum mainnet,
+# 137 = Polygon, 42161 = Arbitrum, 8453 = Base, 56 = BSC, ...). The bank's
+# signature is only valid on that chain.
+# Optionally, `execute_after` (ISO 8601) holds the request in SCHEDULED until
+# then, and `expires_at` expires it if it has not been executed by then, e.g.
+#   "execute_after": "2030-01-15T09:00:00Z", "expires_at": "2030-01-15T17:00:00Z"
 read -r -d '' WITHDRAWAL_DATA << EOM
 {
   "request_id": "bank-tx-id-12345-abcdef",
+  "chain_id": 1,
   "treasury_contract_address": "0x...MultiSigWalletAddress...",
   "destination_address": "0x...CustomerExternalWalletAddress...",
   "token_contract_address": "0x...UsdtContractAddress...",
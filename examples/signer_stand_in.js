@@ -0,0 +1,80 @@
+/**
+ * A local stand-in for the remote signer backends, for testing without Vault or AWS.
+ * It holds one secp256k1 key and serves both APIs used by `services/signers/`:
+ * - Vault Transit: GET /v1/transit/keys/:name and POST /v1/transit/sign/:name
+ * - AWS KMS (JSON protocol): POST / with X-Amz-Target TrentService.GetPublicKey or TrentService.Sign
+ *
+ * Credentials are not checked. The key is random unless STAND_IN_PRIVATE_KEY is set.
+ *
+ * Usage:
+ *   node examples/signer_stand_in.js
+ *
+ * Then point a signer at it in your signers config:
+ *   { "id": "vault-local", "backend": "vault-transit", "address": "http://localhost:8200", "keyName": "service-wallet" }
+ *   { "id": "kms-local", "backend": "aws-kms", "endpoint": "http://localhost:8200/", "region": "us-east-1", "keyId": "local" }
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+
+const PORT = process.env.PORT || 8200;
+const signingKey = new ethers.SigningKey(process.env.STAND_IN_PRIVATE_KEY || ethers.Wallet.createRandom().privateKey);
+
+// DER SubjectPublicKeyInfo header for an uncompressed secp256k1 (id-ecPublicKey, secp256k1) key.
+const SPKI_PREFIX = Buffer.from('3056301006072a8648ce3d020106052b8104000a034200', 'hex');
+const spki = Buffer.concat([SPKI_PREFIX, Buffer.from(ethers.getBytes(signingKey.publicKey))]);
+const pem = `-----BEGIN PUBLIC KEY-----\n${spki.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END PUBLIC KEY-----\n`;
+
+function derInteger(hex) {
+  let bytes = Buffer.from(ethers.getBytes(ethers.toBeHex(BigInt(hex))));
+  if (bytes[0] & 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  return Buffer.concat([Buffer.from([0x02, bytes.length]), bytes]);
+}
+
+function signDer(digest) {
+  const { r, s } = signingKey.sign(digest);
+  const body = Buffer.concat([derInteger(r), derInteger(s)]);
+  return Buffer.concat([Buffer.from([0x30, body.length]), body]);
+}
+
+function send(res, status, body, contentType = 'application/json') {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    const body = raw ? JSON.parse(raw) : {};
+    const vaultKeys = req.url.match(/^\/v1\/[^/]+\/keys\/([^/]+)$/);
+    const vaultSign = req.url.match(/^\/v1\/[^/]+\/sign\/([^/]+)$/);
+    const kmsTarget = req.headers['x-amz-target'];
+
+    if (req.method === 'GET' && vaultKeys) {
+      return send(res, 200, {
+        data: { name: vaultKeys[1], type: 'ecdsa-secp256k1', latest_version: 1, keys: { 1: { public_key: pem } } },
+      });
+    }
+    if (req.method === 'POST' && vaultSign) {
+      const signature = signDer(Buffer.from(body.input, 'base64')).toString('base64');
+      return send(res, 200, { data: { signature: `vault:v1:${signature}`, key_version: 1 } });
+    }
+    if (req.method === 'POST' && kmsTarget === 'TrentService.GetPublicKey') {
+      return send(res, 200, {
+        KeyId: body.KeyId, KeySpec: 'ECC_SECG_P256K1', KeyUsage: 'SIGN_VERIFY', PublicKey: spki.toString('base64'),
+      }, 'application/x-amz-json-1.1');
+    }
+    if (req.method === 'POST' && kmsTarget === 'TrentService.Sign') {
+      return send(res, 200, {
+        KeyId: body.KeyId, SigningAlgorithm: body.SigningAlgorithm, Signature: signDer(Buffer.from(body.Message, 'base64')).toString('base64'),
+      }, 'application/x-amz-json-1.1');
+    }
+    return send(res, 404, { errors: [`No stand-in route for ${req.method} ${req.url}`] });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[INFO] Signer stand-in listening on http://localhost:${PORT}`);
+  console.log(`[INFO] Address of the stand-in key: ${ethers.computeAddress(signingKey.publicKey)}`);
+});
@@ -0,0 +1,58 @@
+/**
+ * A minimal local webhook receiver for testing deliveries end to end.
+ * It verifies the X-Webhook-Signature header and prints each event.
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=whsec_... node examples/webhook_receiver.js
+ *
+ * Then register it for your client:
+ *   curl -X PUT http://localhost:3000/api/v2/webhooks \
+ *     -H "Authorization: Bearer $API_KEY" -H "Content-Type: application/json" \
+ *     -d '{"url": "http://localhost:4000/webhook", "secret": "'"$WEBHOOK_SECRET"'"}'
+ *
+ * Set FAIL_RATE (0..1) to make it reject a share of deliveries and exercise retries.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = process.env.PORT || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const FAIL_RATE = Number(process.env.FAIL_RATE || 0);
+const TOLERANCE_SECONDS = 300;
+
+function verifySignature(header, body) {
+  const parts = Object.fromEntries((header || '').split(',').map((p) => p.split('=')));
+  if (!parts.t || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - Number(parts.t)) > TOLERANCE_SECONDS) return false;
+
+  const expected = crypto.createHmac('sha256', SECRET).update(`${parts.t}.${body}`).digest('hex');
+  return expected.length === parts.v1.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+}
+
+if (!SECRET) {
+  console.error('WEBHOOK_SECRET must be set.');
+  process.exit(1);
+}
+
+http
+  .createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      if (!verifySignature(req.headers['x-webhook-signature'], body)) {
+        console.warn(`[RECEIVER] Rejected delivery ${req.headers['x-webhook-id']}: bad signature.`);
+        res.writeHead(401).end();
+        return;
+      }
+      if (Math.random() < FAIL_RATE) {
+        console.warn(`[RECEIVER] Simulating failure for delivery ${req.headers['x-webhook-id']}.`);
+        res.writeHead(503).end();
+        return;
+      }
+
+      console.log(`[RECEIVER] ${req.headers['x-webhook-event']} (${req.headers['x-webhook-id']}):`, JSON.parse(body).data);
+      res.writeHead(204).end();
+    });
+  })
+  .listen(PORT, () => console.log(`[RECEIVER] Listening on http://localhost:${PORT}`));
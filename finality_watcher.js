@@ -0,0 +1,52 @@
+require('dotenv').config();
+const finalityService = require('./services/finality_service');
+const chainRegistry = require('./services/chain_registry');
+const logger = require('./services/logger');
+const metrics = require('./services/metrics');
+
+const log = logger.child('finality');
+
+/**
+ * Finality Watcher
+ *
+ * A separate process that follows the head of every enabled chain and moves CONFIRMING
+ * withdrawals and broadcasts to their final state once they have enough confirmations,
+ * or back to BROADCASTED if a reorg removes them from the canonical chain.
+ */
+
+const POLL_INTERVAL_MS = Number(process.env.FINALITY_POLL_INTERVAL_MS || 15 * 1000);
+const FINALITY_METRICS_PORT = Number(process.env.FINALITY_METRICS_PORT || 9465);
+
+let timer = null;
+let running = false;
+
+async function poll() {
+  running = true;
+  try {
+    await finalityService.checkAll();
+  } catch (error) {
+    log.error('Finality pass failed.', { error: error.message });
+  } finally {
+    running = false;
+    timer = setTimeout(poll, POLL_INTERVAL_MS);
+  }
+}
+
+async function gracefulShutdown(signal) {
+  log.info(`Received ${signal}. Shutting down gracefully...`);
+  clearTimeout(timer);
+  metricsServer.close();
+  while (running) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  chainRegistry.destroy();
+  log.info('Finality watcher stopped. Exiting.');
+  process.exit(0);
+}
+
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+
+log.info(`Watching ${chainRegistry.getChains().length} chain(s) for confirmations every ${POLL_INTERVAL_MS}ms...`);
+const metricsServer = metrics.startServer(FINALITY_METRICS_PORT);
+poll();
@@ -0,0 +1,54 @@
+-- The schema the service started with. A database created from it with `prisma db push`
+-- is brought under migrations with `npx prisma migrate resolve --applied 20261019180500_init`.
+
+-- CreateTable
+CREATE TABLE "withdrawal_requests" (
+    "id" TEXT NOT NULL,
+    "request_id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING_SIGNATURE',
+    "treasury_contract_address" TEXT NOT NULL,
+    "destination_address" TEXT NOT NULL,
+    "token_contract_address" TEXT NOT NULL,
+    "amount" TEXT NOT NULL,
+    "partially_signed_tx" TEXT NOT NULL,
+    "tx_hash" TEXT,
+    "error_message" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "withdrawal_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "HistoryEntry" (
+    "id" TEXT NOT NULL,
+    "requestId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "timestamp" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "HistoryEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "raw_transaction_broadcasts" (
+    "id" TEXT NOT NULL,
+    "client_id" TEXT,
+    "raw_tx" TEXT NOT NULL,
+    "tx_hash" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "error_message" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "raw_transaction_broadcasts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "withdrawal_requests_request_id_key" ON "withdrawal_requests"("request_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "raw_transaction_broadcasts_tx_hash_key" ON "raw_transaction_broadcasts"("tx_hash");
+
+-- AddForeignKey
+ALTER TABLE "HistoryEntry" ADD CONSTRAINT "HistoryEntry_requestId_fkey" FOREIGN KEY ("requestId") REFERENCES "withdrawal_requests"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "withdrawal_requests" ADD COLUMN     "client_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "api_clients" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "role" TEXT NOT NULL DEFAULT 'CLIENT',
+    "api_key_hash" TEXT NOT NULL,
+    "api_key_prefix" TEXT NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "last_used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "api_clients_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_clients_api_key_hash_key" ON "api_clients"("api_key_hash");
+
+-- CreateIndex
+CREATE INDEX "withdrawal_requests_client_id_idx" ON "withdrawal_requests"("client_id");
+
+-- CreateIndex
+CREATE INDEX "raw_transaction_broadcasts_client_id_idx" ON "raw_transaction_broadcasts"("client_id");
+
+-- AddForeignKey
+ALTER TABLE "withdrawal_requests" ADD CONSTRAINT "withdrawal_requests_client_id_fkey" FOREIGN KEY ("client_id") REFERENCES "api_clients"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "raw_transaction_broadcasts" ADD CONSTRAINT "raw_transaction_broadcasts_client_id_fkey" FOREIGN KEY ("client_id") REFERENCES "api_clients"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "alert_events" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "severity" TEXT NOT NULL,
+    "dedup_key" TEXT,
+    "details" JSONB NOT NULL,
+    "status" TEXT NOT NULL,
+    "channels" JSONB NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "alert_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "alert_events_dedup_key_created_at_idx" ON "alert_events"("dedup_key", "created_at");
+
+-- CreateIndex
+CREATE INDEX "alert_events_created_at_idx" ON "alert_events"("created_at");
+
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "withdrawal_requests" ADD COLUMN     "policy_rule" TEXT;
+
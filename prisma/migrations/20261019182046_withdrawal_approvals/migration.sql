@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "withdrawal_approvals" (
+    "id" TEXT NOT NULL,
+    "request_id" TEXT NOT NULL,
+    "operator_id" TEXT NOT NULL,
+    "operator_name" TEXT NOT NULL,
+    "decision" TEXT NOT NULL,
+    "comment" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "withdrawal_approvals_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "withdrawal_approvals_request_id_operator_id_key" ON "withdrawal_approvals"("request_id", "operator_id");
+
+-- AddForeignKey
+ALTER TABLE "withdrawal_approvals" ADD CONSTRAINT "withdrawal_approvals_request_id_fkey" FOREIGN KEY ("request_id") REFERENCES "withdrawal_requests"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "withdrawal_approvals" ADD CONSTRAINT "withdrawal_approvals_operator_id_fkey" FOREIGN KEY ("operator_id") REFERENCES "api_clients"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
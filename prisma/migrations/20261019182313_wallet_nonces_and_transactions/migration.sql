@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "withdrawal_requests" ADD COLUMN     "nonce" INTEGER;
+
+-- CreateTable
+CREATE TABLE "wallet_nonces" (
+    "chain_id" INTEGER NOT NULL,
+    "address" TEXT NOT NULL,
+    "next_nonce" INTEGER NOT NULL,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "wallet_nonces_pkey" PRIMARY KEY ("chain_id","address")
+);
+
+-- CreateTable
+CREATE TABLE "withdrawal_transactions" (
+    "id" TEXT NOT NULL,
+    "request_id" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "tx_hash" TEXT NOT NULL,
+    "chain_id" INTEGER NOT NULL,
+    "from_address" TEXT NOT NULL,
+    "to_address" TEXT NOT NULL,
+    "data" TEXT NOT NULL,
+    "value" TEXT NOT NULL DEFAULT '0',
+    "nonce" INTEGER NOT NULL,
+    "gas_limit" TEXT NOT NULL,
+    "max_fee_per_gas" TEXT NOT NULL,
+    "max_priority_fee_per_gas" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "withdrawal_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "withdrawal_transactions_tx_hash_key" ON "withdrawal_transactions"("tx_hash");
+
+-- CreateIndex
+CREATE INDEX "withdrawal_transactions_request_id_idx" ON "withdrawal_transactions"("request_id");
+
+-- AddForeignKey
+ALTER TABLE "withdrawal_transactions" ADD CONSTRAINT "withdrawal_transactions_request_id_fkey" FOREIGN KEY ("request_id") REFERENCES "withdrawal_requests"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "withdrawal_transactions" ADD COLUMN     "signed_tx" TEXT NOT NULL DEFAULT '';
+
+-- Transactions sent before the signed bytes were stored have none, and cannot be rebroadcast.
+ALTER TABLE "withdrawal_transactions" ALTER COLUMN "signed_tx" DROP DEFAULT;
+
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "withdrawal_requests" ADD COLUMN     "block_hash" TEXT,
+ADD COLUMN     "block_number" INTEGER,
+ADD COLUMN     "confirmations" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "required_confirmations" INTEGER;
+
+-- AlterTable
+ALTER TABLE "raw_transaction_broadcasts" ADD COLUMN     "block_hash" TEXT,
+ADD COLUMN     "block_number" INTEGER,
+ADD COLUMN     "confirmations" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "required_confirmations" INTEGER;
+
@@ -0,0 +1,35 @@
+-- Rows created before chain_id existed were sent on the network ETHEREUM_NETWORK selected, mainnet
+-- or sepolia. `npm run prisma:deploy` records that chain in "legacy_chain" before running the
+-- migrations; without it, a database that already has rows stops here instead of guessing.
+DO $$
+BEGIN
+  IF (EXISTS (SELECT 1 FROM "withdrawal_requests") OR EXISTS (SELECT 1 FROM "raw_transaction_broadcasts"))
+     AND to_regclass('"legacy_chain"') IS NULL THEN
+    RAISE EXCEPTION 'Existing withdrawals need a chain_id. Set ETHEREUM_NETWORK to the network they were sent on (mainnet or sepolia), run `npx prisma migrate resolve --rolled-back 20261019182948_chain_ids`, then `npm run prisma:deploy`.';
+  END IF;
+END $$;
+
+-- AlterTable
+ALTER TABLE "withdrawal_requests" ADD COLUMN     "chain_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "raw_transaction_broadcasts" ADD COLUMN     "chain_id" INTEGER;
+
+DO $$
+BEGIN
+  IF to_regclass('"legacy_chain"') IS NOT NULL THEN
+    UPDATE "withdrawal_requests" SET "chain_id" = (SELECT "chain_id" FROM "legacy_chain");
+    UPDATE "raw_transaction_broadcasts" SET "chain_id" = (SELECT "chain_id" FROM "legacy_chain");
+    DROP TABLE "legacy_chain";
+  END IF;
+END $$;
+
+ALTER TABLE "withdrawal_requests" ALTER COLUMN "chain_id" SET NOT NULL;
+
+ALTER TABLE "raw_transaction_broadcasts" ALTER COLUMN "chain_id" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "withdrawal_requests_chain_id_status_idx" ON "withdrawal_requests"("chain_id", "status");
+
+-- CreateIndex
+CREATE INDEX "raw_transaction_broadcasts_chain_id_status_idx" ON "raw_transaction_broadcasts"("chain_id", "status");
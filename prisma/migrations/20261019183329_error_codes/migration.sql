@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "withdrawal_requests" ADD COLUMN     "error_code" TEXT;
+
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "raw_transaction_broadcasts" ADD COLUMN     "erc20_call" JSONB,
+ADD COLUMN     "from_address" TEXT,
+ADD COLUMN     "nonce" INTEGER,
+ADD COLUMN     "to_address" TEXT,
+ADD COLUMN     "value" TEXT;
+
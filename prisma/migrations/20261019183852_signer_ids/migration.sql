@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "withdrawal_requests" ADD COLUMN     "signer_id" TEXT;
+
+-- Requests that already reserved a nonce were signed with SERVICE_WALLET_PRIVATE_KEY, the `env` signer.
+UPDATE "withdrawal_requests" SET "signer_id" = 'env' WHERE "nonce" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "withdrawal_transactions" ADD COLUMN     "signer_id" TEXT NOT NULL DEFAULT 'env';
+
+-- Existing transactions were signed with SERVICE_WALLET_PRIVATE_KEY, the `env` signer.
+ALTER TABLE "withdrawal_transactions" ALTER COLUMN "signer_id" DROP DEFAULT;
+
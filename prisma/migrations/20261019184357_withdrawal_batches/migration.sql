@@ -0,0 +1,50 @@
+-- DropForeignKey
+ALTER TABLE "withdrawal_transactions" DROP CONSTRAINT "withdrawal_transactions_request_id_fkey";
+
+-- AlterTable
+ALTER TABLE "withdrawal_requests" ADD COLUMN     "batch_id" TEXT,
+ADD COLUMN     "batch_index" INTEGER,
+ADD COLUMN     "batchable" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "log_index" INTEGER;
+
+-- AlterTable
+ALTER TABLE "withdrawal_transactions" ADD COLUMN     "batch_id" TEXT,
+ALTER COLUMN "request_id" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "withdrawal_batches" (
+    "id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "chain_id" INTEGER NOT NULL,
+    "treasury_contract_address" TEXT NOT NULL,
+    "token_contract_address" TEXT NOT NULL,
+    "tx_hash" TEXT,
+    "nonce" INTEGER,
+    "signer_id" TEXT,
+    "block_number" INTEGER,
+    "block_hash" TEXT,
+    "error_message" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "withdrawal_batches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "withdrawal_batches_status_idx" ON "withdrawal_batches"("status");
+
+-- CreateIndex
+CREATE INDEX "withdrawal_requests_batchable_status_idx" ON "withdrawal_requests"("batchable", "status");
+
+-- CreateIndex
+CREATE INDEX "withdrawal_transactions_batch_id_idx" ON "withdrawal_transactions"("batch_id");
+
+-- AddForeignKey
+ALTER TABLE "withdrawal_requests" ADD CONSTRAINT "withdrawal_requests_batch_id_fkey" FOREIGN KEY ("batch_id") REFERENCES "withdrawal_batches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "withdrawal_transactions" ADD CONSTRAINT "withdrawal_transactions_request_id_fkey" FOREIGN KEY ("request_id") REFERENCES "withdrawal_requests"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "withdrawal_transactions" ADD CONSTRAINT "withdrawal_transactions_batch_id_fkey" FOREIGN KEY ("batch_id") REFERENCES "withdrawal_batches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "reconciliation_reports" (
+    "id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "trigger" TEXT NOT NULL,
+    "requested_by" TEXT,
+    "chain_id" INTEGER NOT NULL,
+    "treasury_contract_address" TEXT NOT NULL,
+    "from_time" TIMESTAMP(3),
+    "to_time" TIMESTAMP(3),
+    "from_block" INTEGER,
+    "to_block" INTEGER,
+    "transfer_count" INTEGER NOT NULL DEFAULT 0,
+    "expected_count" INTEGER NOT NULL DEFAULT 0,
+    "matched_count" INTEGER NOT NULL DEFAULT 0,
+    "discrepancy_count" INTEGER NOT NULL DEFAULT 0,
+    "discrepancies" JSONB,
+    "error_message" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completed_at" TIMESTAMP(3),
+
+    CONSTRAINT "reconciliation_reports_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "reconciliation_reports_chain_id_treasury_contract_address_c_idx" ON "reconciliation_reports"("chain_id", "treasury_contract_address", "created_at");
+
+-- CreateIndex
+CREATE INDEX "reconciliation_reports_created_at_idx" ON "reconciliation_reports"("created_at");
+
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "withdrawal_requests" ADD COLUMN     "amount_value" DECIMAL(78,18);
+
+-- Backfill the numeric amount used by the list filters and sorting.
+UPDATE "withdrawal_requests" SET "amount_value" = "amount"::DECIMAL(78,18);
+
+-- CreateIndex
+CREATE INDEX "withdrawal_requests_status_created_at_idx" ON "withdrawal_requests"("status", "created_at");
+
+-- CreateIndex
+CREATE INDEX "withdrawal_requests_created_at_idx" ON "withdrawal_requests"("created_at");
+
+-- CreateIndex
+CREATE INDEX "withdrawal_requests_tx_hash_idx" ON "withdrawal_requests"("tx_hash");
+
@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "audit_log" (
+    "id" SERIAL NOT NULL,
+    "entity_type" TEXT NOT NULL,
+    "entity_id" TEXT NOT NULL,
+    "entity_sequence" INTEGER NOT NULL,
+    "request_id" TEXT,
+    "action" TEXT NOT NULL,
+    "actor_type" TEXT NOT NULL,
+    "actor_id" TEXT NOT NULL,
+    "actor_name" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "details" JSONB,
+    "previous_hash" TEXT NOT NULL,
+    "hash" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_log_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "audit_log_hash_key" ON "audit_log"("hash");
+
+-- CreateIndex
+CREATE INDEX "audit_log_request_id_idx" ON "audit_log"("request_id");
+
+-- CreateIndex
+CREATE INDEX "audit_log_actor_id_idx" ON "audit_log"("actor_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "audit_log_entity_type_entity_id_entity_sequence_key" ON "audit_log"("entity_type", "entity_id", "entity_sequence");
+
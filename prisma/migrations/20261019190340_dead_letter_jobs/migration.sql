@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "dead_letter_jobs" (
+    "id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'OPEN',
+    "queue" TEXT NOT NULL,
+    "job_id" TEXT NOT NULL,
+    "job_name" TEXT NOT NULL,
+    "request_id" TEXT NOT NULL,
+    "attempts_made" INTEGER NOT NULL,
+    "error_message" TEXT NOT NULL,
+    "attempts" JSONB NOT NULL,
+    "failed_at" TIMESTAMP(3) NOT NULL,
+    "action_by" TEXT,
+    "action_note" TEXT,
+    "acted_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "dead_letter_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "dead_letter_jobs_status_failed_at_idx" ON "dead_letter_jobs"("status", "failed_at");
+
+-- CreateIndex
+CREATE INDEX "dead_letter_jobs_request_id_idx" ON "dead_letter_jobs"("request_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "dead_letter_jobs_queue_job_id_key" ON "dead_letter_jobs"("queue", "job_id");
+
+-- AddForeignKey
+ALTER TABLE "dead_letter_jobs" ADD CONSTRAINT "dead_letter_jobs_request_id_fkey" FOREIGN KEY ("request_id") REFERENCES "withdrawal_requests"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
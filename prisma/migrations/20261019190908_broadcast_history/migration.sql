@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "broadcast_history_entries" (
+    "id" TEXT NOT NULL,
+    "broadcast_id" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "timestamp" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "broadcast_history_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "broadcast_history_entries_broadcast_id_idx" ON "broadcast_history_entries"("broadcast_id");
+
+-- AddForeignKey
+ALTER TABLE "broadcast_history_entries" ADD CONSTRAINT "broadcast_history_entries_broadcast_id_fkey" FOREIGN KEY ("broadcast_id") REFERENCES "raw_transaction_broadcasts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
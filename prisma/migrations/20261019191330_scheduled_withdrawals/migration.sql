@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "withdrawal_requests" ADD COLUMN     "execute_after" TIMESTAMP(3),
+ADD COLUMN     "expires_at" TIMESTAMP(3);
+
@@ -0,0 +1,5 @@
+-- DropIndex
+DROP INDEX "dead_letter_jobs_queue_job_id_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "dead_letter_jobs_queue_job_id_request_id_key" ON "dead_letter_jobs"("queue", "job_id", "request_id");
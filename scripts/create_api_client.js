@@ -0,0 +1,30 @@
+/**
+ * Issues a new API key for a bank or an operator.
+ *
+ * Usage: npm run client:create -- "<client name>" [CLIENT|OPERATOR]
+ *
+ * The plaintext key is printed once and cannot be recovered afterwards.
+ */
+
+const apiClientService = require('../services/api_client_service');
+const auditService = require('../services/audit_service');
+
+async function main() {
+  const [name, role = 'CLIENT'] = process.argv.slice(2);
+  if (!name) {
+    console.error('Usage: npm run client:create -- "<client name>" [CLIENT|OPERATOR]');
+    process.exit(1);
+  }
+
+  const client = await auditService.runAs(auditService.systemActor('create_api_client'), () =>
+    apiClientService.createClient(name, role)
+  );
+  console.log(`[INFO] Created ${client.role} client '${client.name}' (id: ${client.clientId}).`);
+  console.log(`API key (store it now, it will not be shown again): ${client.apiKey}`);
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('[ERROR] Failed to create API client:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+/**
+ * Encrypts a private key into a JSON keystore file for the `keystore` signer backend.
+ *
+ * Usage: KEYSTORE_PASSWORD=... PRIVATE_KEY=0x... npm run keystore:create -- <output file>
+ *
+ * Without PRIVATE_KEY, a new random key is generated. Only the address is printed.
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+async function main() {
+  const [outputPath] = process.argv.slice(2);
+  const password = process.env.KEYSTORE_PASSWORD;
+  if (!outputPath || !password) {
+    console.error('Usage: KEYSTORE_PASSWORD=... [PRIVATE_KEY=0x...] npm run keystore:create -- <output file>');
+    process.exit(1);
+  }
+  if (fs.existsSync(outputPath)) {
+    console.error(`[ERROR] ${outputPath} already exists; refusing to overwrite it.`);
+    process.exit(1);
+  }
+
+  const wallet = process.env.PRIVATE_KEY ? new ethers.Wallet(process.env.PRIVATE_KEY) : ethers.Wallet.createRandom();
+  fs.writeFileSync(outputPath, await wallet.encrypt(password), { mode: 0o600 });
+  console.log(`[INFO] Wrote keystore for ${wallet.address} to ${outputPath}.`);
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('[ERROR] Failed to create keystore:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+/**
+ * Applies the pending database migrations.
+ *
+ * Usage: npm run prisma:deploy
+ *
+ * Withdrawals created before chain_id existed were sent on the network ETHEREUM_NETWORK
+ * selected (mainnet or sepolia). While the chain_ids migration is pending, that network is
+ * recorded for the migration to backfill them with; it refuses to run on existing rows without it.
+ */
+
+const { execFileSync } = require('child_process');
+const { PrismaClient } = require('@prisma/client');
+
+const CHAIN_IDS_MIGRATION = '20261019182948_chain_ids';
+const LEGACY_CHAIN_IDS = { mainnet: 1, sepolia: 11155111 };
+
+async function recordLegacyChain(prisma) {
+  const network = process.env.ETHEREUM_NETWORK;
+  if (!network) return;
+
+  const chainId = LEGACY_CHAIN_IDS[network];
+  if (!chainId) {
+    throw new Error(`ETHEREUM_NETWORK must be 'mainnet' or 'sepolia', got '${network}'.`);
+  }
+
+  // Databases without migration history are new (or need `prisma migrate resolve` first).
+  const [{ tracked }] = await prisma.$queryRaw`SELECT to_regclass('"_prisma_migrations"') IS NOT NULL AS tracked`;
+  if (!tracked) return;
+
+  const applied = await prisma.$queryRaw`
+    SELECT 1 FROM "_prisma_migrations"
+    WHERE "migration_name" = ${CHAIN_IDS_MIGRATION} AND "finished_at" IS NOT NULL AND "rolled_back_at" IS NULL`;
+  if (applied.length > 0) return;
+
+  await prisma.$executeRaw`CREATE TABLE IF NOT EXISTS "legacy_chain" ("chain_id" INTEGER NOT NULL)`;
+  await prisma.$executeRaw`DELETE FROM "legacy_chain"`;
+  await prisma.$executeRaw`INSERT INTO "legacy_chain" ("chain_id") VALUES (${chainId})`;
+  console.log(`[INFO] Existing withdrawals will be assigned chain ${chainId} (${network}).`);
+}
+
+async function main() {
+  const prisma = new PrismaClient();
+  try {
+    await recordLegacyChain(prisma);
+  } finally {
+    await prisma.$disconnect();
+  }
+
+  execFileSync(process.execPath, [require.resolve('prisma/build/index.js'), 'migrate', 'deploy'], {
+    stdio: 'inherit',
+  });
+}
+
+main().catch((error) => {
+  console.error('[ERROR] Failed to apply migrations:', error.message);
+  process.exit(1);
+});
@@ -1,6 +1,16 @@
 require('dotenv').config();
 const express = require('express');
 const withdrawalRoutes = require('./api/withdrawal_routes');
+const webhookRoutes = require('./api/webhook_routes');
+const alertRoutes = require('./api/alert_routes');
+const reconciliationRoutes = require('./api/reconciliation_routes');
+const auditRoutes = require('./api/audit_routes');
+const deadLetterRoutes = require('./api/dead_letter_routes');
+const requestLogger = require('./api/request_logger');
+const logger = require('./services/logger');
+const metrics = require('./services/metrics');
+
+const log = logger.child('api');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -10,8 +20,24 @@ app.use(express.json());
 // Serve the dashboard static files
 app.use(express.static('dashboard'));
 
+// Prometheus metrics of the API process. Set METRICS_AUTH_TOKEN to require it as a bearer token.
+app.get('/metrics', (req, res) => {
+  if (process.env.METRICS_AUTH_TOKEN && req.get('Authorization') !== `Bearer ${process.env.METRICS_AUTH_TOKEN}`) {
+    return res.status(401).end();
+  }
+  return metrics.handler(req, res);
+});
+
+app.use(requestLogger);
+app.use(metrics.httpMiddleware());
+
 // API routes
 app.use('/api/v2/withdrawal', withdrawalRoutes);
+app.use('/api/v2/webhooks', webhookRoutes);
+app.use('/api/v2/alerts', alertRoutes);
+app.use('/api/v2/reconciliation', reconciliationRoutes);
+app.use('/api/v2/audit', auditRoutes);
+app.use('/api/v2/dead-letter', deadLetterRoutes);
 
 // Root path serves the dashboard
 app.get('/', (_req, res) => {
@@ -19,5 +45,5 @@ app.get('/', (_req, res) => {
 });
 
 app.listen(PORT, () => {
-  console.log(`[INFO] Server is running on http://localhost:${PORT}`);
+  log.info(`Server is running on http://localhost:${PORT}`);
 });
\ No newline at end of file
@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP email channel.
+ */
+class EmailChannel {
+  /**
+   * @param {object} config
+   * @param {string} config.host - The SMTP host.
+   * @param {number} config.port - The SMTP port.
+   * @param {boolean} config.secure - Use implicit TLS (usually port 465).
+   * @param {string} [config.user] - The SMTP username.
+   * @param {string} [config.pass] - The SMTP password.
+   * @param {string} config.from - The sender address.
+   * @param {string} config.to - Comma-separated recipient addresses.
+   * @param {string} config.minSeverity - The lowest severity routed to this channel.
+   */
+  constructor({ host, port, secure, user, pass, from, to, minSeverity }) {
+    this.name = 'email';
+    this.from = from;
+    this.to = to;
+    this.minSeverity = minSeverity;
+    this.transporter = host
+      ? nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined })
+      : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.transporter && this.to);
+  }
+
+  async send(alert) {
+    await this.transporter.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: `[${alert.severity.toUpperCase()}] ${alert.title}`,
+      text: `${alert.title}\n\nSeverity: ${alert.severity}\nTime: ${alert.createdAt}\n\n${JSON.stringify(alert.details, null, 2)}`,
+    });
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,54 @@
+/**
+ * PagerDuty Events API v2 channel.
+ * The events URL is configurable so a local stand-in can be used for testing.
+ */
+
+// PagerDuty's own severity scale
+const PAGERDUTY_SEVERITY = { info: 'info', warning: 'warning', critical: 'critical' };
+
+class PagerDutyChannel {
+  /**
+   * @param {object} config
+   * @param {string} config.routingKey - The integration (routing) key of the PagerDuty service.
+   * @param {string} config.eventsUrl - The Events API v2 enqueue URL.
+   * @param {string} config.minSeverity - The lowest severity routed to this channel.
+   */
+  constructor({ routingKey, eventsUrl, minSeverity }) {
+    this.name = 'pagerduty';
+    this.routingKey = routingKey;
+    this.eventsUrl = eventsUrl;
+    this.minSeverity = minSeverity;
+  }
+
+  isConfigured() {
+    return Boolean(this.routingKey);
+  }
+
+  async send(alert) {
+    const event = {
+      routing_key: this.routingKey,
+      event_action: 'trigger',
+      // Lets PagerDuty group repeats into one incident, on top of our own deduplication.
+      dedup_key: alert.dedupKey || undefined,
+      payload: {
+        summary: alert.title,
+        source: 'withdrawal-activation-service',
+        severity: PAGERDUTY_SEVERITY[alert.severity],
+        timestamp: alert.createdAt,
+        custom_details: alert.details,
+      },
+    };
+
+    const response = await fetch(this.eventsUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(event),
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+      throw new Error(`PagerDuty Events API responded with HTTP ${response.status}.`);
+    }
+  }
+}
+
+module.exports = PagerDutyChannel;
@@ -0,0 +1,40 @@
+/**
+ * Slack-compatible incoming webhook channel.
+ * Works with Slack and any service that accepts the same `{ text }` payload
+ * (Mattermost, Rocket.Chat, Microsoft Teams connectors with a Slack shim, ...).
+ */
+class SlackChannel {
+  /**
+   * @param {object} config
+   * @param {string} config.webhookUrl - The incoming webhook URL.
+   * @param {string} config.minSeverity - The lowest severity routed to this channel.
+   */
+  constructor({ webhookUrl, minSeverity }) {
+    this.name = 'slack';
+    this.webhookUrl = webhookUrl;
+    this.minSeverity = minSeverity;
+  }
+
+  isConfigured() {
+    return Boolean(this.webhookUrl);
+  }
+
+  async send(alert) {
+    const text = [
+      `*[${alert.severity.toUpperCase()}] ${alert.title}*`,
+      '```' + JSON.stringify(alert.details, null, 2) + '```',
+    ].join('\n');
+
+    const response = await fetch(this.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text }),
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) {
+      throw new Error(`Slack webhook responded with HTTP ${response.status}.`);
+    }
+  }
+}
+
+module.exports = SlackChannel;
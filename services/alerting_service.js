@@ -1,31 +1,174 @@
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const SlackChannel = require('./alert_channels/slack_channel');
+const PagerDutyChannel = require('./alert_channels/pagerduty_channel');
+const EmailChannel = require('./alert_channels/email_channel');
+const logger = require('./logger');
+
+const log = logger.child('alerting');
+
 /**
- * A simple service for sending alerts.
- * In a real production environment, this would integrate with services like:
- * - PagerDuty (for critical, on-call alerts)
- * - Slack (for team notifications)
- * - Sentry, DataDog (for error tracking and monitoring)
- * - Email (for reports or less critical notifications)
+ * Alerting Service
+ *
+ * Routes operational alerts to the on-call channels:
+ * - Slack-compatible webhook, PagerDuty Events v2 and SMTP email channels.
+ * - Each channel receives only alerts at or above its configured minimum severity.
+ * - Alerts sharing a `dedupKey` are sent once per dedup window, and non-critical
+ *   alerts are rate-limited globally.
+ * - Every alert, sent or not, is persisted as an `AlertEvent`.
  */
+
+const SEVERITY_LEVELS = ['info', 'warning', 'critical'];
+
 class AlertingService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.dedupWindowMs = Number(process.env.ALERT_DEDUP_WINDOW_MS || 15 * 60 * 1000);
+    this.rateLimitPerMinute = Number(process.env.ALERT_RATE_LIMIT_PER_MINUTE || 20);
+
+    this.channels = [
+      new SlackChannel({
+        webhookUrl: process.env.ALERTING_WEBHOOK_URL,
+        minSeverity: process.env.ALERT_SLACK_MIN_SEVERITY || 'warning',
+      }),
+      new PagerDutyChannel({
+        routingKey: process.env.PAGERDUTY_ROUTING_KEY,
+        eventsUrl: process.env.PAGERDUTY_EVENTS_URL || 'https://events.pagerduty.com/v2/enqueue',
+        minSeverity: process.env.ALERT_PAGERDUTY_MIN_SEVERITY || 'critical',
+      }),
+      new EmailChannel({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.ALERT_EMAIL_FROM || 'alerts@withdrawal-service.local',
+        to: process.env.ALERT_EMAIL_TO,
+        minSeverity: process.env.ALERT_EMAIL_MIN_SEVERITY || 'warning',
+      }),
+    ].filter((channel) => channel.isConfigured());
+
+    for (const channel of this.channels) {
+      if (!SEVERITY_LEVELS.includes(channel.minSeverity)) {
+        throw new Error(`Invalid minimum severity '${channel.minSeverity}' for alert channel '${channel.name}'.`);
+      }
+    }
+  }
+
   /**
-   * Sends an alert for a critical event.
+   * Sends an alert to every channel whose routing rule matches its severity.
+   * Never throws: alerting problems are logged and recorded on the `AlertEvent`.
    * @param {string} title - The title of the alert.
    * @param {object} details - An object containing details about the event.
+   * @param {object} [options]
+   * @param {string} [options.severity='critical'] - info, warning or critical.
+   * @param {string} [options.dedupKey] - Identifies repeats of the same underlying problem.
+   * @returns {Promise<object|undefined>} The persisted `AlertEvent`.
    */
-  async sendAlert(title, details) {
-    console.error('\n==================== [CRITICAL ALERT] ====================');
-    console.error(`Title: ${title}`);
-    console.error('Details:', JSON.stringify(details, null, 2));
-    console.error('========================================================\n');
-
-    // Example integration with a webhook-based service like Slack or PagerDuty
-    const webhookUrl = process.env.ALERTING_WEBHOOK_URL;
-    if (webhookUrl) {
-      // The 'fetch' API is available in Node.js v18+
-      // For older versions, you might use a library like 'axios'.
-      // await fetch(webhookUrl, { ... });
+  async sendAlert(title, details, { severity = 'critical', dedupKey } = {}) {
+    const alert = { title, details, severity, dedupKey, createdAt: new Date().toISOString() };
+
+    log.error(`${severity.toUpperCase()} ALERT: ${title}`, { severity, dedupKey, details });
+
+    try {
+      const status = await this.evaluateThrottling(alert);
+      const channelResults = {};
+
+      if (status === 'SENT') {
+        const routed = this.channels.filter(
+          (channel) => SEVERITY_LEVELS.indexOf(severity) >= SEVERITY_LEVELS.indexOf(channel.minSeverity)
+        );
+        await Promise.all(
+          routed.map(async (channel) => {
+            try {
+              await channel.send(alert);
+              channelResults[channel.name] = 'OK';
+            } catch (e) {
+              channelResults[channel.name] = e.message;
+              log.error(`Channel '${channel.name}' failed to send '${title}'.`, { error: e.message });
+            }
+          })
+        );
+      } else {
+        log.warn(`Alert '${title}' (${dedupKey || 'no dedup key'}) not sent: ${status}.`);
+      }
+
+      const allChannelsFailed =
+        Object.keys(channelResults).length > 0 && Object.values(channelResults).every((result) => result !== 'OK');
+
+      return await this.prisma.alertEvent.create({
+        data: {
+          title,
+          severity,
+          dedupKey,
+          details,
+          status: allChannelsFailed ? 'FAILED' : status,
+          channels: channelResults,
+        },
+      });
+    } catch (e) {
+      log.error(`Failed to process alert '${title}'.`, { error: e.message });
+      return undefined;
     }
   }
+
+  /**
+   * Decides whether an alert should go out, based on previously recorded alerts.
+   * @returns {Promise<'SENT'|'SUPPRESSED'|'RATE_LIMITED'>}
+   */
+  async evaluateThrottling(alert) {
+    if (!SEVERITY_LEVELS.includes(alert.severity)) {
+      throw new Error(`Invalid alert severity '${alert.severity}'.`);
+    }
+
+    if (alert.dedupKey) {
+      const recent = await this.prisma.alertEvent.findFirst({
+        where: {
+          dedupKey: alert.dedupKey,
+          status: { in: ['SENT', 'FAILED'] },
+          createdAt: { gte: new Date(Date.now() - this.dedupWindowMs) },
+        },
+      });
+      if (recent) return 'SUPPRESSED';
+    }
+
+    // Critical alerts are never rate-limited, only deduplicated.
+    if (alert.severity !== 'critical') {
+      const sentLastMinute = await this.prisma.alertEvent.count({
+        where: { status: 'SENT', createdAt: { gte: new Date(Date.now() - 60 * 1000) } },
+      });
+      if (sentLastMinute >= this.rateLimitPerMinute) return 'RATE_LIMITED';
+    }
+
+    return 'SENT';
+  }
+
+  /**
+   * Retrieves the alert history for on-call, newest first.
+   * @param {object} options - Filter and pagination options.
+   * @param {number} options.page - The current page number.
+   * @param {number} options.pageSize - The number of items per page.
+   * @param {string} [options.severity] - Only return alerts of this severity.
+   * @param {string} [options.status] - Only return alerts with this status.
+   */
+  async getAlertHistory({ page = 1, pageSize = 20, severity, status }) {
+    const where = { severity, status };
+    const [alerts, total] = await this.prisma.$transaction([
+      this.prisma.alertEvent.findMany({
+        where,
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        orderBy: { createdAt: 'desc' },
+      }),
+      this.prisma.alertEvent.count({ where }),
+    ]);
+
+    return {
+      data: alerts,
+      pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) },
+    };
+  }
 }
 
-module.exports = new AlertingService();
\ No newline at end of file
+module.exports = new AlertingService();
+module.exports.SEVERITY_LEVELS = SEVERITY_LEVELS;
@@ -0,0 +1,99 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./audit_service');
+const logger = require('./logger');
+
+const log = logger.child('auth');
+
+/**
+ * API Client Service
+ *
+ * Manages the API keys used by banks (and operators) to call the service:
+ * - Issuing new keys. Only a SHA-256 hash of each key is persisted.
+ * - Resolving a presented bearer token to an active client.
+ */
+
+const API_KEY_PREFIX = 'sk_live_';
+const CLIENT_ROLES = ['CLIENT', 'OPERATOR'];
+
+class ApiClientService {
+  constructor() {
+    this.prisma = new PrismaClient();
+  }
+
+  /**
+   * Hashes an API key for storage and lookup.
+   * @param {string} apiKey - The plaintext API key.
+   * @returns {string} The hex-encoded SHA-256 digest.
+   */
+  hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Issues a new API key for a client.
+   * The plaintext key is only returned here and cannot be recovered later.
+   * @param {string} name - A human-readable name for the client (e.g. the bank).
+   * @param {string} [role='CLIENT'] - CLIENT or OPERATOR.
+   * @returns {Promise<{clientId: string, name: string, role: string, apiKey: string}>}
+   */
+  async createClient(name, role = 'CLIENT') {
+    if (!CLIENT_ROLES.includes(role)) {
+      throw new Error(`Invalid role '${role}'. Expected one of: ${CLIENT_ROLES.join(', ')}.`);
+    }
+
+    const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const client = await this.prisma.apiClient.create({
+      data: {
+        name,
+        role,
+        apiKeyHash: this.hashApiKey(apiKey),
+        apiKeyPrefix: apiKey.substring(0, API_KEY_PREFIX.length + 6),
+      },
+    });
+    await auditService.recordChange('API_CLIENT', null, client, {
+      action: 'CREATED',
+      details: { apiKeyPrefix: client.apiKeyPrefix },
+    });
+
+    return { clientId: client.id, name: client.name, role: client.role, apiKey };
+  }
+
+  /**
+   * Resolves an API key to an active client.
+   * @param {string} apiKey - The plaintext API key presented by the caller.
+   * @returns {Promise<object|null>} The client record, or null if the key is unknown or revoked.
+   */
+  async authenticate(apiKey) {
+    const client = await this.prisma.apiClient.findUnique({
+      where: { apiKeyHash: this.hashApiKey(apiKey) },
+    });
+
+    if (!client || !client.isActive) {
+      return null;
+    }
+
+    // Best-effort bookkeeping; a failure here must not block the request.
+    this.prisma.apiClient
+      .update({ where: { id: client.id }, data: { lastUsedAt: new Date() } })
+      .catch((e) => log.error(`Failed to update lastUsedAt for client ${client.id}.`, { error: e.message }));
+
+    return client;
+  }
+
+  /**
+   * Revokes a client's API key.
+   * @param {string} clientId - The ID of the client to deactivate.
+   */
+  async revokeClient(clientId) {
+    const before = await this.prisma.apiClient.findUnique({ where: { id: clientId } });
+    const revoked = await this.prisma.apiClient.update({
+      where: { id: clientId },
+      data: { isActive: false },
+    });
+    await auditService.recordChange('API_CLIENT', before, revoked, { action: 'REVOKED' });
+  }
+}
+
+module.exports = new ApiClientService();
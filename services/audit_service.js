@@ -0,0 +1,336 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { PrismaClient } = require('@prisma/client');
+const alertingService = require('./alerting_service');
+const logger = require('./logger');
+
+const log = logger.child('audit');
+
+/**
+ * Audit Service
+ *
+ * Keeps the append-only audit log of every state change and operator action:
+ * - Each entry records the actor (API client, operator, worker job or system component),
+ *   the audited fields of the entity before and after the change, and the details.
+ * - Entries are hash-chained: each hash covers the entry's content and the previous
+ *   entry's hash. Appends from the API server and the workers are serialized with a
+ *   Postgres advisory lock, so the chain never forks.
+ * - Each entity's entries are also numbered, so a removed entry shows up as a gap in
+ *   the entity's trail even without verifying the whole chain.
+ *
+ * Worker jobs run their handlers with `runAs(jobActor(job), ...)`, so that the changes
+ * made deep in the services are attributed to the job without passing it around.
+ * Changes made for an API caller pass the actor explicitly.
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Key of the advisory lock that serializes appends (any constant unique to this table).
+const AUDIT_LOCK_KEY = 4_207_311;
+
+const ENTITY_TYPES = ['WITHDRAWAL_REQUEST', 'WITHDRAWAL_BATCH', 'RAW_BROADCAST', 'API_CLIENT', 'RECONCILIATION_REPORT'];
+
+// The fields captured in the before/after state of each entity type. Secrets are never audited.
+const STATE_FIELDS = {
+  WITHDRAWAL_REQUEST: ['status', 'errorCode', 'errorMessage', 'txHash', 'nonce', 'signerId', 'batchId', 'blockNumber', 'blockHash', 'policyRule'],
+  WITHDRAWAL_BATCH: ['status', 'txHash', 'nonce', 'signerId', 'blockNumber', 'blockHash', 'errorMessage'],
+  RAW_BROADCAST: ['status', 'txHash', 'errorMessage', 'blockNumber', 'blockHash'],
+  API_CLIENT: ['name', 'role', 'isActive', 'webhookUrl'],
+  RECONCILIATION_REPORT: ['status', 'chainId', 'treasuryContractAddress', 'fromTime', 'toTime', 'fromBlock', 'toBlock'],
+};
+
+/**
+ * Serializes a value as JSON with sorted keys, so that the same content always hashes the
+ * same, including after a round trip through a JSONB column.
+ */
+function canonicalJson(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (typeof value === 'bigint') return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// The value as it will read back from the database (dates and bigints as strings).
+function normalize(value) {
+  return value === null || value === undefined ? null : JSON.parse(canonicalJson(value));
+}
+
+function hashEntry(entry) {
+  const content = canonicalJson({
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    entitySequence: entry.entitySequence,
+    requestId: entry.requestId,
+    action: entry.action,
+    actorType: entry.actorType,
+    actorId: entry.actorId,
+    actorName: entry.actorName,
+    before: entry.before,
+    after: entry.after,
+    details: entry.details,
+    previousHash: entry.previousHash,
+    createdAt: entry.createdAt,
+  });
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+class AuditService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.context = new AsyncLocalStorage();
+    this.ENTITY_TYPES = ENTITY_TYPES;
+  }
+
+  /**
+   * @param {object} user - The authenticated caller (`req.user`).
+   * @returns {object} The actor for changes made through the API.
+   */
+  userActor(user) {
+    return { type: user.role === 'OPERATOR' ? 'OPERATOR' : 'CLIENT', id: user.clientId, name: user.name };
+  }
+
+  /**
+   * @param {string} clientId - The API client that submitted the request.
+   */
+  clientActor(clientId) {
+    return { type: 'CLIENT', id: clientId || 'unknown' };
+  }
+
+  /**
+   * @param {import('bullmq').Job} job - The BullMQ job making the change.
+   */
+  jobActor(job) {
+    return { type: 'WORKER', id: `${job.queueName}:${job.id}`, name: job.name };
+  }
+
+  /**
+   * @param {string} component - The part of the service making the change, e.g. `finality`.
+   */
+  systemActor(component) {
+    return { type: 'SYSTEM', id: component };
+  }
+
+  /**
+   * Runs `fn` with `actor` as the default actor of the changes it records.
+   */
+  runAs(actor, fn) {
+    return this.context.run(actor, fn);
+  }
+
+  currentActor() {
+    return this.context.getStore() || this.systemActor('unknown');
+  }
+
+  /**
+   * Appends an entry for a change of an entity. Never throws: the change itself has already
+   * been made, so a failed append is logged and alerted on instead.
+   * @param {string} entityType - One of `ENTITY_TYPES`.
+   * @param {object|null} before - The entity before the change (null when it is created).
+   * @param {object} after - The entity after the change.
+   * @param {object} [options]
+   * @param {string} [options.action='STATUS_CHANGED'] - What happened, e.g. CREATED or APPROVED.
+   * @param {object} [options.details] - Context of the change: reasons, comments, tx hashes.
+   * @param {object} [options.actor] - Who made the change. Defaults to the actor of `runAs`.
+   * @returns {Promise<object|null>} The `AuditLogEntry`, or null if it could not be written.
+   */
+  async recordChange(entityType, before, after, { action = 'STATUS_CHANGED', details, actor } = {}) {
+    const entity = after || before;
+    return this.append({
+      entityType,
+      entityId: entity.id,
+      requestId: entityType === 'WITHDRAWAL_REQUEST' ? entity.requestId : null,
+      action,
+      actor: actor || this.currentActor(),
+      before: this.snapshot(entityType, before),
+      after: this.snapshot(entityType, after),
+      details,
+    });
+  }
+
+  snapshot(entityType, record) {
+    if (!record) return null;
+    return Object.fromEntries(STATE_FIELDS[entityType].filter((field) => field in record).map((field) => [field, record[field]]));
+  }
+
+  async append({ entityType, entityId, requestId, action, actor, before, after, details }) {
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(${AUDIT_LOCK_KEY}::bigint)`;
+        const last = await tx.auditLogEntry.findFirst({ orderBy: { id: 'desc' }, select: { hash: true } });
+        const lastOfEntity = await tx.auditLogEntry.findFirst({
+          where: { entityType, entityId },
+          orderBy: { entitySequence: 'desc' },
+          select: { entitySequence: true },
+        });
+
+        const entry = {
+          entityType,
+          entityId,
+          entitySequence: (lastOfEntity?.entitySequence || 0) + 1,
+          requestId: requestId || null,
+          action,
+          actorType: actor.type,
+          actorId: actor.id,
+          actorName: actor.name || null,
+          before: normalize(before),
+          after: normalize(after),
+          details: normalize(details),
+          previousHash: last ? last.hash : GENESIS_HASH,
+          createdAt: new Date(),
+        };
+        entry.hash = hashEntry(entry);
+
+        return tx.auditLogEntry.create({
+          data: {
+            ...entry,
+            // Prisma writes SQL NULL for undefined Json fields
+            before: entry.before ?? undefined,
+            after: entry.after ?? undefined,
+            details: entry.details ?? undefined,
+          },
+        });
+      });
+    } catch (error) {
+      log.error(`Failed to record ${action} of ${entityType} ${entityId} by ${actor.type} ${actor.id}.`, { error: error.message, entityType, entityId, requestId, action });
+      await alertingService.sendAlert('Audit Log Write Failed', {
+        entityType, entityId, requestId, action, actorType: actor.type, actorId: actor.id, error: error.message,
+      }, { severity: 'critical', dedupKey: `audit-failed:${entityType}:${entityId}` });
+      return null;
+    }
+  }
+
+  /**
+   * Checks one entry against its recorded hash and the hash of the entry before it.
+   * @returns {string|null} What is wrong with the entry, or null if it is intact.
+   */
+  checkEntry(entry, expectedPreviousHash) {
+    if (hashEntry(entry) !== entry.hash) {
+      return 'The entry content does not match its hash (the entry was modified).';
+    }
+    if (entry.previousHash !== expectedPreviousHash) {
+      return 'The entry does not link to the entry before it (an entry was removed or inserted).';
+    }
+    return null;
+  }
+
+  /**
+   * Verifies the hash chain over a range of entries, in batches.
+   * @param {object} [range]
+   * @param {number} [range.fromId] - First entry to verify (default: the start of the log).
+   * @param {number} [range.toId] - Last entry to verify (default: the end of the log).
+   * @returns {Promise<{valid: boolean, checked: number, lastId: number|null, lastHash: string|null, firstInvalid?: object}>}
+   */
+  async verifyChain({ fromId, toId } = {}) {
+    let expectedPreviousHash = GENESIS_HASH;
+    if (fromId) {
+      const previous = await this.prisma.auditLogEntry.findFirst({
+        where: { id: { lt: fromId } },
+        orderBy: { id: 'desc' },
+        select: { hash: true },
+      });
+      expectedPreviousHash = previous ? previous.hash : GENESIS_HASH;
+    }
+
+    let afterId = fromId ? fromId - 1 : 0;
+    let checked = 0;
+    let lastHash = null;
+    for (;;) {
+      const entries = await this.prisma.auditLogEntry.findMany({
+        where: { id: { gt: afterId, lte: toId } },
+        orderBy: { id: 'asc' },
+        take: 1000,
+      });
+      if (entries.length === 0) break;
+
+      for (const entry of entries) {
+        const problem = this.checkEntry(entry, expectedPreviousHash);
+        if (problem) {
+          return { valid: false, checked, lastId: afterId || null, lastHash, firstInvalid: { id: entry.id, reason: problem } };
+        }
+        expectedPreviousHash = entry.hash;
+        lastHash = entry.hash;
+        afterId = entry.id;
+        checked += 1;
+      }
+    }
+    return { valid: true, checked, lastId: afterId || null, lastHash };
+  }
+
+  /**
+   * Verifies the trail of one entity: the numbering of its entries, their hashes, and their
+   * links to the entries just before and after them in the chain.
+   * @returns {Promise<{valid: boolean, checked: number, problems: object[]}>}
+   */
+  async verifyEntity(entityType, entityId) {
+    const entries = await this.prisma.auditLogEntry.findMany({
+      where: { entityType, entityId },
+      orderBy: { entitySequence: 'asc' },
+    });
+
+    const problems = [];
+    for (const [i, entry] of entries.entries()) {
+      const report = (reason) => problems.push({ id: entry.id, entitySequence: entry.entitySequence, reason });
+      if (entry.entitySequence !== i + 1) {
+        report(`Expected entry #${i + 1} of the trail (an entry was removed).`);
+      }
+
+      const previous = await this.prisma.auditLogEntry.findFirst({
+        where: { id: { lt: entry.id } },
+        orderBy: { id: 'desc' },
+        select: { hash: true },
+      });
+      const problem = this.checkEntry(entry, previous ? previous.hash : GENESIS_HASH);
+      if (problem) report(problem);
+
+      const next = await this.prisma.auditLogEntry.findFirst({
+        where: { id: { gt: entry.id } },
+        orderBy: { id: 'asc' },
+        select: { id: true, previousHash: true },
+      });
+      if (next && next.previousHash !== entry.hash) {
+        report(`Entry ${next.id} does not link to this entry (an entry was removed or inserted after it).`);
+      }
+    }
+    return { valid: problems.length === 0, checked: entries.length, problems };
+  }
+
+  /**
+   * Lists entries, newest first.
+   */
+  async getEntries({ page = 1, pageSize = 50, entityType, entityId, requestId, actorId, action }) {
+    const where = { entityType, entityId, requestId, actorId, action };
+    const [entries, total] = await this.prisma.$transaction([
+      this.prisma.auditLogEntry.findMany({
+        where,
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        orderBy: { id: 'desc' },
+      }),
+      this.prisma.auditLogEntry.count({ where }),
+    ]);
+
+    return {
+      data: entries,
+      pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) },
+    };
+  }
+
+  /**
+   * @param {string} requestId - The client's request ID.
+   * @returns {Promise<object[]>} The request's audit trail, oldest first.
+   */
+  async getRequestTrail(requestId) {
+    return this.prisma.auditLogEntry.findMany({
+      where: { entityType: 'WITHDRAWAL_REQUEST', requestId },
+      orderBy: { entitySequence: 'asc' },
+    });
+  }
+}
+
+module.exports = new AuditService();
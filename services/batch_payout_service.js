@@ -0,0 +1,391 @@
+require('dotenv').config();
+const { ethers } = require('ethers');
+const { PrismaClient } = require('@prisma/client');
+const { Queue, UnrecoverableError } = require('bullmq');
+const webhookService = require('./webhook_service');
+const alertingService = require('./alerting_service');
+const safeMultiSigService = require('./safe_multisig_service');
+const txMonitorService = require('./tx_monitor_service');
+const nonceManager = require('./nonce_manager');
+const preflightService = require('./preflight_service');
+const signerService = require('./signer_service');
+const chainRegistry = require('./chain_registry');
+const ResilientProvider = require('./resilient_provider');
+const auditService = require('./audit_service');
+const { withdrawalStateMachine } = require('./state_machine');
+const logger = require('./logger');
+
+const log = logger.child('batch');
+
+/**
+ * Batch Payout Service
+ *
+ * Pays many small withdrawals from the same treasury and token in one transaction:
+ * - Requests opt in with `batch: true` on `/initiate` (or through `/initiate/batch`) and
+ *   are not enqueued individually.
+ * - The collector groups eligible PENDING_SIGNATURE requests by chain, treasury and token.
+ *   A group becomes a batch once its oldest request has waited `BATCH_WINDOW_MS`, or once
+ *   it reaches `BATCH_MAX_SIZE` requests.
+ * - Each request keeps its own bank signature: the batch is a Multicall3 `aggregate3` call
+ *   that runs each co-signed `execTransaction` on the treasury, in Safe nonce order.
+ *   The bank must therefore sign the requests of a burst with consecutive Safe nonces.
+ *   Requests whose nonce does not follow on are released to a later batch.
+ * - After broadcasting, the batch goes through the transaction monitor like a single
+ *   request; each item records the batch's tx hash and the index of its Transfer log.
+ */
+
+// Multicall3 is deployed at the same address on every registered chain.
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_INTERFACE = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+]);
+
+const ERC20_ABI = ['function decimals() view returns (uint8)'];
+const SAFE_NONCE_ABI = ['function nonce() view returns (uint256)'];
+
+const CONFIRMATION_TIMEOUT_MS = Number(process.env.TX_CONFIRMATION_TIMEOUT_MS || 2 * 60 * 1000);
+
+class BatchPayoutService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.windowMs = Number(process.env.BATCH_WINDOW_MS || 60 * 1000);
+    this.maxSize = Number(process.env.BATCH_MAX_SIZE || 50);
+    this.batchQueue = new Queue('withdrawal-batching', {
+      connection: {
+        host: process.env.REDIS_HOST || '127.0.0.1',
+        port: process.env.REDIS_PORT || 6379,
+      },
+      // Like single withdrawals, a retried batch reconciles its signed transaction first.
+      defaultJobOptions: {
+        attempts: 5,
+        backoff: { type: 'exponential', delay: 10000 },
+      },
+    });
+  }
+
+  /**
+   * Creates batches from the batchable requests that are ready, and enqueues them.
+   */
+  async collect() {
+    const pending = await this.prisma.withdrawalRequest.findMany({
+      where: {
+        batchable: true,
+        batchId: null,
+        status: 'PENDING_SIGNATURE',
+        // Expired requests are left to their expiry job.
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const groups = new Map();
+    for (const request of pending) {
+      const key = `${request.chainId}:${request.treasuryContractAddress.toLowerCase()}:${request.tokenContractAddress.toLowerCase()}`;
+      groups.set(key, [...(groups.get(key) || []), request]);
+    }
+
+    for (const requests of groups.values()) {
+      if (requests.length < this.maxSize && Date.now() - requests[0].createdAt.getTime() < this.windowMs) {
+        continue; // Wait for more requests within the window
+      }
+      for (let i = 0; i < requests.length; i += this.maxSize) {
+        await this.createBatch(requests.slice(i, i + this.maxSize));
+      }
+    }
+  }
+
+  async createBatch(requests) {
+    const [first] = requests;
+    const batch = await this.prisma.withdrawalBatch.create({
+      data: {
+        chainId: first.chainId,
+        treasuryContractAddress: first.treasuryContractAddress,
+        tokenContractAddress: first.tokenContractAddress,
+      },
+    });
+
+    // Requests cancelled or claimed by another collector in the meantime are skipped.
+    const { count } = await this.prisma.withdrawalRequest.updateMany({
+      where: { id: { in: requests.map((r) => r.id) }, batchId: null, status: 'PENDING_SIGNATURE' },
+      data: { batchId: batch.id },
+    });
+    if (count === 0) {
+      await this.prisma.withdrawalBatch.delete({ where: { id: batch.id } });
+      return;
+    }
+
+    await auditService.recordChange('WITHDRAWAL_BATCH', null, batch, {
+      action: 'CREATED',
+      details: { requests: count },
+    });
+    await this.batchQueue.add('process-batch', { batchId: batch.id });
+    log.info(`Created batch ${batch.id} with ${count} requests on treasury ${batch.treasuryContractAddress} (chain ${batch.chainId}).`, { batchId: batch.id, chainId: batch.chainId, requests: count });
+  }
+
+  loadBatch(batchId) {
+    return this.prisma.withdrawalBatch.findUnique({
+      where: { id: batchId },
+      include: {
+        items: { orderBy: { createdAt: 'asc' } },
+        transactions: { orderBy: { createdAt: 'asc' } },
+      },
+    });
+  }
+
+  /**
+   * Co-signs the batch's requests and broadcasts them in one multicall transaction.
+   * Throws like the single withdrawal job: errors with a `code` are retryable.
+   * @param {string} batchId - The ID of the `WithdrawalBatch`.
+   */
+  async processBatch(batchId) {
+    let batch = await this.loadBatch(batchId);
+    if (!batch || !['PENDING', 'PROCESSING'].includes(batch.status)) {
+      log.info(`Skipping batch ${batchId}, it is in state: ${batch?.status}.`, { batchId });
+      return;
+    }
+
+    if (!batch.signerId) {
+      batch.signerId = signerService.assignSigner(batch.chainId);
+      await this.prisma.withdrawalBatch.update({ where: { id: batch.id }, data: { signerId: batch.signerId } });
+    }
+    const serviceWallet = await signerService.getSigner(batch.signerId, batch.chainId);
+    const { provider } = serviceWallet;
+
+    // A previous attempt already signed the batch transaction: reconcile, never re-sign.
+    if (batch.transactions.length > 0) {
+      const { state, txHash } = await txMonitorService.recover(batch, serviceWallet);
+      log.info(`Recovered batch ${batch.id} from a previous attempt: ${state} (${txHash}).`, { batchId: batch.id, txHash });
+      return;
+    }
+
+    const decimals = await new ethers.Contract(batch.tokenContractAddress, ERC20_ABI, provider).decimals();
+    const currentNonce = await new ethers.Contract(batch.treasuryContractAddress, SAFE_NONCE_ABI, provider).nonce();
+
+    // --- Decode and bind every bank signature, then order them by Safe nonce ---
+    const candidates = [];
+    for (const item of batch.items.filter((i) => ['PENDING_SIGNATURE', 'PROCESSING'].includes(i.status))) {
+      let tokenAmount;
+      try {
+        tokenAmount = ethers.parseUnits(item.amount, decimals);
+      } catch (error) {
+        // e.g. more decimal places than the token has
+        await this.failItem(item, 'INVALID_AMOUNT', `Amount ${item.amount} is invalid for a token with ${decimals} decimals: ${error.message}`);
+        continue;
+      }
+      try {
+        const payload = safeMultiSigService.decodeBankPayload(item.partiallySignedTx);
+        safeMultiSigService.assertBoundToRequest(payload, item, tokenAmount);
+        candidates.push({ item, payload, tokenAmount });
+      } catch (error) {
+        await this.failItem(item, 'BANK_SIGNATURE_REJECTED', `Bank signature rejected: ${error.message}`);
+      }
+    }
+    candidates.sort((a, b) => (a.payload.safeTx.nonce < b.payload.safeTx.nonce ? -1 : 1));
+
+    // Only a run of consecutive nonces starting at the treasury's current nonce can execute.
+    const run = [];
+    const later = [];
+    for (const candidate of candidates) {
+      const expected = currentNonce + BigInt(run.length);
+      if (candidate.payload.safeTx.nonce < expected) {
+        await this.failItem(
+          candidate.item,
+          'BANK_SIGNATURE_REJECTED',
+          `Bank signature rejected: Safe nonce ${candidate.payload.safeTx.nonce} is below the next executable nonce ${expected}.`
+        );
+      } else if (candidate.payload.safeTx.nonce === expected && later.length === 0) {
+        run.push(candidate);
+      } else {
+        later.push(candidate);
+      }
+    }
+
+    // --- Co-sign the run; a failing item ends it, and the items after it wait for a later batch ---
+    const executed = [];
+    for (const candidate of run) {
+      try {
+        const coSigned = await safeMultiSigService.coSign(candidate.payload, serviceWallet, executed.length);
+        const txRequest = await safeMultiSigService.populateExecTransaction(coSigned.safe, candidate.payload.safeTx, coSigned.signatures);
+        executed.push({ ...candidate, callData: txRequest.data });
+      } catch (error) {
+        if (ResilientProvider.isTransientError(error)) throw error; // Connectivity problems are retried
+        await this.failItem(candidate.item, 'BANK_SIGNATURE_REJECTED', `Bank signature rejected: ${error.message}`);
+        break;
+      }
+    }
+    await this.releaseItems([...run.slice(executed.length).filter((c) => c.item.status !== 'FAILED'), ...later].map((c) => c.item));
+
+    if (executed.length === 0) {
+      const failed = await this.prisma.withdrawalBatch.update({
+        where: { id: batch.id },
+        data: { status: 'FAILED', errorMessage: 'No request in the batch can be executed at the treasury\'s current Safe nonce.' },
+      });
+      await auditService.recordChange('WITHDRAWAL_BATCH', batch, failed);
+      log.warn(`Batch ${batch.id} has no executable requests.`, { batchId: batch.id });
+      return;
+    }
+
+    // --- Move the executed requests to PROCESSING, in execution order ---
+    for (const [batchIndex, { item }] of executed.entries()) {
+      const data = { batchIndex, signerId: batch.signerId, errorMessage: null, errorCode: null };
+      let processing = null;
+      let moved;
+      if (item.status === 'PENDING_SIGNATURE') {
+        processing = await withdrawalStateMachine.transition(this.prisma, item.id, 'PENDING_SIGNATURE', 'PROCESSING', data);
+        moved = processing !== null;
+      } else {
+        // Already PROCESSING in a previous attempt: only its place in the batch is updated.
+        const { count } = await this.prisma.withdrawalRequest.updateMany({ where: { id: item.id, status: 'PROCESSING' }, data });
+        moved = count === 1;
+      }
+      if (!moved) {
+        // Cancelled while the batch was being assembled: the nonce run is broken, start over.
+        throw new Error(`Request ${item.requestId} left the batch while it was assembled.`);
+      }
+      if (processing) {
+        await auditService.recordChange('WITHDRAWAL_REQUEST', item, processing, {
+          details: { batchId: batch.id, batchIndex },
+        });
+        await webhookService.notifyWithdrawalStatusChange(processing);
+      }
+    }
+    const processingBatch = await this.prisma.withdrawalBatch.update({ where: { id: batch.id }, data: { status: 'PROCESSING' } });
+    if (batch.status !== 'PROCESSING') {
+      await auditService.recordChange('WITHDRAWAL_BATCH', batch, processingBatch, {
+        details: { requests: executed.length },
+      });
+    }
+    batch = await this.loadBatch(batch.id);
+
+    const multicallAddress = chainRegistry.getChain(batch.chainId).multicallAddress || MULTICALL3_ADDRESS;
+    const txRequest = {
+      to: multicallAddress,
+      data: MULTICALL3_INTERFACE.encodeFunctionData('aggregate3', [
+        executed.map(({ callData }) => [batch.treasuryContractAddress, false, callData]),
+      ]),
+    };
+
+    const fees = await chainRegistry.getFees(batch.chainId);
+    const totalAmount = executed.reduce((sum, { tokenAmount }) => sum + tokenAmount, 0n);
+    const preflight = await preflightService.checkBatch(batch, serviceWallet, txRequest, fees, totalAmount);
+    if (!preflight.ok) {
+      await this.prisma.withdrawalRequest.updateMany({ where: { batchId: batch.id }, data: { errorCode: preflight.errorCode } });
+      throw new UnrecoverableError(`Pre-flight check failed: ${preflight.reason}`);
+    }
+
+    log.info(`Submitting batch ${batch.id} with ${executed.length} requests (Safe nonces ${currentNonce}..${currentNonce + BigInt(executed.length - 1)}).`, { batchId: batch.id, requests: executed.length });
+    const txHash = await txMonitorService.broadcast(batch, serviceWallet, { ...txRequest, gasLimit: preflight.gasLimit }, fees);
+    log.info(`Batch ${batch.id} broadcasted. TxHash: ${txHash}`, { batchId: batch.id, txHash });
+
+    let receipt;
+    try {
+      receipt = await provider.waitForTransaction(txHash, 1, CONFIRMATION_TIMEOUT_MS);
+    } catch (error) {
+      if (error.code !== 'TIMEOUT') throw error;
+      log.warn(`Batch transaction ${txHash} not mined within ${CONFIRMATION_TIMEOUT_MS}ms. Handing over to the transaction monitor.`, { batchId: batch.id, txHash });
+      return;
+    }
+
+    await txMonitorService.markMined(await this.loadBatch(batch.id), txHash, receipt);
+  }
+
+  /**
+   * Fails a single request. Unless the whole batch failed, the request is taken out of it.
+   * @returns {Promise<object|null>} The FAILED request, or null if it had left the batch's statuses.
+   */
+  async failItem(item, errorCode, errorMessage, detach = true) {
+    const failed = await withdrawalStateMachine.transition(this.prisma, item.id, ['PENDING_SIGNATURE', 'PROCESSING'], 'FAILED', {
+      errorCode,
+      errorMessage,
+      ...(detach && { batchId: null, batchIndex: null }),
+    });
+    const before = { ...item };
+    item.status = 'FAILED';
+    if (!failed) return null;
+
+    await auditService.recordChange('WITHDRAWAL_REQUEST', before, failed, {
+      details: { batchId: item.batchId, error: errorMessage },
+    });
+    await webhookService.notifyWithdrawalStatusChange(failed);
+    log.warn(`Request ${item.requestId} failed: ${errorMessage}`, { requestId: item.requestId, batchId: item.batchId, errorCode });
+    return failed;
+  }
+
+  /**
+   * Returns requests to the pool of the collector, for a later batch.
+   */
+  async releaseItems(items) {
+    for (const item of items) {
+      const detach = { batchId: null, batchIndex: null };
+      if (item.status !== 'PROCESSING') {
+        await this.prisma.withdrawalRequest.updateMany({ where: { id: item.id, status: 'PENDING_SIGNATURE' }, data: detach });
+        continue;
+      }
+      const released = await withdrawalStateMachine.transition(this.prisma, item.id, 'PROCESSING', 'PENDING_SIGNATURE', detach);
+      if (released) {
+        await auditService.recordChange('WITHDRAWAL_REQUEST', item, released, {
+          action: 'RELEASED_FROM_BATCH',
+          details: { batchId: item.batchId },
+        });
+        await webhookService.notifyWithdrawalStatusChange(released);
+      }
+    }
+    if (items.length > 0) {
+      log.info(`Released ${items.length} requests for a later batch: their Safe nonces do not follow on.`, { requestIds: items.map((item) => item.requestId) });
+    }
+  }
+
+  /**
+   * Handles a batch job that will not be retried again.
+   * @param {string} batchId - The ID of the `WithdrawalBatch`.
+   * @param {Error} err - The error of the last attempt.
+   * @param {boolean} unrecoverable - Whether the error can never succeed on a retry.
+   * @returns {Promise<object[]>} The requests it failed, for the dead-letter queue.
+   */
+  async handleFinalFailure(batchId, err, unrecoverable) {
+    const batch = await this.loadBatch(batchId);
+    if (!batch) return [];
+
+    const failedItems = [];
+    if (batch.transactions.length > 0 && !unrecoverable) {
+      // A signed transaction exists and may be on-chain: the transaction monitor reconciles it.
+      const latest = batch.transactions[batch.transactions.length - 1];
+      await txMonitorService.markBroadcasted(batch, latest.txHash);
+      log.warn(`Batch ${batch.id} has a signed transaction (${latest.txHash}); handed over to the transaction monitor.`, { batchId: batch.id, txHash: latest.txHash });
+    } else {
+      const failed = await this.prisma.withdrawalBatch.update({ where: { id: batch.id }, data: { status: 'FAILED', errorMessage: err.message } });
+      await auditService.recordChange('WITHDRAWAL_BATCH', batch, failed, {
+        details: { error: err.message, unrecoverable },
+      });
+      for (const item of batch.items) {
+        const failed = await this.failItem(item, item.errorCode, err.message, false);
+        if (failed) failedItems.push(failed);
+      }
+      if (batch.nonce !== null && batch.transactions.length === 0) {
+        // The reserved nonce was never used on-chain; hand it back to avoid a gap.
+        const released = await nonceManager.release(await signerService.getSigner(batch.signerId, batch.chainId), batch.nonce);
+        if (released) {
+          await this.prisma.withdrawalBatch.update({ where: { id: batch.id }, data: { nonce: null } });
+          await auditService.recordChange('WITHDRAWAL_BATCH', failed, { ...failed, nonce: null }, {
+            action: 'NONCE_RELEASED',
+            details: { nonce: batch.nonce, signerId: batch.signerId },
+          });
+        } else {
+          // Later nonces are in use: the gap stalls the signer until it is filled.
+          await alertingService.sendAlert('Withdrawal Nonce Gap', {
+            batchId: batch.id, chainId: batch.chainId, signerId: batch.signerId, nonce: batch.nonce,
+            action: 'Fill the nonce with a 0-value self-transfer.',
+          }, { severity: 'critical', dedupKey: `nonce-gap:${batch.chainId}:${batch.signerId}:${batch.nonce}` });
+        }
+      }
+    }
+
+    await alertingService.sendAlert('Withdrawal Batch Job Failed', {
+      batchId: batch.id, chainId: batch.chainId, requests: batch.items.length, error: err.message,
+    }, { severity: 'critical', dedupKey: `batch-failed:${batch.id}` });
+    return failedItems;
+  }
+}
+
+module.exports = new BatchPayoutService();
@@ -0,0 +1,175 @@
+require('dotenv').config();
+const { ethers } = require('ethers');
+const chainConfig = require('../config/chains');
+const ResilientProvider = require('./resilient_provider');
+const logger = require('./logger');
+
+const log = logger.child('chains');
+
+/**
+ * Chain Registry
+ *
+ * Resolves everything that depends on the chain a request was submitted for:
+ * - The enabled chains from `config/chains.js` (those with an RPC URL).
+ * - One provider per chain, shared by all jobs, that fails over between the chain's
+ *   RPC endpoints (see `resilient_provider.js`). Signers are resolved by `signer_service.js`.
+ * - The confirmation depth and the fee strategy of each chain.
+ */
+
+class ChainRegistry {
+  constructor() {
+    this.chains = new Map();
+    for (const [chainId, chain] of Object.entries(chainConfig)) {
+      if (chain.rpcUrls.length === 0) continue;
+      if (chain.rpcQuorum > chain.rpcUrls.length) {
+        throw new Error(`rpcQuorum ${chain.rpcQuorum} for chain ${chain.name} exceeds its ${chain.rpcUrls.length} RPC URLs.`);
+      }
+      this.chains.set(Number(chainId), { ...chain, chainId: Number(chainId) });
+    }
+
+    if (this.chains.size === 0) {
+      throw new Error('No chains are enabled. Set the RPC URL of at least one chain in config/chains.js.');
+    }
+
+    this.rpcOptions = {
+      timeoutMs: Number(process.env.RPC_TIMEOUT_MS || 10 * 1000),
+      failureThreshold: Number(process.env.RPC_CIRCUIT_FAILURE_THRESHOLD || 3),
+      cooldownMs: Number(process.env.RPC_CIRCUIT_COOLDOWN_MS || 30 * 1000),
+    };
+    this.providers = new Map();
+    log.info(`Enabled chains: ${this.getChains().map((c) => `${c.name} (${c.chainId})`).join(', ')}`);
+  }
+
+  /**
+   * @param {number} chainId - An EIP-155 chain ID.
+   * @returns {boolean} Whether the chain is registered and enabled.
+   */
+  isSupported(chainId) {
+    return this.chains.has(Number(chainId));
+  }
+
+  /**
+   * @returns {object[]} The enabled chains.
+   */
+  getChains() {
+    return [...this.chains.values()];
+  }
+
+  /**
+   * @param {number} chainId - An EIP-155 chain ID.
+   * @returns {object} The chain's configuration.
+   */
+  getChain(chainId) {
+    const chain = this.chains.get(Number(chainId));
+    if (!chain) {
+      throw new Error(`Unsupported chain_id ${chainId}.`);
+    }
+    return chain;
+  }
+
+  /**
+   * @param {number} chainId - An EIP-155 chain ID.
+   * @param {string|null} txHash
+   * @returns {string|null} The transaction's page on the chain's block explorer, if it has one.
+   */
+  getExplorerTxUrl(chainId, txHash) {
+    const chain = this.chains.get(Number(chainId));
+    return chain?.explorerUrl && txHash ? `${chain.explorerUrl}/tx/${txHash}` : null;
+  }
+
+  /**
+   * Returns the shared provider for a chain. Endpoint health and circuit state are
+   * kept for the lifetime of the process.
+   * @param {number} chainId - An EIP-155 chain ID.
+   * @returns {ResilientProvider}
+   */
+  getProvider(chainId) {
+    const chain = this.getChain(chainId);
+    if (!this.providers.has(chain.chainId)) {
+      this.providers.set(
+        chain.chainId,
+        new ResilientProvider({
+          chainId: chain.chainId,
+          name: chain.name,
+          urls: chain.rpcUrls,
+          quorum: chain.rpcQuorum,
+          ...this.rpcOptions,
+        })
+      );
+    }
+    return this.providers.get(chain.chainId);
+  }
+
+  /**
+   * Returns the confirmation depth required for a transaction on a chain.
+   * @param {number} chainId - An EIP-155 chain ID.
+   * @param {string} [tokenAddress] - The token contract (or transaction recipient) address.
+   * @returns {number}
+   */
+  getRequiredConfirmations(chainId, tokenAddress) {
+    const { confirmations, tokenConfirmations = {} } = this.getChain(chainId);
+    return (tokenAddress && tokenConfirmations[tokenAddress.toLowerCase()]) || confirmations;
+  }
+
+  /**
+   * Returns EIP-1559 fees for a new transaction, following the chain's gas strategy.
+   * @param {number} chainId - An EIP-155 chain ID.
+   * @returns {Promise<{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}>}
+   */
+  async getFees(chainId) {
+    const chain = this.getChain(chainId);
+    const feeData = await this.getProvider(chainId).getFeeData();
+    if (feeData.maxFeePerGas === null || feeData.maxPriorityFeePerGas === null) {
+      throw new Error(`Chain ${chain.name} (${chain.chainId}) did not return EIP-1559 fee data.`);
+    }
+
+    const minPriorityFee = ethers.parseUnits(chain.gas.minPriorityFeeGwei || '0', 'gwei');
+    const maxPriorityFeePerGas =
+      feeData.maxPriorityFeePerGas > minPriorityFee ? feeData.maxPriorityFeePerGas : minPriorityFee;
+
+    // Keep the provider's base fee headroom on top of the (possibly raised) tip.
+    const maxFeePerGas = feeData.maxFeePerGas - feeData.maxPriorityFeePerGas + maxPriorityFeePerGas;
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  /**
+   * @param {number} chainId - An EIP-155 chain ID.
+   * @returns {bigint|null} The configured maxFeePerGas ceiling for the chain, if any.
+   */
+  getMaxFeePerGas(chainId) {
+    const ceiling = this.getChain(chainId).gas.maxFeePerGasGwei || process.env.MAX_FEE_PER_GAS_GWEI;
+    return ceiling ? ethers.parseUnits(ceiling, 'gwei') : null;
+  }
+
+  /**
+   * Probes every RPC endpoint of every enabled chain.
+   * @returns {Promise<object>} Per chain: an overall status (OK, DEGRADED below quorum, ERROR
+   *   with no reachable endpoint) and the status of each endpoint.
+   */
+  async checkRpcHealth() {
+    const results = await Promise.all(
+      this.getChains().map(async (chain) => {
+        const endpoints = await this.getProvider(chain.chainId).probe();
+        const reachable = endpoints.filter((endpoint) => endpoint.status === 'OK').length;
+        let status = 'OK';
+        if (reachable === 0) status = 'ERROR';
+        else if (reachable < chain.rpcQuorum) status = 'DEGRADED';
+        return [chain.name, { chainId: chain.chainId, status, quorum: chain.rpcQuorum, endpoints }];
+      })
+    );
+    return Object.fromEntries(results);
+  }
+
+  /**
+   * Closes every provider opened by the registry.
+   */
+  destroy() {
+    for (const provider of this.providers.values()) {
+      provider.destroy();
+    }
+    this.providers.clear();
+  }
+}
+
+module.exports = new ChainRegistry();
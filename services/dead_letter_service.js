@@ -0,0 +1,338 @@
+require('dotenv').config();
+const { ethers } = require('ethers');
+const { PrismaClient } = require('@prisma/client');
+const withdrawalManager = require('./withdrawal_manager');
+const batchPayoutService = require('./batch_payout_service');
+const webhookService = require('./webhook_service');
+const auditService = require('./audit_service');
+const reconciliationService = require('./reconciliation_service');
+const chainRegistry = require('./chain_registry');
+const { withdrawalStateMachine } = require('./state_machine');
+const logger = require('./logger');
+
+const log = logger.child('dead-letter');
+
+/**
+ * Dead Letter Service
+ *
+ * Keeps the withdrawal jobs that failed their last attempt, with the error of each attempt,
+ * and the operator actions that take their request out of FAILED:
+ * - Retry: runs the same job once more. Its attempt history is kept.
+ * - Requeue: enqueues a new job for the request, with a full set of attempts.
+ * - Force-fail: rejects the request permanently, so it can no longer be retried.
+ * - Resolve: completes the request with a payout that was made on-chain by other means,
+ *   once the transaction is verified to transfer the requested amount.
+ *
+ * Requests with a signed transaction, or in a batch with one, are never retried or requeued:
+ * a second signature could pay the withdrawal twice. They can only be resolved or force-failed.
+ * A failed batch job has an entry per request; its requests are requeued one by one.
+ */
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+const DEAD_LETTER_STATUSES = ['OPEN', 'RETRIED', 'REQUEUED', 'FORCE_FAILED', 'RESOLVED'];
+
+/**
+ * The transactions signed for a request: its own, or those of the batch it was paid in.
+ */
+function signedTransactions(request) {
+  return [...request.transactions, ...(request.batch?.transactions || [])];
+}
+
+class DeadLetterService {
+  constructor() {
+    this.prisma = new PrismaClient();
+  }
+
+  /**
+   * Records a withdrawal or batch job that failed its last attempt, for one of its requests.
+   * A retried job that fails again reopens its entry.
+   * @param {import('bullmq').Job} job - The failed job.
+   * @param {Error} err - The error of the last attempt.
+   * @param {object} request - The FAILED `WithdrawalRequest`.
+   */
+  async record(job, err, request) {
+    const stacktrace = job.stacktrace || [];
+    // BullMQ keeps a limited number of stack traces, the most recent last.
+    const firstAttempt = job.attemptsMade - stacktrace.length + 1;
+    const attempts = stacktrace.map((stack, i) => ({ attempt: firstAttempt + i, error: stack.split('\n')[0], stack }));
+    const data = {
+      status: 'OPEN',
+      jobName: job.name,
+      attemptsMade: job.attemptsMade,
+      errorMessage: err.message,
+      attempts,
+      failedAt: new Date(job.finishedOn || Date.now()),
+      actionBy: null,
+      actionNote: null,
+      actedAt: null,
+    };
+
+    const entry = await this.prisma.deadLetterJob.upsert({
+      where: { queue_jobId_requestId: { queue: job.queueName, jobId: job.id, requestId: request.id } },
+      create: { ...data, queue: job.queueName, jobId: job.id, requestId: request.id },
+      update: data,
+    });
+    log.warn(`Request ${request.requestId} dead-lettered after ${job.attemptsMade} attempts.`, {
+      requestId: request.requestId, deadLetterId: entry.id,
+    });
+    return entry;
+  }
+
+  /**
+   * Lists dead-letter entries, most recent failure first, without the attempt stack traces.
+   */
+  async list({ page = 1, pageSize = 20, status }) {
+    const where = { status };
+    const [entries, total] = await this.prisma.$transaction([
+      this.prisma.deadLetterJob.findMany({
+        where,
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        orderBy: { failedAt: 'desc' },
+        include: {
+          request: {
+            select: {
+              requestId: true, status: true, chainId: true, amount: true, tokenContractAddress: true,
+              destinationAddress: true, errorCode: true, clientId: true,
+            },
+          },
+        },
+      }),
+      this.prisma.deadLetterJob.count({ where }),
+    ]);
+
+    return {
+      data: entries.map(({ attempts, ...entry }) => entry),
+      pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) },
+    };
+  }
+
+  /**
+   * Returns an entry with its attempts, its request's history and transactions, and the
+   * state of its job in the queue.
+   * @param {string} id - The `DeadLetterJob` ID.
+   */
+  async get(id) {
+    const entry = await this.prisma.deadLetterJob.findUnique({
+      where: { id },
+      include: {
+        request: {
+          include: {
+            history: { orderBy: { timestamp: 'asc' } },
+            transactions: {
+              orderBy: { createdAt: 'asc' },
+              select: { txHash: true, kind: true, status: true, nonce: true, createdAt: true },
+            },
+          },
+        },
+      },
+    });
+    if (!entry) return null;
+
+    const job = await this.queueOf(entry).getJob(entry.jobId);
+    return { ...entry, jobState: job ? await job.getState() : 'removed' };
+  }
+
+  /**
+   * Runs the entry's job once more, in place.
+   * @param {string} id - The `DeadLetterJob` ID.
+   * @param {object} operator - The authenticated operator (`req.user`).
+   * @param {string} [note] - Why the job is retried, e.g. the fix that was made.
+   */
+  async retry(id, operator, note) {
+    const entry = await this.loadOpen(id);
+    this.assertNotSigned(entry.request, 'retried');
+    if (this.queueOf(entry) === batchPayoutService.batchQueue) {
+      throw new Error('The job paid a batch of requests and cannot be retried for one of them. Requeue the request instead.');
+    }
+
+    const job = await withdrawalManager.withdrawalQueue.getJob(entry.jobId);
+    if (!job || !(await job.isFailed())) {
+      throw new Error('The job is no longer in the failed set of the queue. Requeue the request instead.');
+    }
+
+    const updated = await this.transition(entry, 'PENDING_SIGNATURE', { errorMessage: null, errorCode: null }, {
+      action: 'DEAD_LETTER_RETRIED', operator, details: { jobId: entry.jobId, note },
+    });
+    await job.retry();
+    await this.close(entry, 'RETRIED', operator, note);
+
+    log.info(`${operator.name} retried job ${entry.jobId} of request ${updated.requestId}.`, { requestId: updated.requestId });
+    return { id, status: 'RETRIED', requestId: updated.requestId, requestStatus: updated.status };
+  }
+
+  /**
+   * Enqueues a new job for the entry's request, with a full set of attempts.
+   * @param {string} id - The `DeadLetterJob` ID.
+   * @param {object} operator - The authenticated operator (`req.user`).
+   * @param {string} [note] - Why the request is requeued.
+   */
+  async requeue(id, operator, note) {
+    const entry = await this.loadOpen(id);
+    this.assertNotSigned(entry.request, 'requeued');
+
+    // A batch request leaves its failed batch, for the collector to put it in a new one.
+    const data = { errorMessage: null, errorCode: null, batchId: null, batchIndex: null };
+    const updated = await this.transition(entry, 'PENDING_SIGNATURE', data, {
+      action: 'DEAD_LETTER_REQUEUED', operator, details: { previousJobId: entry.jobId, note },
+    });
+    await withdrawalManager.enqueue(updated);
+    await this.close(entry, 'REQUEUED', operator, note);
+
+    log.info(`${operator.name} requeued request ${updated.requestId}.`, { requestId: updated.requestId });
+    return { id, status: 'REQUEUED', requestId: updated.requestId, requestStatus: updated.status };
+  }
+
+  /**
+   * Rejects the entry's request permanently.
+   * @param {string} id - The `DeadLetterJob` ID.
+   * @param {object} operator - The authenticated operator (`req.user`).
+   * @param {string} reason - Why the request will not be paid.
+   */
+  async forceFail(id, operator, reason) {
+    const entry = await this.loadOpen(id);
+    const pending = signedTransactions(entry.request).find((tx) => tx.status === 'PENDING');
+    if (pending) {
+      throw new Error(`Request has a pending transaction (${pending.txHash}) that may still be mined. Resolve it instead.`);
+    }
+
+    const updated = await this.transition(
+      entry,
+      'REJECTED',
+      { errorMessage: `Permanently rejected by ${operator.name}: ${reason}` },
+      { action: 'DEAD_LETTER_FORCE_FAILED', operator, details: { jobId: entry.jobId, reason } }
+    );
+    await this.close(entry, 'FORCE_FAILED', operator, reason);
+
+    log.info(`${operator.name} force-failed request ${updated.requestId}.`, { requestId: updated.requestId });
+    return { id, status: 'FORCE_FAILED', requestId: updated.requestId, requestStatus: updated.status };
+  }
+
+  /**
+   * Completes the entry's request with a payout made on-chain outside of the worker. The
+   * transaction must have transferred the requested amount of the token from the treasury
+   * to the destination. It then goes through the finality checks like any other.
+   * @param {string} id - The `DeadLetterJob` ID.
+   * @param {object} operator - The authenticated operator (`req.user`).
+   * @param {string} txHash - The hash of the payout transaction.
+   * @param {string} [note] - How the payout was made.
+   */
+  async resolve(id, operator, txHash, note) {
+    const entry = await this.loadOpen(id);
+    const { request } = entry;
+
+    const claimed = await this.prisma.withdrawalRequest.findFirst({
+      where: { txHash, id: { not: request.id } },
+      select: { requestId: true },
+    });
+    if (claimed) {
+      throw new Error(`Transaction ${txHash} is already the payout of request ${claimed.requestId}.`);
+    }
+
+    const provider = chainRegistry.getProvider(request.chainId);
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      throw new Error(`Transaction ${txHash} is not mined on chain ${request.chainId}.`);
+    }
+    if (receipt.status !== 1) {
+      throw new Error(`Transaction ${txHash} reverted on-chain.`);
+    }
+
+    const decimals = await reconciliationService.getDecimals(provider, request.chainId, request.tokenContractAddress);
+    const amount = ethers.parseUnits(request.amount, decimals);
+    const transfer = receipt.logs.find(
+      (entryLog) =>
+        entryLog.address.toLowerCase() === request.tokenContractAddress.toLowerCase() &&
+        entryLog.topics[0] === TRANSFER_TOPIC &&
+        ethers.getAddress(ethers.dataSlice(entryLog.topics[1], 12)) === ethers.getAddress(request.treasuryContractAddress) &&
+        ethers.getAddress(ethers.dataSlice(entryLog.topics[2], 12)) === ethers.getAddress(request.destinationAddress) &&
+        BigInt(entryLog.data) === amount
+    );
+    if (!transfer) {
+      throw new Error(
+        `Transaction ${txHash} does not transfer ${request.amount} of token ${request.tokenContractAddress} ` +
+          `from the treasury to ${request.destinationAddress}.`
+      );
+    }
+
+    const requiredConfirmations = chainRegistry.getRequiredConfirmations(request.chainId, request.tokenContractAddress);
+    const confirmations = await receipt.confirmations();
+    const status = confirmations >= requiredConfirmations ? 'COMPLETED' : 'CONFIRMING';
+
+    const updated = await this.transition(
+      entry,
+      status,
+      {
+        txHash,
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        confirmations,
+        requiredConfirmations,
+        logIndex: transfer.index,
+        errorMessage: null,
+        errorCode: null,
+      },
+      { action: 'DEAD_LETTER_RESOLVED', operator, details: { jobId: entry.jobId, txHash, blockNumber: receipt.blockNumber, note } }
+    );
+    await this.close(entry, 'RESOLVED', operator, note);
+
+    log.info(`${operator.name} resolved request ${updated.requestId} with transaction ${txHash}.`, { requestId: updated.requestId, txHash });
+    return { id, status: 'RESOLVED', requestId: updated.requestId, requestStatus: updated.status, txHash };
+  }
+
+  async loadOpen(id) {
+    const entry = await this.prisma.deadLetterJob.findUnique({
+      where: { id },
+      include: { request: { include: { transactions: true, batch: { include: { transactions: true } } } } },
+    });
+    if (!entry) {
+      throw new Error('Dead-letter entry not found.');
+    }
+    if (entry.status !== 'OPEN') {
+      throw new Error(`Dead-letter entry is already ${entry.status}.`);
+    }
+    return entry;
+  }
+
+  assertNotSigned(request, action) {
+    if (signedTransactions(request).length > 0) {
+      throw new Error(`Request has a signed transaction and cannot be ${action}: a new signature could pay it twice. Resolve or force-fail it instead.`);
+    }
+  }
+
+  /**
+   * Moves the entry's request out of FAILED, only if it is still FAILED.
+   */
+  async transition(entry, status, data, { action, operator, details }) {
+    const updated = await withdrawalStateMachine.transition(this.prisma, entry.requestId, 'FAILED', status, data);
+    if (!updated) {
+      throw new Error('Request is no longer FAILED: its status changed in the meantime.');
+    }
+
+    await auditService.recordChange('WITHDRAWAL_REQUEST', entry.request, updated, {
+      action,
+      actor: auditService.userActor(operator),
+      details: { deadLetterId: entry.id, ...details },
+    });
+    await webhookService.notifyWithdrawalStatusChange(updated);
+    return updated;
+  }
+
+  /**
+   * The queue the entry's job ran in.
+   */
+  queueOf(entry) {
+    return entry.queue === batchPayoutService.batchQueue.name ? batchPayoutService.batchQueue : withdrawalManager.withdrawalQueue;
+  }
+
+  async close(entry, status, operator, note) {
+    await this.prisma.deadLetterJob.update({
+      where: { id: entry.id },
+      data: { status, actionBy: operator.name, actionNote: note, actedAt: new Date() },
+    });
+  }
+}
+
+module.exports = new DeadLetterService();
+module.exports.DEAD_LETTER_STATUSES = DEAD_LETTER_STATUSES;
@@ -0,0 +1,94 @@
+require('dotenv').config();
+const Redis = require('ioredis');
+const logger = require('./logger');
+
+const log = logger.child('events');
+
+/**
+ * Event Stream
+ *
+ * Carries live withdrawal events from the process that writes a transition (worker,
+ * finality watcher or API) to the API processes serving `GET /api/v2/withdrawal/events`,
+ * over a Redis pub/sub channel:
+ * - `withdrawal.status_changed`: published with every webhook notification, so with every
+ *   status transition.
+ * - `withdrawal.confirmations_changed`: published by the finality watcher as a CONFIRMING
+ *   request gains confirmations.
+ *
+ * Events are not stored: subscribers only receive those published while they are connected,
+ * and reload the current state when they (re)connect.
+ */
+
+const CHANNEL = 'withdrawal-events';
+
+const connection = {
+  host: process.env.REDIS_HOST || '127.0.0.1',
+  port: process.env.REDIS_PORT || 6379,
+};
+
+class EventStream {
+  constructor() {
+    // Connections are opened on first use, so processes that never publish or subscribe hold none.
+    this.publisher = null;
+    this.subscriber = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Publishes an event to every subscribed API process.
+   * Never throws: a live update must not fail the status transition itself.
+   * @param {string|null} clientId - The client the event belongs to. Only that client and operators receive it.
+   * @param {string} type - The event type, e.g. `withdrawal.status_changed`.
+   * @param {object} data - The event data.
+   */
+  async publish(clientId, type, data) {
+    try {
+      if (!this.publisher) {
+        // Give up after one reconnection attempt while Redis is unreachable, instead of
+        // holding the transition back.
+        this.publisher = new Redis({ ...connection, maxRetriesPerRequest: 1 });
+        this.publisher.on('error', (error) => log.warn('Event publisher connection error.', { error: error.message }));
+      }
+      await this.publisher.publish(CHANNEL, JSON.stringify({ clientId, type, data, publishedAt: new Date().toISOString() }));
+    } catch (error) {
+      log.warn(`Failed to publish ${type}.`, { error: error.message, eventType: type });
+    }
+  }
+
+  /**
+   * Calls `listener` with every event published from now on.
+   * @param {Function} listener - Receives `{ clientId, type, data, publishedAt }`.
+   * @returns {Function} Unsubscribes the listener.
+   */
+  subscribe(listener) {
+    if (!this.subscriber) {
+      this.subscriber = new Redis(connection);
+      this.subscriber.on('error', (error) => log.warn('Event subscriber connection error.', { error: error.message }));
+      this.subscriber.on('message', (channel, message) => this.dispatch(message));
+      this.subscriber.subscribe(CHANNEL).catch((error) => {
+        log.error(`Failed to subscribe to ${CHANNEL}.`, { error: error.message });
+      });
+    }
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  dispatch(message) {
+    let event;
+    try {
+      event = JSON.parse(message);
+    } catch (error) {
+      log.warn('Ignoring a malformed event.', { error: error.message });
+      return;
+    }
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        log.error(`Event listener failed on ${event.type}.`, { error: error.message, eventType: event.type });
+      }
+    }
+  }
+}
+
+module.exports = new EventStream();
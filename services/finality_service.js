@@ -0,0 +1,208 @@
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { Queue } = require('bullmq');
+const webhookService = require('./webhook_service');
+const alertingService = require('./alerting_service');
+const chainRegistry = require('./chain_registry');
+const auditService = require('./audit_service');
+const eventStream = require('./event_stream');
+const { withdrawalStateMachine, broadcastStateMachine } = require('./state_machine');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const log = logger.child('finality');
+
+/**
+ * Finality Service
+ *
+ * Tracks mined transactions until they are buried deep enough to be final:
+ * - Following the head of every enabled chain.
+ * - Updating the confirmation count of CONFIRMING withdrawals and broadcasts (published
+ *   to the live event stream), and completing them once the required depth is reached.
+ * - Detecting transactions that left the canonical chain in a reorg and moving
+ *   them back to BROADCASTED for re-handling, with an alert.
+ */
+
+class FinalityService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.auditActor = auditService.systemActor('finality');
+    this.rawTxBroadcastQueue = new Queue('raw-tx-broadcasting', {
+      connection: {
+        host: process.env.REDIS_HOST || '127.0.0.1',
+        port: process.env.REDIS_PORT || 6379,
+      },
+    });
+  }
+
+  /**
+   * Runs one finality pass over all CONFIRMING withdrawals and broadcasts, chain by chain.
+   * A chain whose RPC is unavailable does not hold up the others.
+   */
+  async checkAll() {
+    for (const { chainId, name } of chainRegistry.getChains()) {
+      try {
+        const provider = chainRegistry.getProvider(chainId);
+        const head = await provider.getBlockNumber();
+        await this.checkWithdrawals(chainId, provider, head);
+        await this.checkBroadcasts(chainId, provider, head);
+      } catch (error) {
+        log.error(`Finality pass failed for chain ${name} (${chainId}).`, { error: error.message, chainId });
+      }
+    }
+  }
+
+  async checkWithdrawals(chainId, provider, head) {
+    const requests = await this.prisma.withdrawalRequest.findMany({ where: { chainId, status: 'CONFIRMING' } });
+
+    for (const request of requests) {
+      try {
+        const receipt = await provider.getTransactionReceipt(request.txHash);
+
+        if (!receipt) {
+          await this.handleWithdrawalReorg(request);
+          continue;
+        }
+        if (receipt.blockHash !== request.blockHash) {
+          log.warn(`Withdrawal ${request.requestId} tx ${request.txHash} moved from block ${request.blockNumber} to ${receipt.blockNumber} after a reorg.`, { requestId: request.requestId, txHash: request.txHash, blockNumber: receipt.blockNumber });
+        }
+
+        const confirmations = Math.max(head - receipt.blockNumber + 1, 0);
+        const data = { confirmations, blockNumber: receipt.blockNumber, blockHash: receipt.blockHash };
+
+        if (confirmations < request.requiredConfirmations) {
+          const { count } = await this.prisma.withdrawalRequest.updateMany({ where: { id: request.id, status: 'CONFIRMING' }, data });
+          if (count === 1 && confirmations !== request.confirmations) {
+            await eventStream.publish(request.clientId, 'withdrawal.confirmations_changed', {
+              requestId: request.requestId,
+              chainId,
+              txHash: request.txHash,
+              blockNumber: receipt.blockNumber,
+              confirmations,
+              requiredConfirmations: request.requiredConfirmations,
+            });
+          }
+          continue;
+        }
+
+        const completed = await withdrawalStateMachine.transition(this.prisma, request.id, 'CONFIRMING', 'COMPLETED', data);
+        if (completed) {
+          await auditService.recordChange('WITHDRAWAL_REQUEST', request, completed, {
+            actor: this.auditActor,
+            details: { confirmations, blockNumber: receipt.blockNumber },
+          });
+          await webhookService.notifyWithdrawalStatusChange(completed);
+          const minedAttempt = await this.prisma.withdrawalTransaction.findUnique({ where: { txHash: request.txHash } });
+          metrics.observeConfirmation('withdrawal', chainId, minedAttempt?.createdAt);
+          log.info(`Withdrawal ${request.requestId} is final after ${confirmations} confirmations.`, { requestId: request.requestId, txHash: request.txHash, confirmations });
+        }
+      } catch (error) {
+        log.error(`Failed to check withdrawal ${request.requestId}.`, { error: error.message, requestId: request.requestId, txHash: request.txHash });
+      }
+    }
+  }
+
+  async handleWithdrawalReorg(request) {
+    // The transaction monitor reconciles BROADCASTED requests: it waits for the
+    // transaction to be re-mined, or rebroadcasts the same signed bytes if it was dropped.
+    const reorged = await withdrawalStateMachine.transition(this.prisma, request.id, 'CONFIRMING', 'BROADCASTED', {
+      blockNumber: null,
+      blockHash: null,
+      confirmations: 0,
+    });
+    if (!reorged) return;
+
+    await auditService.recordChange('WITHDRAWAL_REQUEST', request, reorged, {
+      action: 'REORGED_OUT',
+      actor: this.auditActor,
+      details: { txHash: request.txHash, previousBlock: request.blockNumber, previousBlockHash: request.blockHash },
+    });
+    await webhookService.notifyWithdrawalStatusChange(reorged);
+
+    if (request.batchId) {
+      // The monitor reconciles the batch transaction, and with it every item of the batch.
+      const batch = await this.prisma.withdrawalBatch.findUnique({ where: { id: request.batchId } });
+      const { count: batchCount } = await this.prisma.withdrawalBatch.updateMany({
+        where: { id: request.batchId, status: 'MINED' },
+        data: { status: 'BROADCASTED', blockNumber: null, blockHash: null },
+      });
+      if (batchCount === 1) {
+        await auditService.recordChange('WITHDRAWAL_BATCH', batch, { ...batch, status: 'BROADCASTED', blockNumber: null, blockHash: null }, {
+          action: 'REORGED_OUT',
+          actor: this.auditActor,
+          details: { txHash: batch.txHash, previousBlock: batch.blockNumber, previousBlockHash: batch.blockHash },
+        });
+      }
+    }
+
+    log.warn(`Withdrawal ${request.requestId} tx ${request.txHash} was removed from the canonical chain by a reorg.`, { requestId: request.requestId, txHash: request.txHash, previousBlock: request.blockNumber });
+    await alertingService.sendAlert('Withdrawal Transaction Reorged Out', {
+      requestId: request.requestId, batchId: request.batchId, chainId: request.chainId, txHash: request.txHash, previousBlock: request.blockNumber, confirmations: request.confirmations,
+    }, { severity: 'critical', dedupKey: `reorg:${request.id}:${request.blockHash}` });
+  }
+
+  async checkBroadcasts(chainId, provider, head) {
+    const broadcasts = await this.prisma.rawTransactionBroadcast.findMany({ where: { chainId, status: 'CONFIRMING' } });
+
+    for (const broadcast of broadcasts) {
+      try {
+        const receipt = await provider.getTransactionReceipt(broadcast.txHash);
+
+        if (!receipt) {
+          await this.handleBroadcastReorg(broadcast);
+          continue;
+        }
+
+        const confirmations = Math.max(head - receipt.blockNumber + 1, 0);
+        const data = { confirmations, blockNumber: receipt.blockNumber, blockHash: receipt.blockHash };
+
+        if (confirmations < broadcast.requiredConfirmations) {
+          await this.prisma.rawTransactionBroadcast.updateMany({ where: { id: broadcast.id, status: 'CONFIRMING' }, data });
+          continue;
+        }
+
+        const confirmed = await broadcastStateMachine.transition(this.prisma, broadcast.id, 'CONFIRMING', 'CONFIRMED', data);
+        if (confirmed) {
+          await auditService.recordChange('RAW_BROADCAST', broadcast, confirmed, {
+            actor: this.auditActor,
+            details: { confirmations, blockNumber: receipt.blockNumber },
+          });
+          await webhookService.notifyBroadcastStatusChange(confirmed);
+          metrics.observeConfirmation('raw_broadcast', chainId, broadcast.createdAt);
+          log.info(`Broadcast ${broadcast.id} is final after ${confirmations} confirmations.`, { broadcastId: broadcast.id, txHash: broadcast.txHash, confirmations });
+        }
+      } catch (error) {
+        log.error(`Failed to check broadcast ${broadcast.id}.`, { error: error.message, broadcastId: broadcast.id, txHash: broadcast.txHash });
+      }
+    }
+  }
+
+  async handleBroadcastReorg(broadcast) {
+    const reorged = await broadcastStateMachine.transition(this.prisma, broadcast.id, 'CONFIRMING', 'BROADCASTED', {
+      blockNumber: null,
+      blockHash: null,
+      confirmations: 0,
+    });
+    if (!reorged) return;
+
+    await auditService.recordChange('RAW_BROADCAST', broadcast, reorged, {
+      action: 'REORGED_OUT',
+      actor: this.auditActor,
+      details: { txHash: broadcast.txHash, previousBlock: broadcast.blockNumber, previousBlockHash: broadcast.blockHash },
+    });
+    await webhookService.notifyBroadcastStatusChange(reorged);
+
+    // The broadcast worker rebroadcasts the same signed bytes if the node dropped them.
+    await this.rawTxBroadcastQueue.add('broadcast-raw-tx', { dbId: broadcast.id }, {
+      attempts: 3,
+      backoff: { type: 'exponential', delay: 5000 },
+    });
+
+    log.warn(`Broadcast ${broadcast.id} tx ${broadcast.txHash} was removed from the canonical chain by a reorg.`, { broadcastId: broadcast.id, txHash: broadcast.txHash, previousBlock: broadcast.blockNumber });
+    await alertingService.sendAlert('Raw Transaction Reorged Out', {
+      broadcastId: broadcast.id, chainId: broadcast.chainId, txHash: broadcast.txHash, previousBlock: broadcast.blockNumber,
+    }, { severity: 'warning', dedupKey: `reorg:${broadcast.id}:${broadcast.blockHash}` });
+  }
+}
+
+module.exports = new FinalityService();
@@ -0,0 +1,109 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured Logger
+ *
+ * Writes one JSON object per line to stdout (warnings and errors to stderr), so that log
+ * pipelines can index and filter on fields instead of parsing message text:
+ * - Each line carries the level, time, component and message, plus the fields passed in.
+ * - The fields of the current context are added to every line logged inside it. Worker
+ *   jobs run in a context with their queue, job ID and attempt number, API calls in one
+ *   with their correlation ID; code that learns a request ID or tx hash adds it with
+ *   `addContext`, so the lines that follow carry it too.
+ *
+ * Set `LOG_FORMAT=text` for the human-readable `[COMPONENT] message key=value` format in
+ * development, and `LOG_LEVEL` (debug, info, warn, error) to filter.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+function minLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+// Errors do not serialize to JSON on their own; bigints not at all.
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, ...(minLevel() <= LEVELS.debug && { stack: value.stack }) };
+  }
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+}
+
+class Logger {
+  /**
+   * @param {string} component - The part of the service logging, e.g. `worker` or `tx-monitor`.
+   */
+  constructor(component) {
+    this.component = component;
+  }
+
+  /**
+   * @param {string} component - The component of the new logger.
+   * @returns {Logger}
+   */
+  child(component) {
+    return new Logger(component);
+  }
+
+  /**
+   * Runs `fn` in a context whose fields are added to every line it logs.
+   * Nested contexts inherit the fields of the outer one.
+   * @param {object} fields - E.g. `{ jobId, attempt }`.
+   * @param {Function} fn
+   */
+  runWithContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+  }
+
+  /**
+   * Adds fields to the current context, for the rest of it. Outside a context, does nothing.
+   * @param {object} fields - E.g. `{ requestId, txHash }`.
+   */
+  addContext(fields) {
+    const store = context.getStore();
+    if (store) Object.assign(store, fields);
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  write(level, message, fields = {}) {
+    if (LEVELS[level] < minLevel()) return;
+
+    const entry = { ...context.getStore(), ...fields };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+    if (process.env.LOG_FORMAT === 'text') {
+      const pairs = Object.entries(entry)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => {
+          const serialized = serialize(value);
+          return `${key}=${typeof serialized === 'object' ? JSON.stringify(serialized) : serialized}`;
+        });
+      const tag = `${this.component.toUpperCase()}${level === 'info' || level === 'debug' ? '' : `-${level.toUpperCase()}`}`;
+      stream.write(`[${tag}] ${message}${pairs.length > 0 ? ` ${pairs.join(' ')}` : ''}\n`);
+      return;
+    }
+
+    stream.write(`${JSON.stringify({ time: new Date().toISOString(), level, component: this.component, msg: message, ...entry }, (key, value) => serialize(value))}\n`);
+  }
+}
+
+module.exports = new Logger('app');
+module.exports.LEVELS = LEVELS;
@@ -0,0 +1,239 @@
+const http = require('http');
+const client = require('prom-client');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+
+const log = logger.child('metrics');
+
+/**
+ * Metrics
+ *
+ * Prometheus metrics of the process it runs in. The API serves them on `/metrics`; the
+ * worker and the finality watcher have no HTTP server of their own and start a small one
+ * with `startServer`:
+ * - Queue depth by state, for the queues the process registered with `trackQueues`
+ *   (the worker registers all of them).
+ * - Job durations, retries and final failures per queue and job name.
+ * - Broadcast-to-confirmation latency of withdrawals and raw broadcasts.
+ * - Gas spent on withdrawals, per chain and token.
+ * - RPC calls, errors and latency per chain and endpoint.
+ * - API request durations per route and status, and the Node.js process defaults.
+ */
+
+const QUEUE_STATES = ['waiting', 'active', 'delayed', 'failed', 'completed', 'paused'];
+
+class Metrics {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry });
+    this.queues = [];
+
+    const registers = [this.registry];
+    const metrics = this;
+
+    this.queueJobs = new client.Gauge({
+      name: 'withdrawal_queue_jobs',
+      help: 'Jobs in each queue, by state.',
+      labelNames: ['queue', 'state'],
+      registers,
+      async collect() {
+        this.reset();
+        for (const queue of metrics.queues) {
+          try {
+            const counts = await queue.getJobCounts(...QUEUE_STATES);
+            for (const state of QUEUE_STATES) {
+              this.set({ queue: queue.name, state }, counts[state] || 0);
+            }
+          } catch (error) {
+            log.warn(`Failed to read the job counts of queue ${queue.name}.`, { error: error.message });
+          }
+        }
+      },
+    });
+    this.jobDuration = new client.Histogram({
+      name: 'withdrawal_job_duration_seconds',
+      help: 'Duration of job attempts, by queue, job name and outcome.',
+      labelNames: ['queue', 'job', 'outcome'],
+      buckets: [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300],
+      registers,
+    });
+    this.jobRetries = new client.Counter({
+      name: 'withdrawal_job_retries_total',
+      help: 'Failed job attempts that will be retried.',
+      labelNames: ['queue', 'job'],
+      registers,
+    });
+    this.jobFailures = new client.Counter({
+      name: 'withdrawal_job_failures_total',
+      help: 'Jobs that failed their last attempt.',
+      labelNames: ['queue', 'job'],
+      registers,
+    });
+    this.confirmationLatency = new client.Histogram({
+      name: 'withdrawal_broadcast_to_confirmation_seconds',
+      help: 'Time from broadcasting a transaction to it reaching the required confirmations.',
+      labelNames: ['chain_id', 'kind'],
+      buckets: [15, 30, 60, 120, 300, 600, 1200, 1800, 3600, 7200],
+      registers,
+    });
+    this.gasUsed = new client.Counter({
+      name: 'withdrawal_gas_used_total',
+      help: 'Gas used by mined withdrawal transactions, by chain and token.',
+      labelNames: ['chain_id', 'token'],
+      registers,
+    });
+    this.gasFees = new client.Counter({
+      name: 'withdrawal_gas_fees_native_total',
+      help: 'Fees paid for mined withdrawal transactions in the chain\'s native currency, by chain and token.',
+      labelNames: ['chain_id', 'token'],
+      registers,
+    });
+    this.rpcRequests = new client.Counter({
+      name: 'rpc_requests_total',
+      help: 'JSON-RPC calls sent to each endpoint.',
+      labelNames: ['chain_id', 'endpoint', 'method'],
+      registers,
+    });
+    this.rpcErrors = new client.Counter({
+      name: 'rpc_errors_total',
+      help: 'JSON-RPC calls that the endpoint failed to answer (transport errors, timeouts, rate limiting).',
+      labelNames: ['chain_id', 'endpoint', 'method', 'code'],
+      registers,
+    });
+    this.rpcDuration = new client.Histogram({
+      name: 'rpc_request_duration_seconds',
+      help: 'Duration of JSON-RPC calls, by chain and method.',
+      labelNames: ['chain_id', 'method'],
+      buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      registers,
+    });
+    this.httpDuration = new client.Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'Duration of API requests, by route and status code.',
+      labelNames: ['method', 'route', 'status'],
+      buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+      registers,
+    });
+  }
+
+  /**
+   * Reports the depth of these queues on every scrape.
+   * @param {import('bullmq').Queue[]} queues
+   */
+  trackQueues(queues) {
+    this.queues.push(...queues);
+  }
+
+  /**
+   * Runs a job attempt and records its duration.
+   * @param {import('bullmq').Job} job
+   * @param {Function} fn - The attempt.
+   */
+  async timeJob(job, fn) {
+    const end = this.jobDuration.startTimer({ queue: job.queueName, job: job.name });
+    try {
+      const result = await fn();
+      end({ outcome: 'completed' });
+      return result;
+    } catch (error) {
+      end({ outcome: 'failed' });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {import('bullmq').Job} job - The failed job.
+   * @param {boolean} final - Whether the job will not be retried again.
+   */
+  recordJobFailure(job, final) {
+    (final ? this.jobFailures : this.jobRetries).inc({ queue: job.queueName, job: job.name });
+  }
+
+  /**
+   * @param {string} kind - `withdrawal` or `raw_broadcast`.
+   * @param {number} chainId
+   * @param {Date} broadcastAt - When the confirmed transaction was broadcast.
+   */
+  observeConfirmation(kind, chainId, broadcastAt) {
+    if (!broadcastAt) return;
+    this.confirmationLatency.observe({ chain_id: chainId, kind }, (Date.now() - broadcastAt.getTime()) / 1000);
+  }
+
+  /**
+   * Records the gas of a mined withdrawal (or batch) transaction.
+   * @param {number} chainId
+   * @param {string} token - The token contract address.
+   * @param {import('ethers').TransactionReceipt} receipt
+   */
+  recordGas(chainId, token, receipt) {
+    const labels = { chain_id: chainId, token: token.toLowerCase() };
+    this.gasUsed.inc(labels, Number(receipt.gasUsed));
+    this.gasFees.inc(labels, Number(ethers.formatEther(receipt.fee)));
+  }
+
+  /**
+   * @param {number} chainId
+   * @param {string} endpoint - The endpoint host.
+   * @param {string} method - The JSON-RPC method.
+   * @param {number} durationMs
+   * @param {Error} [error] - Set if the endpoint failed to answer.
+   */
+  recordRpc(chainId, endpoint, method, durationMs, error) {
+    this.rpcRequests.inc({ chain_id: chainId, endpoint, method });
+    this.rpcDuration.observe({ chain_id: chainId, method }, durationMs / 1000);
+    if (error) {
+      this.rpcErrors.inc({ chain_id: chainId, endpoint, method, code: error.code || 'UNKNOWN' });
+    }
+  }
+
+  /**
+   * Express middleware recording the duration of each API request. Routes are labelled
+   * with their pattern (`/api/v2/withdrawal/status/:request_id`), not the actual path.
+   */
+  httpMiddleware() {
+    return (req, res, next) => {
+      const end = this.httpDuration.startTimer({ method: req.method });
+      res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        end({ route, status: res.statusCode });
+      });
+      next();
+    };
+  }
+
+  /**
+   * Express handler serving the metrics in the Prometheus text format.
+   */
+  async handler(req, res) {
+    try {
+      res.set('Content-Type', this.registry.contentType);
+      res.end(await this.registry.metrics());
+    } catch (error) {
+      res.status(500).end(error.message);
+    }
+  }
+
+  /**
+   * Serves `/metrics` on its own port, for processes without an HTTP server.
+   * @param {number} port
+   * @returns {http.Server}
+   */
+  startServer(port) {
+    const server = http.createServer(async (req, res) => {
+      if (req.method !== 'GET' || req.url !== '/metrics') {
+        res.writeHead(404).end();
+        return;
+      }
+      try {
+        const body = await this.registry.metrics();
+        res.writeHead(200, { 'Content-Type': this.registry.contentType }).end(body);
+      } catch (error) {
+        res.writeHead(500).end(error.message);
+      }
+    });
+    server.listen(port, () => log.info(`Serving metrics on port ${server.address().port}.`));
+    return server;
+  }
+}
+
+module.exports = new Metrics();
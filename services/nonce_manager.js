@@ -0,0 +1,80 @@
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+
+const log = logger.child('nonce');
+
+/**
+ * Nonce Manager
+ *
+ * Hands out service wallet nonces from a persisted, row-locked counter so that
+ * concurrent jobs (and worker restarts) never reuse or skip a nonce:
+ * - The counter is per chain and wallet address.
+ * - It never falls behind the chain's pending nonce, so transactions sent from
+ *   outside the service are accounted for.
+ */
+
+class NonceManager {
+  constructor() {
+    this.prisma = new PrismaClient();
+  }
+
+  /**
+   * Reserves the next nonce for a wallet.
+   * @param {ethers.AbstractSigner} wallet - The signer (connected to a provider).
+   * @returns {Promise<number>}
+   */
+  async allocate(wallet) {
+    const address = await wallet.getAddress();
+    const { chainId } = await wallet.provider.getNetwork();
+    const chainNonce = await wallet.provider.getTransactionCount(address, 'pending');
+    const key = { chainId: Number(chainId), address };
+
+    return this.prisma.$transaction(async (tx) => {
+      await tx.walletNonce.upsert({
+        where: { chainId_address: key },
+        create: { ...key, nextNonce: chainNonce },
+        update: {},
+      });
+
+      // Lock the row so concurrent allocations are serialized.
+      const [row] = await tx.$queryRaw`
+        SELECT next_nonce FROM wallet_nonces
+        WHERE chain_id = ${key.chainId} AND address = ${address}
+        FOR UPDATE`;
+
+      const nonce = Math.max(row.next_nonce, chainNonce);
+      await tx.walletNonce.update({
+        where: { chainId_address: key },
+        data: { nextNonce: nonce + 1 },
+      });
+
+      return nonce;
+    });
+  }
+
+  /**
+   * Returns a reserved nonce that was never broadcast, if it is still the most
+   * recent allocation. Otherwise later transactions will queue behind the gap
+   * until it is filled, so the caller must keep the nonce and alert an operator.
+   * @param {ethers.AbstractSigner} wallet - The signer (connected to a provider).
+   * @param {number} nonce - The reserved nonce.
+   * @returns {Promise<number>} 1 if the nonce was released, 0 if later nonces were already allocated.
+   */
+  async release(wallet, nonce) {
+    const address = await wallet.getAddress();
+    const { chainId } = await wallet.provider.getNetwork();
+
+    const { count } = await this.prisma.walletNonce.updateMany({
+      where: { chainId: Number(chainId), address, nextNonce: nonce + 1 },
+      data: { nextNonce: nonce },
+    });
+
+    if (count === 0) {
+      log.warn(`Could not release nonce ${nonce} for ${address}: later nonces were already allocated. The gap must be filled with a 0-value self-transfer.`);
+    }
+    return count;
+  }
+}
+
+module.exports = new NonceManager();
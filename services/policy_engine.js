@@ -0,0 +1,319 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { PrismaClient } = require('@prisma/client');
+const logger = require('./logger');
+
+const log = logger.child('policy');
+
+/**
+ * Withdrawal Policy Engine
+ *
+ * Evaluates a new withdrawal request against the configured policy before it is enqueued:
+ * - Destination denylist, sanctioned-address list and (optional) allowlist.
+ * - Per-token and per-client single-withdrawal amount caps.
+ * - Daily (UTC) and rolling-window velocity limits per client and token.
+ * - Approval thresholds above which a request waits for manual approval.
+ *
+ * The policy is a JSON file (see `config/withdrawal_policy.example.json`), read from
+ * `WITHDRAWAL_POLICY_PATH`. It is validated at startup, and the process does not start
+ * with a missing or invalid policy. The policy file and the sanctions list are reloaded
+ * automatically when they change on disk; an invalid change is ignored (and logged).
+ *
+ * Limits are decimal strings in token units (e.g. "1500.00"), like request amounts.
+ * Client limits take precedence over token limits, which take precedence over defaults.
+ */
+
+// Amounts are compared as fixed-point integers with enough precision for any ERC20.
+const AMOUNT_PRECISION = 18;
+// Requests in these statuses never moved funds, so they don't count towards velocity limits.
+const NON_SPENDING_STATUSES = ['CANCELLED', 'REJECTED', 'REJECTED_BY_POLICY', 'FAILED', 'EXPIRED'];
+
+function toFixed(amount) {
+  return ethers.parseUnits(String(amount), AMOUNT_PRECISION);
+}
+
+const LIMIT_FIELDS = ['maxAmount', 'approvalThreshold', 'dailyLimit'];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Checks one level of limits (defaults, a token's, a client's or a client token's).
+function validateLimits(limits, where) {
+  if (!isPlainObject(limits)) {
+    throw new Error(`Policy ${where} must be an object.`);
+  }
+  for (const field of LIMIT_FIELDS) {
+    if (limits[field] !== undefined && !/^\d+(\.\d+)?$/.test(String(limits[field]))) {
+      throw new Error(`Policy ${where}.${field} must be a decimal amount, got ${JSON.stringify(limits[field])}.`);
+    }
+  }
+  if (limits.rollingWindow !== undefined) {
+    const { windowMinutes, maxAmount, maxCount } = limits.rollingWindow || {};
+    if (!(Number(windowMinutes) > 0)) {
+      throw new Error(`Policy ${where}.rollingWindow.windowMinutes must be a positive number.`);
+    }
+    if (maxAmount !== undefined && !/^\d+(\.\d+)?$/.test(String(maxAmount))) {
+      throw new Error(`Policy ${where}.rollingWindow.maxAmount must be a decimal amount.`);
+    }
+    if (maxCount !== undefined && !Number.isInteger(maxCount)) {
+      throw new Error(`Policy ${where}.rollingWindow.maxCount must be an integer.`);
+    }
+  }
+}
+
+/**
+ * Validates the per-token limits of the policy (or of a client), keyed by token address.
+ * Limits are looked up by lowercase address, so the keys are returned in lowercase.
+ */
+function normalizeTokenLimits(tokens, where) {
+  if (!isPlainObject(tokens)) {
+    throw new Error(`Policy ${where} must be an object.`);
+  }
+  const normalized = {};
+  for (const [token, limits] of Object.entries(tokens)) {
+    if (!ethers.isAddress(token)) {
+      throw new Error(`Policy ${where} must be keyed by token address, got ${JSON.stringify(token)}.`);
+    }
+    const key = token.toLowerCase();
+    if (normalized[key]) {
+      throw new Error(`Policy ${where} lists token ${key} more than once.`);
+    }
+    validateLimits(limits, `${where}.${token}`);
+    normalized[key] = limits;
+  }
+  return normalized;
+}
+
+/**
+ * Throws if the policy is not shaped like `config/withdrawal_policy.example.json`.
+ * @returns {object} The policy, with token addresses in lowercase.
+ */
+function normalizePolicy(policy) {
+  if (!isPlainObject(policy)) {
+    throw new Error('The withdrawal policy must be a JSON object.');
+  }
+  validateLimits(policy.defaults || {}, 'defaults');
+  const tokens = normalizeTokenLimits(policy.tokens || {}, 'tokens');
+  const clients = {};
+  for (const [clientId, clientPolicy] of Object.entries(policy.clients || {})) {
+    if (!isPlainObject(clientPolicy)) {
+      throw new Error(`Policy clients.${clientId} must be an object.`);
+    }
+    const { tokens: clientTokens = {}, ...limits } = clientPolicy;
+    validateLimits(limits, `clients.${clientId}`);
+    clients[clientId] = { ...limits, tokens: normalizeTokenLimits(clientTokens, `clients.${clientId}.tokens`) };
+  }
+  for (const list of ['destinationAllowlist', 'destinationDenylist']) {
+    const addresses = policy[list] || [];
+    if (!Array.isArray(addresses) || !addresses.every((address) => ethers.isAddress(address))) {
+      throw new Error(`Policy ${list} must be a list of addresses.`);
+    }
+  }
+  if (policy.sanctionsListPath !== undefined && typeof policy.sanctionsListPath !== 'string') {
+    throw new Error('Policy sanctionsListPath must be a path.');
+  }
+  return { ...policy, tokens, clients };
+}
+
+// One address per line; `#` starts a comment.
+function readSanctionsList(sanctionsPath) {
+  return new Set(
+    fs
+      .readFileSync(sanctionsPath, 'utf8')
+      .split('\n')
+      .map((line) => line.replace(/#.*$/, '').trim().toLowerCase())
+      .filter(Boolean)
+  );
+}
+
+class PolicyEngine {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.policyPath = process.env.WITHDRAWAL_POLICY_PATH
+      ? path.resolve(process.env.WITHDRAWAL_POLICY_PATH)
+      : null;
+    this.policy = {};
+    this.policyMtime = null;
+    this.sanctioned = new Set();
+    this.sanctionsPath = null;
+    this.sanctionsMtime = null;
+    this.loadFailure = null;
+
+    if (!this.policyPath) {
+      log.warn('WITHDRAWAL_POLICY_PATH is not set. All well-formed requests will be allowed.');
+      return;
+    }
+    // A missing or invalid policy stops the process at startup instead of failing requests.
+    try {
+      this.load();
+    } catch (error) {
+      throw new Error(`Cannot load the withdrawal policy from ${this.policyPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads and validates the policy and sanctions list, and applies them.
+   * Throws, leaving the current policy in place, if either is missing or invalid.
+   */
+  load() {
+    const policyMtime = fs.statSync(this.policyPath).mtimeMs;
+    const policy = normalizePolicy(JSON.parse(fs.readFileSync(this.policyPath, 'utf8')));
+
+    const sanctionsPath = policy.sanctionsListPath
+      ? path.resolve(path.dirname(this.policyPath), policy.sanctionsListPath)
+      : null;
+    const sanctionsMtime = sanctionsPath ? fs.statSync(sanctionsPath).mtimeMs : null;
+    const sanctioned = sanctionsPath ? readSanctionsList(sanctionsPath) : new Set();
+
+    this.policy = policy;
+    this.policyMtime = policyMtime;
+    this.sanctionsPath = sanctionsPath;
+    this.sanctionsMtime = sanctionsMtime;
+    this.sanctioned = sanctioned;
+    log.info(`Loaded withdrawal policy from ${this.policyPath}${sanctionsPath ? ` with ${sanctioned.size} sanctioned addresses` : ''}.`);
+  }
+
+  /**
+   * Reloads the policy and sanctions list if they changed on disk since the last read.
+   * A change that cannot be read or is invalid is logged, and the last good policy stays
+   * in force until the files are fixed.
+   */
+  refresh() {
+    if (!this.policyPath) return;
+
+    let policyMtime;
+    let sanctionsMtime;
+    try {
+      policyMtime = fs.statSync(this.policyPath).mtimeMs;
+      sanctionsMtime = this.sanctionsPath ? fs.statSync(this.sanctionsPath).mtimeMs : null;
+    } catch (error) {
+      this.reportLoadFailure(error);
+      return;
+    }
+    if (policyMtime === this.policyMtime && sanctionsMtime === this.sanctionsMtime) return;
+
+    try {
+      this.load();
+      this.loadFailure = null;
+    } catch (error) {
+      this.reportLoadFailure(error);
+    }
+  }
+
+  // Logs a failed reload once per distinct error, not on every request.
+  reportLoadFailure(error) {
+    if (this.loadFailure === error.message) return;
+    this.loadFailure = error.message;
+    log.error('Failed to reload the withdrawal policy. The last valid policy stays in force.', { error: error.message });
+  }
+
+  /**
+   * Resolves the effective limits for a client and token.
+   * @returns {object} The merged limits (maxAmount, approvalThreshold, dailyLimit, rollingWindow).
+   */
+  limitsFor(clientId, tokenAddress) {
+    const { defaults = {}, tokens = {}, clients = {} } = this.policy;
+    const tokenLimits = tokens[tokenAddress.toLowerCase()] || {};
+    const clientPolicy = clients[clientId] || {};
+    const clientTokenLimits = (clientPolicy.tokens || {})[tokenAddress.toLowerCase()] || {};
+    const { tokens: _ignored, ...clientLimits } = clientPolicy;
+
+    return { ...defaults, ...tokenLimits, ...clientLimits, ...clientTokenLimits };
+  }
+
+  /**
+   * Evaluates a withdrawal request against the policy.
+   * @param {object} requestData - The validated request data from the API.
+   * @param {string} clientId - The ID of the client submitting the request.
+   * @returns {Promise<{decision: 'ALLOW'|'REJECT'|'REQUIRE_APPROVAL', rule?: string, reason?: string}>}
+   */
+  async evaluate(requestData, clientId) {
+    this.refresh();
+
+    const destination = requestData.destination_address.toLowerCase();
+    const token = requestData.token_contract_address;
+    const amount = toFixed(requestData.amount);
+    const { destinationDenylist = [], destinationAllowlist = [] } = this.policy;
+
+    if (this.sanctioned.has(destination)) {
+      return { decision: 'REJECT', rule: 'destination.sanctioned', reason: 'Destination address is on the sanctions list.' };
+    }
+    if (destinationDenylist.some((address) => address.toLowerCase() === destination)) {
+      return { decision: 'REJECT', rule: 'destination.denylist', reason: 'Destination address is on the denylist.' };
+    }
+    if (destinationAllowlist.length > 0 && !destinationAllowlist.some((address) => address.toLowerCase() === destination)) {
+      return { decision: 'REJECT', rule: 'destination.allowlist', reason: 'Destination address is not on the allowlist.' };
+    }
+
+    const limits = this.limitsFor(clientId, token);
+
+    if (limits.maxAmount && amount > toFixed(limits.maxAmount)) {
+      return { decision: 'REJECT', rule: 'amount.max', reason: `Amount exceeds the maximum of ${limits.maxAmount} per withdrawal.` };
+    }
+
+    if (limits.dailyLimit) {
+      const startOfDay = new Date();
+      startOfDay.setUTCHours(0, 0, 0, 0);
+      const { total } = await this.sumRecent(clientId, token, startOfDay);
+      if (total + amount > toFixed(limits.dailyLimit)) {
+        return { decision: 'REJECT', rule: 'velocity.daily', reason: `Amount would exceed the daily limit of ${limits.dailyLimit}.` };
+      }
+    }
+
+    if (limits.rollingWindow) {
+      const { windowMinutes, maxAmount, maxCount } = limits.rollingWindow;
+      const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+      const { total, count } = await this.sumRecent(clientId, token, since);
+      if (maxAmount && total + amount > toFixed(maxAmount)) {
+        return {
+          decision: 'REJECT',
+          rule: 'velocity.rolling_amount',
+          reason: `Amount would exceed ${maxAmount} within ${windowMinutes} minutes.`,
+        };
+      }
+      if (maxCount && count + 1 > maxCount) {
+        return {
+          decision: 'REJECT',
+          rule: 'velocity.rolling_count',
+          reason: `More than ${maxCount} withdrawals within ${windowMinutes} minutes.`,
+        };
+      }
+    }
+
+    if (limits.approvalThreshold && amount > toFixed(limits.approvalThreshold)) {
+      return {
+        decision: 'REQUIRE_APPROVAL',
+        rule: 'amount.approval_threshold',
+        reason: `Amount exceeds the approval threshold of ${limits.approvalThreshold}.`,
+      };
+    }
+
+    return { decision: 'ALLOW' };
+  }
+
+  /**
+   * Sums the client's withdrawals of a token created since the given time.
+   * @returns {Promise<{total: bigint, count: number}>}
+   */
+  async sumRecent(clientId, tokenAddress, since) {
+    const requests = await this.prisma.withdrawalRequest.findMany({
+      where: {
+        clientId,
+        tokenContractAddress: { equals: tokenAddress, mode: 'insensitive' },
+        createdAt: { gte: since },
+        status: { notIn: NON_SPENDING_STATUSES },
+      },
+      select: { amount: true },
+    });
+
+    return {
+      total: requests.reduce((sum, r) => sum + toFixed(r.amount), 0n),
+      count: requests.length,
+    };
+  }
+}
+
+module.exports = new PolicyEngine();
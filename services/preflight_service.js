@@ -0,0 +1,234 @@
+const { ethers } = require('ethers');
+const chainRegistry = require('./chain_registry');
+
+/**
+ * Pre-flight Service
+ *
+ * Simulates a transaction against the current chain state before it is signed
+ * or accepted for broadcasting, so that it doesn't revert on-chain after spending gas:
+ * - `eth_call` and `estimateGas` of the exact call that will be sent.
+ * - The token balance of the sender (the treasury, for multi-sig withdrawals).
+ * - The native balance of the fee payer against the worst-case gas cost.
+ * - The chain's maxFeePerGas ceiling, and for raw transactions, an unused nonce.
+ *
+ * Checks return `{ ok: false, errorCode, reason }` instead of throwing, like the policy
+ * engine. Provider/RPC errors are thrown as-is, so callers can retry them.
+ */
+
+const ERROR_CODES = {
+  INSUFFICIENT_TOKEN_BALANCE: 'INSUFFICIENT_TOKEN_BALANCE',
+  INSUFFICIENT_NATIVE_BALANCE: 'INSUFFICIENT_NATIVE_BALANCE',
+  TOKEN_TRANSFER_REVERTED: 'TOKEN_TRANSFER_REVERTED',
+  EXECUTION_REVERTED: 'EXECUTION_REVERTED',
+  GAS_LIMIT_TOO_LOW: 'GAS_LIMIT_TOO_LOW',
+  NONCE_ALREADY_USED: 'NONCE_ALREADY_USED',
+  FEE_CEILING_EXCEEDED: 'FEE_CEILING_EXCEEDED',
+};
+
+const ERC20_INTERFACE = new ethers.Interface([
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+]);
+
+function fail(errorCode, reason) {
+  return { ok: false, errorCode, reason };
+}
+
+// A revert is a pre-flight failure; anything else is a provider problem worth retrying.
+function isRevert(error) {
+  return error.code === 'CALL_EXCEPTION';
+}
+
+function revertReason(error) {
+  return error.reason || error.shortMessage || error.message;
+}
+
+class PreflightService {
+  constructor() {
+    this.ERROR_CODES = ERROR_CODES;
+  }
+
+  /**
+   * Checks a co-signed multi-sig withdrawal before it is signed and broadcast.
+   * @param {object} request - The `WithdrawalRequest` record.
+   * @param {ethers.AbstractSigner} wallet - The request's signer (pays the gas).
+   * @param {{to: string, data: string}} txRequest - The populated `execTransaction` call.
+   * @param {object} fees - `maxFeePerGas` and `maxPriorityFeePerGas`.
+   * @param {bigint} tokenAmount - The request amount in the token's base units.
+   * @returns {Promise<{ok: true, gasLimit: bigint}|{ok: false, errorCode: string, reason: string}>}
+   */
+  async checkWithdrawal(request, wallet, txRequest, fees, tokenAmount) {
+    const { provider } = wallet;
+    const from = await wallet.getAddress();
+    const treasury = request.treasuryContractAddress;
+    const token = request.tokenContractAddress;
+
+    const feeCheck = this.checkFeeCeiling(request.chainId, fees.maxFeePerGas);
+    if (!feeCheck.ok) return feeCheck;
+
+    const balanceCheck = await this.checkTreasuryBalance(provider, treasury, token, tokenAmount);
+    if (!balanceCheck.ok) return balanceCheck;
+
+    // The inner transfer, as the treasury will make it. Safe hides its revert reason.
+    const transferCheck = await this.simulateTokenTransfer(provider, treasury, token, request.destinationAddress, tokenAmount);
+    if (!transferCheck.ok) return transferCheck;
+
+    let gasLimit;
+    try {
+      await provider.call({ ...txRequest, from });
+      gasLimit = await provider.estimateGas({ ...txRequest, from });
+    } catch (error) {
+      if (!isRevert(error)) throw error;
+      return fail(ERROR_CODES.EXECUTION_REVERTED, `execTransaction on treasury ${treasury} reverts: ${revertReason(error)}`);
+    }
+
+    return this.checkNativeBalance(provider, from, gasLimit * fees.maxFeePerGas, gasLimit);
+  }
+
+  /**
+   * Checks a batched payout before it is signed and broadcast. The simulated multicall
+   * executes every co-signed Safe transaction of the batch, so any failing item reverts it.
+   * @param {object} batch - The `WithdrawalBatch` record.
+   * @param {ethers.AbstractSigner} wallet - The batch's signer (pays the gas).
+   * @param {{to: string, data: string}} txRequest - The populated multicall.
+   * @param {object} fees - `maxFeePerGas` and `maxPriorityFeePerGas`.
+   * @param {bigint} totalAmount - The sum of the batch's amounts in the token's base units.
+   * @returns {Promise<{ok: true, gasLimit: bigint}|{ok: false, errorCode: string, reason: string}>}
+   */
+  async checkBatch(batch, wallet, txRequest, fees, totalAmount) {
+    const { provider } = wallet;
+    const from = await wallet.getAddress();
+
+    const feeCheck = this.checkFeeCeiling(batch.chainId, fees.maxFeePerGas);
+    if (!feeCheck.ok) return feeCheck;
+
+    const balanceCheck = await this.checkTreasuryBalance(provider, batch.treasuryContractAddress, batch.tokenContractAddress, totalAmount);
+    if (!balanceCheck.ok) return balanceCheck;
+
+    let gasLimit;
+    try {
+      await provider.call({ ...txRequest, from });
+      gasLimit = await provider.estimateGas({ ...txRequest, from });
+    } catch (error) {
+      if (!isRevert(error)) throw error;
+      return fail(ERROR_CODES.EXECUTION_REVERTED, `Batch multicall on treasury ${batch.treasuryContractAddress} reverts: ${revertReason(error)}`);
+    }
+
+    return this.checkNativeBalance(provider, from, gasLimit * fees.maxFeePerGas, gasLimit);
+  }
+
+  /**
+   * Checks a client's signed raw transaction before it is accepted for broadcasting.
+   * @param {ethers.Transaction} tx - The decoded, signed transaction.
+   * @param {number} chainId - The chain it will be broadcast on.
+   * @returns {Promise<{ok: true, gasLimit: bigint}|{ok: false, errorCode: string, reason: string}>}
+   */
+  async checkRawTransaction(tx, chainId) {
+    const provider = chainRegistry.getProvider(chainId);
+    const call = { from: tx.from, to: tx.to, data: tx.data, value: tx.value };
+    const maxFeePerGas = tx.maxFeePerGas ?? tx.gasPrice;
+
+    const feeCheck = this.checkFeeCeiling(chainId, maxFeePerGas);
+    if (!feeCheck.ok) return feeCheck;
+
+    const minedNonce = await provider.getTransactionCount(tx.from, 'latest');
+    if (tx.nonce < minedNonce) {
+      return fail(ERROR_CODES.NONCE_ALREADY_USED, `Nonce ${tx.nonce} of ${tx.from} was already used on-chain (next is ${minedNonce}).`);
+    }
+
+    let transfer = null;
+    if (tx.to && tx.data.startsWith(ERC20_INTERFACE.getFunction('transfer').selector)) {
+      try {
+        transfer = ERC20_INTERFACE.decodeFunctionData('transfer', tx.data);
+      } catch (e) {
+        transfer = null; // Same selector, different call: only the generic simulation applies
+      }
+    }
+    if (transfer) {
+      const [balance] = ERC20_INTERFACE.decodeFunctionResult(
+        'balanceOf',
+        await provider.call({ to: tx.to, data: ERC20_INTERFACE.encodeFunctionData('balanceOf', [tx.from]) })
+      );
+      if (balance < transfer.amount) {
+        return fail(
+          ERROR_CODES.INSUFFICIENT_TOKEN_BALANCE,
+          `Sender ${tx.from} holds ${balance} base units of token ${tx.to}; ${transfer.amount} are needed.`
+        );
+      }
+    }
+
+    let estimate;
+    try {
+      const result = await provider.call(call);
+      if (transfer && result !== '0x' && !ERC20_INTERFACE.decodeFunctionResult('transfer', result)[0]) {
+        return fail(ERROR_CODES.TOKEN_TRANSFER_REVERTED, `Token ${tx.to} transfer returns false.`);
+      }
+      estimate = await provider.estimateGas(call);
+    } catch (error) {
+      if (!isRevert(error)) throw error;
+      return fail(ERROR_CODES.EXECUTION_REVERTED, `Transaction reverts: ${revertReason(error)}`);
+    }
+
+    if (estimate > tx.gasLimit) {
+      return fail(ERROR_CODES.GAS_LIMIT_TOO_LOW, `Gas limit ${tx.gasLimit} is below the estimated ${estimate}.`);
+    }
+
+    return this.checkNativeBalance(provider, tx.from, tx.gasLimit * maxFeePerGas + tx.value, tx.gasLimit);
+  }
+
+  checkFeeCeiling(chainId, maxFeePerGas) {
+    const ceiling = chainRegistry.getMaxFeePerGas(chainId);
+    if (ceiling && maxFeePerGas > ceiling) {
+      return fail(
+        ERROR_CODES.FEE_CEILING_EXCEEDED,
+        `maxFeePerGas ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei exceeds the ceiling of ${ethers.formatUnits(ceiling, 'gwei')} gwei.`
+      );
+    }
+    return { ok: true };
+  }
+
+  async checkTreasuryBalance(provider, treasury, token, amount) {
+    const [balance] = ERC20_INTERFACE.decodeFunctionResult(
+      'balanceOf',
+      await provider.call({ to: token, data: ERC20_INTERFACE.encodeFunctionData('balanceOf', [treasury]) })
+    );
+    if (balance < amount) {
+      return fail(
+        ERROR_CODES.INSUFFICIENT_TOKEN_BALANCE,
+        `Treasury ${treasury} holds ${balance} base units of token ${token}; ${amount} are needed.`
+      );
+    }
+    return { ok: true };
+  }
+
+  async simulateTokenTransfer(provider, from, token, to, amount) {
+    try {
+      const result = await provider.call({
+        from,
+        to: token,
+        data: ERC20_INTERFACE.encodeFunctionData('transfer', [to, amount]),
+      });
+      // Tokens like USDT return nothing; the rest must return true.
+      if (result !== '0x' && !ERC20_INTERFACE.decodeFunctionResult('transfer', result)[0]) {
+        return fail(ERROR_CODES.TOKEN_TRANSFER_REVERTED, `Token ${token} transfer from ${from} returns false.`);
+      }
+    } catch (error) {
+      if (!isRevert(error)) throw error;
+      return fail(ERROR_CODES.TOKEN_TRANSFER_REVERTED, `Token ${token} transfer from ${from} reverts: ${revertReason(error)}`);
+    }
+    return { ok: true };
+  }
+
+  async checkNativeBalance(provider, address, required, gasLimit) {
+    const balance = await provider.getBalance(address);
+    if (balance < required) {
+      return fail(
+        ERROR_CODES.INSUFFICIENT_NATIVE_BALANCE,
+        `${address} holds ${ethers.formatEther(balance)} of the native token; up to ${ethers.formatEther(required)} is needed for value and gas.`
+      );
+    }
+    return { ok: true, gasLimit };
+  }
+}
+
+module.exports = new PreflightService();
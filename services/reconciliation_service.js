@@ -0,0 +1,430 @@
+require('dotenv').config();
+const { ethers } = require('ethers');
+const { PrismaClient } = require('@prisma/client');
+const { Queue } = require('bullmq');
+const alertingService = require('./alerting_service');
+const auditService = require('./audit_service');
+const chainRegistry = require('./chain_registry');
+const logger = require('./logger');
+
+const log = logger.child('reconciliation');
+
+/**
+ * Reconciliation Service
+ *
+ * Checks the withdrawal records against what actually left each treasury on-chain:
+ * - Reads the token Transfer events sent from a treasury over a block range, and matches
+ *   them with the COMPLETED withdrawals mined in that range by tx hash, token, destination
+ *   and amount (batched items by the index of their Transfer log).
+ * - Flags completed withdrawals without a transfer, transfers with a different amount or
+ *   destination, and orphaned transfers that no withdrawal accounts for.
+ * - Stores each run as a `ReconciliationReport`, and alerts on any discrepancy.
+ *
+ * A scheduled run covers every treasury known to the service, from where its last report
+ * ended up to the blocks that are already final. Operators can also request a report for
+ * a time range through the API.
+ */
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+const ERC20_ABI = ['function decimals() view returns (uint8)'];
+
+// Withdrawals whose transaction is out but not final yet: their transfers are expected.
+const IN_FLIGHT_STATUSES = ['BROADCASTED', 'CONFIRMING'];
+
+const DISCREPANCY_TYPES = {
+  MISSING_TRANSFER: 'MISSING_TRANSFER',
+  AMOUNT_MISMATCH: 'AMOUNT_MISMATCH',
+  DESTINATION_MISMATCH: 'DESTINATION_MISMATCH',
+  ORPHANED_TRANSFER: 'ORPHANED_TRANSFER',
+};
+
+class ReconciliationService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.logChunkBlocks = Number(process.env.RECONCILIATION_LOG_CHUNK_BLOCKS || 2000);
+    this.initialLookbackMs = Number(process.env.RECONCILIATION_INITIAL_LOOKBACK_MS || 24 * 60 * 60 * 1000);
+    this.decimals = new Map();
+    this.reconciliationQueue = new Queue('reconciliation', {
+      connection: {
+        host: process.env.REDIS_HOST || '127.0.0.1',
+        port: process.env.REDIS_PORT || 6379,
+      },
+      defaultJobOptions: {
+        attempts: 3,
+        backoff: { type: 'exponential', delay: 30000 },
+      },
+    });
+  }
+
+  /**
+   * Creates a report for a time range and enqueues it. Without a treasury, one report
+   * is created for each treasury that has withdrawals on the chain.
+   * @param {object} params
+   * @param {number} params.chainId - An EIP-155 chain ID.
+   * @param {string} [params.treasuryContractAddress] - The treasury to reconcile.
+   * @param {Date} params.from - Start of the range.
+   * @param {Date} params.to - End of the range.
+   * @param {object} operator - The operator requesting the report (`req.user`).
+   * @returns {Promise<object[]>} The created `ReconciliationReport` records.
+   */
+  async requestReport({ chainId, treasuryContractAddress, from, to }, operator) {
+    const requestedBy = operator.name;
+    const treasuries = treasuryContractAddress
+      ? [ethers.getAddress(treasuryContractAddress)]
+      : await this.getTreasuries(chainId);
+
+    const reports = [];
+    for (const treasury of treasuries) {
+      const report = await this.prisma.reconciliationReport.create({
+        data: {
+          trigger: 'MANUAL',
+          requestedBy,
+          chainId,
+          treasuryContractAddress: treasury,
+          fromTime: from,
+          toTime: to,
+        },
+      });
+      await auditService.recordChange('RECONCILIATION_REPORT', null, report, {
+        action: 'CREATED',
+        actor: auditService.userActor(operator),
+      });
+      await this.reconciliationQueue.add('run-report', { reportId: report.id }, { jobId: report.id });
+      reports.push(report);
+    }
+    log.info(`${requestedBy} requested ${reports.length} reports for chain ${chainId} from ${from.toISOString()} to ${to.toISOString()}.`, { chainId, reportIds: reports.map((report) => report.id) });
+    return reports;
+  }
+
+  /**
+   * Reconciles every known treasury on every enabled chain, continuing from the end of
+   * its last scheduled report. A chain whose RPC is unavailable does not hold up the others.
+   */
+  async runScheduled() {
+    for (const chain of chainRegistry.getChains()) {
+      try {
+        const provider = chainRegistry.getProvider(chain.chainId);
+        // Only final blocks: withdrawals mined after them are not COMPLETED yet.
+        const depth = Math.max(chain.confirmations, ...Object.values(chain.tokenConfirmations || {}));
+        const toBlock = (await provider.getBlockNumber()) - depth + 1;
+
+        for (const treasury of await this.getTreasuries(chain.chainId)) {
+          const last = await this.prisma.reconciliationReport.findFirst({
+            where: {
+              chainId: chain.chainId,
+              treasuryContractAddress: treasury,
+              trigger: 'SCHEDULED',
+              status: { in: ['OK', 'DISCREPANCIES'] },
+            },
+            orderBy: { toBlock: 'desc' },
+          });
+          const fromBlock = last
+            ? last.toBlock + 1
+            : await this.findBlockByTime(provider, new Date(Date.now() - this.initialLookbackMs));
+          if (fromBlock > toBlock) continue;
+
+          const report = await this.prisma.reconciliationReport.create({
+            data: { trigger: 'SCHEDULED', chainId: chain.chainId, treasuryContractAddress: treasury, fromBlock, toBlock },
+          });
+          await auditService.recordChange('RECONCILIATION_REPORT', null, report, { action: 'CREATED' });
+          try {
+            await this.runReport(report.id);
+          } catch (error) {
+            await this.markError(report.id, error);
+          }
+        }
+      } catch (error) {
+        log.error(`Scheduled reconciliation failed for chain ${chain.name} (${chain.chainId}).`, { error: error.message, chainId: chain.chainId });
+      }
+    }
+  }
+
+  /**
+   * Runs a report: resolves its time range to blocks if needed, reconciles the range and
+   * stores the result. Provider errors are thrown, so that the job can be retried.
+   * @param {string} reportId - The `ReconciliationReport` ID.
+   * @returns {Promise<object>} The completed report.
+   */
+  async runReport(reportId) {
+    let report = await this.prisma.reconciliationReport.update({
+      where: { id: reportId },
+      data: { status: 'RUNNING', errorMessage: null },
+    });
+    const provider = chainRegistry.getProvider(report.chainId);
+
+    if (report.fromBlock === null || report.toBlock === null) {
+      const head = await provider.getBlockNumber();
+      const fromBlock = await this.findBlockByTime(provider, report.fromTime, head);
+      // The last block at or before `toTime` is the one before the first block after it.
+      const toBlock = (await this.findBlockByTime(provider, new Date(report.toTime.getTime() + 1000), head)) - 1;
+      report = await this.prisma.reconciliationReport.update({
+        where: { id: reportId },
+        data: { fromBlock, toBlock },
+      });
+    }
+
+    const result = await this.reconcile(report);
+    const completed = await this.prisma.reconciliationReport.update({
+      where: { id: reportId },
+      data: {
+        status: result.discrepancies.length > 0 ? 'DISCREPANCIES' : 'OK',
+        transferCount: result.transferCount,
+        expectedCount: result.expectedCount,
+        matchedCount: result.matchedCount,
+        discrepancyCount: result.discrepancies.length,
+        discrepancies: result.discrepancies,
+        completedAt: new Date(),
+      },
+    });
+    await auditService.recordChange('RECONCILIATION_REPORT', report, completed, {
+      details: { matchedCount: result.matchedCount, discrepancyCount: result.discrepancies.length },
+    });
+
+    log.info(
+      `Report ${reportId}: treasury ${report.treasuryContractAddress} on chain ${report.chainId}, ` +
+        `blocks ${report.fromBlock}-${report.toBlock}: ${result.matchedCount} matched, ${result.discrepancies.length} discrepancies.`,
+      { reportId, chainId: report.chainId, matchedCount: result.matchedCount, discrepancyCount: result.discrepancies.length }
+    );
+
+    if (result.discrepancies.length > 0) {
+      const counts = {};
+      for (const { type } of result.discrepancies) {
+        counts[type] = (counts[type] || 0) + 1;
+      }
+      await alertingService.sendAlert('Treasury Reconciliation Found Discrepancies', {
+        reportId,
+        chainId: report.chainId,
+        treasury: report.treasuryContractAddress,
+        fromBlock: report.fromBlock,
+        toBlock: report.toBlock,
+        ...counts,
+      }, { severity: 'critical', dedupKey: `reconciliation:${reportId}` });
+    }
+    return completed;
+  }
+
+  async markError(reportId, error) {
+    log.error(`Report ${reportId} failed.`, { error: error.message, reportId });
+    const before = await this.prisma.reconciliationReport.findUnique({ where: { id: reportId } });
+    const report = await this.prisma.reconciliationReport.update({
+      where: { id: reportId },
+      data: { status: 'ERROR', errorMessage: error.message, completedAt: new Date() },
+    });
+    await auditService.recordChange('RECONCILIATION_REPORT', before, report, { details: { error: error.message } });
+    await alertingService.sendAlert('Treasury Reconciliation Failed', {
+      reportId, chainId: report.chainId, treasury: report.treasuryContractAddress, error: error.message,
+    }, { severity: 'warning', dedupKey: `reconciliation-error:${report.chainId}:${report.treasuryContractAddress}` });
+  }
+
+  /**
+   * Matches the treasury's Transfer events in the report's block range with its withdrawals.
+   * @param {object} report - The `ReconciliationReport`, with `fromBlock` and `toBlock` set.
+   * @returns {Promise<{transferCount: number, expectedCount: number, matchedCount: number, discrepancies: object[]}>}
+   */
+  async reconcile(report) {
+    const { chainId, fromBlock, toBlock } = report;
+    const provider = chainRegistry.getProvider(chainId);
+    const treasury = ethers.getAddress(report.treasuryContractAddress);
+
+    const transfers = await this.fetchTransfers(provider, treasury, fromBlock, toBlock);
+    const expected = await this.prisma.withdrawalRequest.findMany({
+      where: {
+        chainId,
+        treasuryContractAddress: { equals: treasury, mode: 'insensitive' },
+        status: 'COMPLETED',
+        blockNumber: { gte: fromBlock, lte: toBlock },
+      },
+      orderBy: [{ blockNumber: 'asc' }, { batchIndex: 'asc' }],
+    });
+
+    const transfersByTx = new Map();
+    for (const transfer of transfers) {
+      transfersByTx.set(transfer.txHash, [...(transfersByTx.get(transfer.txHash) || []), transfer]);
+    }
+
+    const discrepancies = [];
+    const matched = new Set();
+    let matchedCount = 0;
+
+    for (const request of expected) {
+      const token = ethers.getAddress(request.tokenContractAddress);
+      const destination = ethers.getAddress(request.destinationAddress);
+      const candidates = (transfersByTx.get(request.txHash.toLowerCase()) || [])
+        .filter((transfer) => transfer.token === token && !matched.has(transfer));
+      const transfer =
+        (request.logIndex !== null && candidates.find((t) => t.logIndex === request.logIndex)) ||
+        candidates.find((t) => t.to === destination) ||
+        candidates[0];
+
+      const base = { requestId: request.requestId, txHash: request.txHash, blockNumber: request.blockNumber, token };
+      if (!transfer) {
+        discrepancies.push({
+          type: DISCREPANCY_TYPES.MISSING_TRANSFER,
+          ...base,
+          destination,
+          expectedAmount: request.amount,
+        });
+        continue;
+      }
+      matched.add(transfer);
+
+      const decimals = await this.getDecimals(provider, chainId, token);
+      const expectedAmount = ethers.parseUnits(request.amount, decimals);
+      let consistent = true;
+      if (transfer.to !== destination) {
+        consistent = false;
+        discrepancies.push({
+          type: DISCREPANCY_TYPES.DESTINATION_MISMATCH,
+          ...base,
+          logIndex: transfer.logIndex,
+          expectedDestination: destination,
+          actualDestination: transfer.to,
+        });
+      }
+      if (transfer.amount !== expectedAmount) {
+        consistent = false;
+        discrepancies.push({
+          type: DISCREPANCY_TYPES.AMOUNT_MISMATCH,
+          ...base,
+          logIndex: transfer.logIndex,
+          expectedAmount: request.amount,
+          actualAmount: ethers.formatUnits(transfer.amount, decimals),
+        });
+      }
+      if (consistent) matchedCount += 1;
+    }
+
+    const unmatched = transfers.filter((transfer) => !matched.has(transfer));
+    if (unmatched.length > 0) {
+      // The service may know the transaction under another status (e.g. still confirming,
+      // or wrongly recorded as FAILED), which tells the operator where to look.
+      const known = await this.prisma.withdrawalRequest.findMany({
+        where: { chainId, txHash: { in: [...new Set(unmatched.map((t) => t.txHash))] } },
+        select: { requestId: true, status: true, txHash: true },
+      });
+      const knownByTx = new Map();
+      for (const request of known) {
+        knownByTx.set(request.txHash.toLowerCase(), [...(knownByTx.get(request.txHash.toLowerCase()) || []), request]);
+      }
+
+      for (const transfer of unmatched) {
+        const requests = knownByTx.get(transfer.txHash) || [];
+        if (requests.some((request) => IN_FLIGHT_STATUSES.includes(request.status))) continue;
+
+        const decimals = await this.getDecimals(provider, chainId, transfer.token).catch(() => null);
+        discrepancies.push({
+          type: DISCREPANCY_TYPES.ORPHANED_TRANSFER,
+          txHash: transfer.txHash,
+          logIndex: transfer.logIndex,
+          blockNumber: transfer.blockNumber,
+          token: transfer.token,
+          destination: transfer.to,
+          amount: decimals === null ? null : ethers.formatUnits(transfer.amount, decimals),
+          amountBaseUnits: transfer.amount.toString(),
+          knownRequests: requests.map(({ requestId, status }) => ({ requestId, status })),
+        });
+      }
+    }
+
+    return { transferCount: transfers.length, expectedCount: expected.length, matchedCount, discrepancies };
+  }
+
+  /**
+   * Reads the ERC-20 Transfer events sent from the treasury, in chunks of blocks that
+   * RPC providers accept for `eth_getLogs`.
+   * @returns {Promise<object[]>} `{ txHash, logIndex, blockNumber, token, to, amount }`, with
+   *   lowercase tx hashes and checksummed addresses.
+   */
+  async fetchTransfers(provider, treasury, fromBlock, toBlock) {
+    const transfers = [];
+    for (let start = fromBlock; start <= toBlock; start += this.logChunkBlocks) {
+      const end = Math.min(start + this.logChunkBlocks - 1, toBlock);
+      const logs = await provider.getLogs({
+        fromBlock: start,
+        toBlock: end,
+        topics: [TRANSFER_TOPIC, ethers.zeroPadValue(treasury, 32)],
+      });
+      for (const log of logs) {
+        if (log.topics.length !== 3) continue; // ERC-721 Transfers index the token ID as well
+        transfers.push({
+          txHash: log.transactionHash.toLowerCase(),
+          logIndex: log.index,
+          blockNumber: log.blockNumber,
+          token: ethers.getAddress(log.address),
+          to: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+          amount: ethers.toBigInt(log.data),
+        });
+      }
+    }
+    return transfers;
+  }
+
+  async getDecimals(provider, chainId, token) {
+    const key = `${chainId}:${token}`;
+    if (!this.decimals.has(key)) {
+      this.decimals.set(key, Number(await new ethers.Contract(token, ERC20_ABI, provider).decimals()));
+    }
+    return this.decimals.get(key);
+  }
+
+  /**
+   * Finds the first block mined at or after a time, by binary search over block timestamps.
+   * @param {ethers.Provider} provider - The chain's provider.
+   * @param {Date} time - The time to look for.
+   * @param {number} [head] - The latest block number, if already known.
+   * @returns {Promise<number>} The block number, or `head + 1` if no block is that recent yet.
+   */
+  async findBlockByTime(provider, time, head) {
+    const target = Math.floor(time.getTime() / 1000);
+    let low = 0;
+    let high = (head ?? (await provider.getBlockNumber())) + 1;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const block = await provider.getBlock(mid);
+      if (block && block.timestamp < target) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  /**
+   * @returns {Promise<string[]>} The checksummed treasuries that have withdrawals on a chain.
+   */
+  async getTreasuries(chainId) {
+    const rows = await this.prisma.withdrawalRequest.findMany({
+      where: { chainId },
+      distinct: ['treasuryContractAddress'],
+      select: { treasuryContractAddress: true },
+    });
+    return [...new Set(rows.map((row) => ethers.getAddress(row.treasuryContractAddress)))];
+  }
+
+  /**
+   * Lists reports, newest first, without their discrepancy details.
+   */
+  async getReports({ page = 1, pageSize = 20, chainId, status }) {
+    const where = { chainId, status };
+    const [reports, total] = await this.prisma.$transaction([
+      this.prisma.reconciliationReport.findMany({
+        where,
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        orderBy: { createdAt: 'desc' },
+      }),
+      this.prisma.reconciliationReport.count({ where }),
+    ]);
+
+    return {
+      data: reports.map(({ discrepancies, ...report }) => report),
+      pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) },
+    };
+  }
+
+  async getReport(id) {
+    return this.prisma.reconciliationReport.findUnique({ where: { id } });
+  }
+}
+
+module.exports = new ReconciliationService();
+module.exports.DISCREPANCY_TYPES = DISCREPANCY_TYPES;
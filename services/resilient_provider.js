@@ -0,0 +1,278 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const log = logger.child('rpc');
+
+/**
+ * Resilient JSON-RPC Provider
+ *
+ * An ethers provider for one chain, backed by several RPC endpoints:
+ * - Each call goes to the healthiest available endpoint and fails over to the next
+ *   one on transport errors, timeouts and rate limiting. JSON-RPC errors such as
+ *   reverts or "nonce too low" are real answers and are returned as-is.
+ * - A circuit breaker takes an endpoint out of rotation after consecutive failures,
+ *   and lets a single probe call through once the cooldown has passed.
+ * - Critical reads (block number, receipts) can require a quorum of endpoints to agree.
+ */
+
+const CIRCUIT_CLOSED = 'CLOSED';
+const CIRCUIT_OPEN = 'OPEN';
+const CIRCUIT_HALF_OPEN = 'HALF_OPEN';
+
+// Weight of the latest call in the health score and latency averages.
+const HEALTH_SMOOTHING = 0.2;
+
+// Reads that decide whether funds moved. With a quorum, no single endpoint can fake them.
+const QUORUM_METHODS = new Set(['eth_blockNumber', 'eth_getTransactionReceipt']);
+
+// JSON-RPC error codes meaning the endpoint could not answer, rather than an answer.
+const ENDPOINT_ERROR_CODES = new Set([
+  -32005, // Limit exceeded (rate limited)
+]);
+
+// Error codes of calls that failed to reach a node, or got no answer in time. Retrying may
+// succeed; other errors (a revert, an invalid argument) are answers and fail the same way again.
+const TRANSIENT_ERROR_CODES = new Set([
+  'NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', // ethers
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', // Node.js sockets
+]);
+
+class RpcEndpoint {
+  /**
+   * @param {string} url - The JSON-RPC URL.
+   * @param {number} chainId - The chain the endpoint serves.
+   * @param {object} options - `timeoutMs`, `failureThreshold` and `cooldownMs`.
+   */
+  constructor(url, chainId, { timeoutMs, failureThreshold, cooldownMs }) {
+    // The host identifies the endpoint in logs and /health without exposing API keys in the path.
+    this.label = new URL(url).host;
+    this.chainId = chainId;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+
+    const request = new ethers.FetchRequest(url);
+    request.timeout = timeoutMs;
+    request.setThrottleParams({ maxAttempts: 1 }); // Failover replaces ethers' own retries
+    this.transport = new ethers.JsonRpcProvider(request, chainId, { staticNetwork: true, batchMaxCount: 1 });
+
+    this.circuit = CIRCUIT_CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.healthScore = 1;
+    this.latencyMs = null;
+    this.lastError = null;
+  }
+
+  /**
+   * @returns {boolean} Whether the circuit lets a call through right now.
+   */
+  isAvailable() {
+    if (this.circuit === CIRCUIT_OPEN && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.circuit = CIRCUIT_HALF_OPEN;
+    }
+    return this.circuit === CIRCUIT_CLOSED || (this.circuit === CIRCUIT_HALF_OPEN && !this.probing);
+  }
+
+  /**
+   * Sends a single JSON-RPC payload and records the outcome.
+   * @param {object} payload - The JSON-RPC request.
+   * @returns {Promise<object>} The JSON-RPC response (`result` or `error`).
+   */
+  async send(payload) {
+    const isProbe = this.circuit === CIRCUIT_HALF_OPEN;
+    if (isProbe) this.probing = true;
+    const startedAt = Date.now();
+
+    try {
+      const [response] = await this.transport._send(payload);
+      if (response.error && ENDPOINT_ERROR_CODES.has(response.error.code)) {
+        throw ethers.makeError(`RPC error ${response.error.code}: ${response.error.message}`, 'SERVER_ERROR');
+      }
+      this.recordSuccess(Date.now() - startedAt);
+      metrics.recordRpc(this.chainId, this.label, payload.method, Date.now() - startedAt);
+      return response;
+    } catch (error) {
+      this.recordFailure(error);
+      metrics.recordRpc(this.chainId, this.label, payload.method, Date.now() - startedAt, error);
+      throw error;
+    } finally {
+      if (isProbe) this.probing = false;
+    }
+  }
+
+  recordSuccess(latencyMs) {
+    if (this.circuit !== CIRCUIT_CLOSED) {
+      log.info(`Circuit closed for ${this.label}.`, { chainId: this.chainId, endpoint: this.label });
+    }
+    this.circuit = CIRCUIT_CLOSED;
+    this.consecutiveFailures = 0;
+    this.healthScore = this.healthScore * (1 - HEALTH_SMOOTHING) + HEALTH_SMOOTHING;
+    this.latencyMs = this.latencyMs === null
+      ? latencyMs
+      : Math.round(this.latencyMs * (1 - HEALTH_SMOOTHING) + latencyMs * HEALTH_SMOOTHING);
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures += 1;
+    this.healthScore *= 1 - HEALTH_SMOOTHING;
+    this.lastError = error.shortMessage || error.message;
+
+    if (this.circuit === CIRCUIT_HALF_OPEN || (this.circuit === CIRCUIT_CLOSED && this.consecutiveFailures >= this.failureThreshold)) {
+      this.circuit = CIRCUIT_OPEN;
+      this.openedAt = Date.now();
+      log.warn(`Circuit opened for ${this.label} after ${this.consecutiveFailures} consecutive failures: ${this.lastError}`, { chainId: this.chainId, endpoint: this.label });
+    }
+  }
+
+  getStatus() {
+    return {
+      endpoint: this.label,
+      circuit: this.circuit,
+      healthScore: Number(this.healthScore.toFixed(3)),
+      latencyMs: this.latencyMs,
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError,
+    };
+  }
+}
+
+class ResilientProvider extends ethers.JsonRpcProvider {
+  /**
+   * @param {object} config
+   * @param {number} config.chainId - The EIP-155 chain ID.
+   * @param {string} config.name - The chain name, for logs.
+   * @param {string[]} config.urls - The RPC URLs, in order of preference.
+   * @param {number} [config.quorum=1] - Endpoints that must agree on critical reads.
+   * @param {number} config.timeoutMs - Per-call timeout for each endpoint.
+   * @param {number} config.failureThreshold - Consecutive failures that open an endpoint's circuit.
+   * @param {number} config.cooldownMs - How long an open circuit stays open before a probe.
+   */
+  constructor({ chainId, name, urls, quorum = 1, timeoutMs, failureThreshold, cooldownMs }) {
+    super(urls[0], chainId, { staticNetwork: true, batchMaxCount: 1 });
+    this.chainId = chainId;
+    this.chainName = name;
+    this.quorum = quorum;
+    this.endpoints = urls.map((url) => new RpcEndpoint(url, chainId, { timeoutMs, failureThreshold, cooldownMs }));
+  }
+
+  /**
+   * Routes every JSON-RPC call through the endpoint pool instead of a single URL.
+   */
+  async _send(payload) {
+    if (Array.isArray(payload)) {
+      return Promise.all(payload.map(async (p) => (await this._send(p))[0]));
+    }
+    if (this.quorum > 1 && QUORUM_METHODS.has(payload.method)) {
+      return [await this.sendWithQuorum(payload)];
+    }
+    return [await this.sendWithFailover(payload)];
+  }
+
+  /**
+   * @returns {RpcEndpoint[]} Endpoints whose circuit is not open, healthiest (then fastest) first.
+   */
+  availableEndpoints() {
+    return this.endpoints
+      .filter((endpoint) => endpoint.isAvailable())
+      .sort((a, b) => b.healthScore - a.healthScore || (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity));
+  }
+
+  async sendWithFailover(payload) {
+    const candidates = this.availableEndpoints();
+    if (candidates.length === 0) {
+      throw ethers.makeError(`No healthy RPC endpoint for chain ${this.chainName} (${this.chainId}).`, 'SERVER_ERROR');
+    }
+
+    let lastError;
+    for (const endpoint of candidates) {
+      try {
+        return await endpoint.send(payload);
+      } catch (error) {
+        lastError = error;
+        log.warn(`${payload.method} failed on ${endpoint.label} (${this.chainName}): ${error.shortMessage || error.message}`, { chainId: this.chainId, endpoint: endpoint.label, method: payload.method });
+      }
+    }
+    throw lastError;
+  }
+
+  async sendWithQuorum(payload) {
+    const candidates = this.availableEndpoints();
+    if (candidates.length < this.quorum) {
+      throw ethers.makeError(
+        `Only ${candidates.length} healthy RPC endpoints for chain ${this.chainName} (${this.chainId}); ${payload.method} requires ${this.quorum}.`,
+        'SERVER_ERROR'
+      );
+    }
+
+    const settled = await Promise.allSettled(candidates.map((endpoint) => endpoint.send(payload)));
+    const answers = settled
+      .filter((outcome) => outcome.status === 'fulfilled' && !outcome.value.error)
+      .map((outcome) => outcome.value);
+
+    if (payload.method === 'eth_blockNumber') {
+      // Nodes are rarely at exactly the same height: use the highest block that at
+      // least a quorum of endpoints has reached, so confirmations are never overstated.
+      const heights = answers.map((answer) => BigInt(answer.result)).sort((a, b) => (b > a ? 1 : b < a ? -1 : 0));
+      if (heights.length >= this.quorum) {
+        return { jsonrpc: '2.0', id: payload.id, result: ethers.toQuantity(heights[this.quorum - 1]) };
+      }
+    } else {
+      const groups = new Map();
+      for (const answer of answers) {
+        const key = answer.result === null ? 'null' : `${answer.result.blockHash}:${answer.result.status}`;
+        groups.set(key, [...(groups.get(key) || []), answer]);
+      }
+      const agreed = [...groups.values()].find((group) => group.length >= this.quorum);
+      if (agreed) return agreed[0];
+    }
+
+    throw ethers.makeError(
+      `RPC endpoints for chain ${this.chainName} (${this.chainId}) did not reach a quorum of ${this.quorum} on ${payload.method}.`,
+      'SERVER_ERROR',
+      { info: { answers: answers.length, endpoints: candidates.length } }
+    );
+  }
+
+  /**
+   * Actively checks every endpoint (including those with an open circuit) with `eth_blockNumber`.
+   * @returns {Promise<object[]>} The status of each endpoint.
+   */
+  async probe() {
+    return Promise.all(
+      this.endpoints.map(async (endpoint) => {
+        try {
+          const response = await endpoint.send({ method: 'eth_blockNumber', params: [], id: 1, jsonrpc: '2.0' });
+          return { ...endpoint.getStatus(), status: 'OK', blockNumber: Number(response.result) };
+        } catch (error) {
+          return { ...endpoint.getStatus(), status: 'ERROR' };
+        }
+      })
+    );
+  }
+
+  /**
+   * @returns {object[]} The current status of each endpoint, without sending any calls.
+   */
+  getHealth() {
+    return this.endpoints.map((endpoint) => endpoint.getStatus());
+  }
+
+  /**
+   * @param {Error} error - An error from a provider call.
+   * @returns {boolean} Whether the call could not reach a node, so retrying it may succeed.
+   */
+  static isTransientError(error) {
+    return TRANSIENT_ERROR_CODES.has(error?.code);
+  }
+
+  destroy() {
+    for (const endpoint of this.endpoints) {
+      endpoint.transport.destroy();
+    }
+    super.destroy();
+  }
+}
+
+module.exports = ResilientProvider;
@@ -0,0 +1,221 @@
+const { ethers } = require('ethers');
+
+/**
+ * Safe Multi-Sig Service
+ *
+ * Handles the co-signing side of the multi-sig withdrawal flow:
+ * - Decoding the bank's `partially_signed_tx` payload.
+ * - Verifying that the bank's signature is bound to the stored withdrawal request.
+ * - Adding the service wallet's signature and building the `execTransaction` call.
+ *
+ * The `partially_signed_tx` payload is the ABI encoding of
+ * `(address safe, address to, uint256 value, bytes data, uint8 operation,
+ *   uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken,
+ *   address refundReceiver, uint256 nonce, bytes signature)`,
+ * where `signature` is the bank owner's EIP-712 signature over the SafeTx.
+ */
+
+const SAFE_ABI = [
+  'function nonce() view returns (uint256)',
+  'function getThreshold() view returns (uint256)',
+  'function isOwner(address owner) view returns (bool)',
+  'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)',
+];
+
+const BANK_PAYLOAD_TYPES = [
+  'address', // safe
+  'address', // to
+  'uint256', // value
+  'bytes', // data
+  'uint8', // operation
+  'uint256', // safeTxGas
+  'uint256', // baseGas
+  'uint256', // gasPrice
+  'address', // gasToken
+  'address', // refundReceiver
+  'uint256', // nonce
+  'bytes', // signature
+];
+
+// EIP-712 types used by Safe contracts (v1.3.0 and later)
+const SAFE_TX_TYPES = {
+  SafeTx: [
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+    { name: 'operation', type: 'uint8' },
+    { name: 'safeTxGas', type: 'uint256' },
+    { name: 'baseGas', type: 'uint256' },
+    { name: 'gasPrice', type: 'uint256' },
+    { name: 'gasToken', type: 'address' },
+    { name: 'refundReceiver', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+const ERC20_TRANSFER_INTERFACE = new ethers.Interface([
+  'function transfer(address to, uint256 amount) returns (bool)',
+]);
+
+const OPERATION_CALL = 0;
+
+class SafeMultiSigService {
+  /**
+   * Decodes the bank's signature payload.
+   * @param {string} payloadHex - The `partially_signed_tx` hex string stored on the request.
+   * @returns {{safe: string, safeTx: object, signature: string}}
+   */
+  decodeBankPayload(payloadHex) {
+    let decoded;
+    try {
+      decoded = ethers.AbiCoder.defaultAbiCoder().decode(BANK_PAYLOAD_TYPES, payloadHex);
+    } catch (e) {
+      throw new Error('Malformed partially_signed_tx: could not decode the bank signature payload.');
+    }
+
+    const [safe, to, value, data, operation, safeTxGas, baseGas, gasPrice, gasToken, refundReceiver, nonce, signature] = decoded;
+
+    return {
+      safe,
+      safeTx: {
+        to,
+        value,
+        data,
+        operation: Number(operation),
+        safeTxGas,
+        baseGas,
+        gasPrice,
+        gasToken,
+        refundReceiver,
+        nonce,
+      },
+      signature,
+    };
+  }
+
+  /**
+   * Checks that the decoded payload describes exactly the stored withdrawal:
+   * the same treasury, an ERC20 `transfer` on the stored token to the stored
+   * destination for the stored amount, and no value, delegatecall or gas refund.
+   * @param {object} payload - The result of `decodeBankPayload`.
+   * @param {object} request - The `WithdrawalRequest` record.
+   * @param {bigint} tokenAmount - The request amount in the token's base units.
+   */
+  assertBoundToRequest(payload, request, tokenAmount) {
+    const { safe, safeTx } = payload;
+
+    if (safe.toLowerCase() !== request.treasuryContractAddress.toLowerCase()) {
+      throw new Error(`Signed treasury ${safe} does not match treasury_contract_address ${request.treasuryContractAddress}.`);
+    }
+    if (safeTx.to.toLowerCase() !== request.tokenContractAddress.toLowerCase()) {
+      throw new Error(`Signed call target ${safeTx.to} does not match token_contract_address ${request.tokenContractAddress}.`);
+    }
+    if (safeTx.value !== 0n) {
+      throw new Error('Signed transaction must not transfer native value.');
+    }
+    if (safeTx.operation !== OPERATION_CALL) {
+      throw new Error('Signed transaction must be a CALL operation (delegatecall is not allowed).');
+    }
+    if (safeTx.gasPrice !== 0n || safeTx.gasToken !== ethers.ZeroAddress || safeTx.refundReceiver !== ethers.ZeroAddress) {
+      throw new Error('Signed transaction must not request a gas refund from the treasury.');
+    }
+
+    let transfer;
+    try {
+      transfer = ERC20_TRANSFER_INTERFACE.decodeFunctionData('transfer', safeTx.data);
+    } catch (e) {
+      throw new Error('Signed calldata is not an ERC20 transfer(address,uint256) call.');
+    }
+
+    const [to, amount] = transfer;
+    if (to.toLowerCase() !== request.destinationAddress.toLowerCase()) {
+      throw new Error(`Signed transfer recipient ${to} does not match destination_address ${request.destinationAddress}.`);
+    }
+    if (amount !== tokenAmount) {
+      throw new Error(`Signed transfer amount ${amount} does not match requested amount ${tokenAmount}.`);
+    }
+  }
+
+  /**
+   * Verifies the bank's signature against the live Safe state and adds the
+   * service wallet as the second signer.
+   * @param {object} payload - The result of `decodeBankPayload`.
+   * @param {ethers.AbstractSigner} serviceWallet - The service wallet signer (connected to a provider).
+   * @param {number} [nonceOffset=0] - How many Safe transactions run before this one in the same
+   *   Ethereum transaction (batched payouts execute consecutive Safe nonces together).
+   * @returns {Promise<{safe: ethers.Contract, signatures: string}>}
+   */
+  async coSign(payload, serviceWallet, nonceOffset = 0) {
+    const { safe: safeAddress, safeTx, signature } = payload;
+    const safe = new ethers.Contract(safeAddress, SAFE_ABI, serviceWallet);
+    const { chainId } = await serviceWallet.provider.getNetwork();
+    const domain = { chainId, verifyingContract: safeAddress };
+
+    const [currentNonce, threshold] = await Promise.all([safe.nonce(), safe.getThreshold()]);
+    if (safeTx.nonce !== currentNonce + BigInt(nonceOffset)) {
+      throw new Error(
+        nonceOffset === 0
+          ? `Signed Safe nonce ${safeTx.nonce} does not match the treasury's current nonce ${currentNonce}.`
+          : `Signed Safe nonce ${safeTx.nonce} does not match the expected nonce ${currentNonce + BigInt(nonceOffset)} (current ${currentNonce} + ${nonceOffset} earlier in the batch).`
+      );
+    }
+    if (threshold > 2n) {
+      throw new Error(`Treasury threshold is ${threshold}; only bank + service (2 signatures) are available.`);
+    }
+
+    let bankSigner;
+    try {
+      bankSigner = ethers.verifyTypedData(domain, SAFE_TX_TYPES, safeTx, signature);
+    } catch (e) {
+      throw new Error('Bank signature is not a valid ECDSA signature.');
+    }
+
+    const serviceAddress = await serviceWallet.getAddress();
+    if (bankSigner.toLowerCase() === serviceAddress.toLowerCase()) {
+      throw new Error('Bank signature was produced by the service wallet.');
+    }
+
+    const [bankIsOwner, serviceIsOwner] = await Promise.all([safe.isOwner(bankSigner), safe.isOwner(serviceAddress)]);
+    if (!bankIsOwner) {
+      throw new Error(`Bank signer ${bankSigner} is not an owner of treasury ${safeAddress}.`);
+    }
+    if (!serviceIsOwner) {
+      throw new Error(`Service wallet ${serviceAddress} is not an owner of treasury ${safeAddress}.`);
+    }
+
+    const serviceSignature = await serviceWallet.signTypedData(domain, SAFE_TX_TYPES, safeTx);
+
+    // Safe requires signatures ordered by ascending signer address.
+    const ordered = [
+      { signer: bankSigner, signature: ethers.Signature.from(signature).serialized },
+      { signer: serviceAddress, signature: serviceSignature },
+    ].sort((a, b) => (BigInt(a.signer) < BigInt(b.signer) ? -1 : 1));
+
+    return { safe, signatures: ethers.concat(ordered.map((s) => s.signature)) };
+  }
+
+  /**
+   * Builds the treasury's `execTransaction` call for the co-signed transaction.
+   * Sending it (nonce, gas and fees) is left to the transaction monitor.
+   * @param {ethers.Contract} safe - The Safe contract connected to the service wallet.
+   * @param {object} safeTx - The decoded SafeTx fields.
+   * @param {string} signatures - The ordered, concatenated owner signatures.
+   * @returns {Promise<{to: string, data: string}>}
+   */
+  async populateExecTransaction(safe, safeTx, signatures) {
+    return safe.execTransaction.populateTransaction(
+      safeTx.to,
+      safeTx.value,
+      safeTx.data,
+      safeTx.operation,
+      safeTx.safeTxGas,
+      safeTx.baseGas,
+      safeTx.gasPrice,
+      safeTx.gasToken,
+      safeTx.refundReceiver,
+      signatures
+    );
+  }
+}
+
+module.exports = new SafeMultiSigService();
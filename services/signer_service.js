@@ -0,0 +1,185 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const chainRegistry = require('./chain_registry');
+const VaultTransitSigner = require('./signers/vault_transit_signer');
+const AwsKmsSigner = require('./signers/aws_kms_signer');
+const logger = require('./logger');
+
+const log = logger.child('signers');
+
+/**
+ * Signer Service
+ *
+ * Resolves the service wallet signer used for withdrawals, from one of several backends:
+ * - `private-key`: a raw key from an environment variable.
+ * - `keystore`: an encrypted JSON keystore file (see `scripts/create_keystore.js`).
+ * - `vault-transit`: a HashiCorp Vault Transit-compatible HTTP signer.
+ * - `aws-kms`: an AWS KMS-compatible signer with an ECC_SECG_P256K1 key.
+ *
+ * Signers are listed in a JSON file (see `config/signers.example.json`), read from
+ * `SIGNERS_CONFIG_PATH`. Without it, a single `private-key` signer with the ID `env`
+ * uses SERVICE_WALLET_PRIVATE_KEY on every chain. A signer serves every chain unless it
+ * lists `chains`, and keystore paths are relative to the config file.
+ *
+ * Each request records the ID of the signer it was assigned, and each transaction the
+ * ID of the signer that signed it. To rotate keys, add the new signer as active and mark
+ * the old one `"active": false`: new requests go to the active signers (round-robin when
+ * several serve a chain), while requests already in flight keep their signer for
+ * replacements and nonce release.
+ */
+
+const BACKENDS = ['private-key', 'keystore', 'vault-transit', 'aws-kms'];
+
+// Secrets are never stored in the config file, only the names of the variables holding them.
+function secretFromEnv(signerConfig, key, fallback) {
+  const name = signerConfig[key] || fallback;
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`Signer ${signerConfig.id}: environment variable ${name} is not set.`);
+  }
+  return value;
+}
+
+class SignerService {
+  constructor() {
+    this.configPath = process.env.SIGNERS_CONFIG_PATH ? path.resolve(process.env.SIGNERS_CONFIG_PATH) : null;
+    this.signers = new Map();
+    this.baseSigners = new Map();
+    this.connected = new Map();
+    this.nextIndex = new Map();
+
+    const signerConfigs = this.configPath
+      ? JSON.parse(fs.readFileSync(this.configPath, 'utf8')).signers || []
+      : [{ id: 'env', backend: 'private-key' }];
+
+    for (const signerConfig of signerConfigs) {
+      if (!signerConfig.id) {
+        throw new Error('Every signer needs an `id`.');
+      }
+      if (this.signers.has(signerConfig.id)) {
+        throw new Error(`Duplicate signer id ${signerConfig.id}.`);
+      }
+      if (!BACKENDS.includes(signerConfig.backend)) {
+        throw new Error(`Signer ${signerConfig.id} has unknown backend ${signerConfig.backend}. Expected one of: ${BACKENDS.join(', ')}.`);
+      }
+      this.signers.set(signerConfig.id, { active: true, ...signerConfig });
+    }
+
+    if (this.configPath) {
+      log.info(`Loaded ${this.signers.size} signers from ${this.configPath}.`);
+    } else {
+      log.warn('SIGNERS_CONFIG_PATH is not set. Using SERVICE_WALLET_PRIVATE_KEY for all chains.');
+    }
+  }
+
+  /**
+   * @returns {object[]} The configured signers, without secrets.
+   */
+  listSigners() {
+    return [...this.signers.values()].map(({ id, backend, active, chains }) => ({
+      id,
+      backend,
+      active,
+      chains: chains || 'all',
+    }));
+  }
+
+  servesChain(signerConfig, chainId) {
+    return !signerConfig.chains || signerConfig.chains.map(Number).includes(Number(chainId));
+  }
+
+  /**
+   * Picks the signer for a new request on a chain, rotating between the chain's active signers.
+   * @param {number} chainId - An EIP-155 chain ID.
+   * @returns {string} The signer ID.
+   */
+  assignSigner(chainId) {
+    const active = [...this.signers.values()].filter((s) => s.active && this.servesChain(s, chainId));
+    if (active.length === 0) {
+      throw new Error(`No active signer is configured for chain ${chainId}.`);
+    }
+    const index = (this.nextIndex.get(Number(chainId)) || 0) % active.length;
+    this.nextIndex.set(Number(chainId), index + 1);
+    return active[index].id;
+  }
+
+  /**
+   * Returns a signer connected to the chain's provider.
+   * @param {string} signerId - The signer ID recorded on the request.
+   * @param {number} chainId - An EIP-155 chain ID.
+   * @returns {Promise<ethers.AbstractSigner>}
+   */
+  async getSigner(signerId, chainId) {
+    const signerConfig = this.signers.get(signerId);
+    if (!signerConfig) {
+      throw new Error(`Unknown signer id ${signerId}.`);
+    }
+    if (!this.servesChain(signerConfig, chainId)) {
+      throw new Error(`Signer ${signerId} is not configured for chain ${chainId}.`);
+    }
+
+    const key = `${signerId}:${chainId}`;
+    if (!this.connected.has(key)) {
+      const base = await this.loadSigner(signerConfig);
+      this.connected.set(key, base.connect(chainRegistry.getProvider(chainId)));
+    }
+    return this.connected.get(key);
+  }
+
+  /**
+   * Creates the backend signer once per ID. Remote signers fetch their public key here,
+   * so a misconfigured backend fails before anything is signed.
+   */
+  async loadSigner(signerConfig) {
+    if (!this.baseSigners.has(signerConfig.id)) {
+      const loading = this.createSigner(signerConfig).then(async (signer) => {
+        log.info(`Signer ${signerConfig.id} (${signerConfig.backend}) has address ${await signer.getAddress()}.`);
+        return signer;
+      });
+      // A failed load (e.g. the signer backend is down) is retried on the next call.
+      loading.catch(() => this.baseSigners.delete(signerConfig.id));
+      this.baseSigners.set(signerConfig.id, loading);
+    }
+    return this.baseSigners.get(signerConfig.id);
+  }
+
+  async createSigner(signerConfig) {
+    switch (signerConfig.backend) {
+      case 'private-key':
+        return new ethers.Wallet(secretFromEnv(signerConfig, 'privateKeyEnv', 'SERVICE_WALLET_PRIVATE_KEY'));
+
+      case 'keystore': {
+        const keystorePath = path.resolve(this.configPath ? path.dirname(this.configPath) : '.', signerConfig.path);
+        const json = fs.readFileSync(keystorePath, 'utf8');
+        return ethers.Wallet.fromEncryptedJson(json, secretFromEnv(signerConfig, 'passwordEnv', 'KEYSTORE_PASSWORD'));
+      }
+
+      case 'vault-transit':
+        return new VaultTransitSigner({
+          address: signerConfig.address || process.env.VAULT_ADDR,
+          token: secretFromEnv(signerConfig, 'tokenEnv', 'VAULT_TOKEN'),
+          mount: signerConfig.mount,
+          keyName: signerConfig.keyName,
+          keyVersion: signerConfig.keyVersion,
+          namespace: signerConfig.namespace,
+        });
+
+      case 'aws-kms':
+        return new AwsKmsSigner({
+          keyId: signerConfig.keyId,
+          region: signerConfig.region || process.env.AWS_REGION,
+          endpoint: signerConfig.endpoint,
+          accessKeyId: secretFromEnv(signerConfig, 'accessKeyIdEnv', 'AWS_ACCESS_KEY_ID'),
+          secretAccessKey: secretFromEnv(signerConfig, 'secretAccessKeyEnv', 'AWS_SECRET_ACCESS_KEY'),
+          sessionToken: process.env[signerConfig.sessionTokenEnv || 'AWS_SESSION_TOKEN'],
+        });
+
+      default:
+        throw new Error(`Signer ${signerConfig.id} has unknown backend ${signerConfig.backend}.`);
+    }
+  }
+}
+
+module.exports = new SignerService();
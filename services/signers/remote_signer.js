@@ -0,0 +1,139 @@
+const { ethers } = require('ethers');
+
+/**
+ * Base class for signers whose private key never leaves a remote key store.
+ *
+ * Subclasses only implement two primitives:
+ * - `fetchPublicKey()`: the secp256k1 public key, as a DER SubjectPublicKeyInfo or a raw point.
+ * - `signDigest(digest)`: an ECDSA signature over a 32-byte digest, DER encoded.
+ *
+ * This class turns those into Ethereum signatures (low-s, with the recovery bit found
+ * by recovering against the key's address) for transactions, messages and typed data.
+ */
+
+const SECP256K1_N = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+
+/**
+ * Extracts the uncompressed public key point from a DER SubjectPublicKeyInfo
+ * (or PEM of one). secp256k1 keys end with the 65-byte `04 || X || Y` point.
+ * @param {Buffer|Uint8Array|string} key - DER bytes, PEM text, or a hex point.
+ * @returns {string} The public key as a hex string.
+ */
+function publicKeyFromSpki(key) {
+  if (typeof key === 'string' && key.includes('BEGIN PUBLIC KEY')) {
+    key = Buffer.from(key.replace(/-----[^-]+-----/g, '').replace(/\s+/g, ''), 'base64');
+  }
+  const bytes = ethers.getBytes(key);
+  const point = bytes.slice(bytes.length - 65);
+  if (point[0] !== 0x04) {
+    throw new Error('Public key is not an uncompressed secp256k1 point.');
+  }
+  return ethers.hexlify(point);
+}
+
+/**
+ * Decodes a DER `SEQUENCE { INTEGER r, INTEGER s }` ECDSA signature.
+ * @param {Buffer|Uint8Array} der - The DER-encoded signature.
+ * @returns {{r: bigint, s: bigint}}
+ */
+function decodeDerSignature(der) {
+  const bytes = ethers.getBytes(der);
+  let offset = 0;
+
+  const readLength = () => {
+    let length = bytes[offset++];
+    if (length & 0x80) {
+      const count = length & 0x7f;
+      length = 0;
+      for (let i = 0; i < count; i++) length = (length << 8) | bytes[offset++];
+    }
+    return length;
+  };
+  const readInteger = () => {
+    if (bytes[offset++] !== 0x02) throw new Error('Malformed DER signature: expected an INTEGER.');
+    const length = readLength();
+    const value = ethers.toBigInt(bytes.slice(offset, offset + length));
+    offset += length;
+    return value;
+  };
+
+  if (bytes[offset++] !== 0x30) throw new Error('Malformed DER signature: expected a SEQUENCE.');
+  readLength();
+  return { r: readInteger(), s: readInteger() };
+}
+
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {object} config - The backend configuration, kept for `connect`.
+   * @param {ethers.Provider} [provider] - The provider to connect to.
+   */
+  constructor(config, provider) {
+    super(provider);
+    this.config = config;
+    this.address = null;
+  }
+
+  connect(provider) {
+    const connected = new this.constructor(this.config, provider);
+    connected.address = this.address;
+    return connected;
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      this.address = ethers.computeAddress(publicKeyFromSpki(await this.fetchPublicKey()));
+    }
+    return this.address;
+  }
+
+  /**
+   * Signs a 32-byte digest remotely and returns an Ethereum signature.
+   * @param {string} digest - The hex digest.
+   * @returns {Promise<ethers.Signature>}
+   */
+  async sign(digest) {
+    const address = await this.getAddress();
+    let { r, s } = decodeDerSignature(await this.signDigest(ethers.getBytes(digest)));
+
+    // Ethereum only accepts the lower of the two equivalent s values.
+    if (s > SECP256K1_N / 2n) s = SECP256K1_N - s;
+
+    for (const yParity of [0, 1]) {
+      const signature = ethers.Signature.from({ r: ethers.toBeHex(r, 32), s: ethers.toBeHex(s, 32), yParity });
+      if (ethers.recoverAddress(digest, signature) === address) return signature;
+    }
+    throw new Error(`${this.constructor.name} returned a signature that does not recover to ${address}.`);
+  }
+
+  async signTransaction(tx) {
+    tx = ethers.copyRequest(tx);
+    const { to, from } = await ethers.resolveProperties({
+      to: tx.to ? ethers.resolveAddress(tx.to, this.provider) : undefined,
+      from: tx.from ? ethers.resolveAddress(tx.from, this.provider) : undefined,
+    });
+    if (to != null) tx.to = to;
+    if (from != null) {
+      if (from !== (await this.getAddress())) {
+        throw new Error(`Transaction from ${from} does not match signer ${this.address}.`);
+      }
+      delete tx.from;
+    }
+
+    const unsigned = ethers.Transaction.from(tx);
+    unsigned.signature = await this.sign(unsigned.unsignedHash);
+    return unsigned.serialized;
+  }
+
+  async signMessage(message) {
+    return (await this.sign(ethers.hashMessage(message))).serialized;
+  }
+
+  async signTypedData(domain, types, value) {
+    const populated = await ethers.TypedDataEncoder.resolveNames(domain, types, value, (name) =>
+      ethers.resolveAddress(name, this.provider)
+    );
+    return (await this.sign(ethers.TypedDataEncoder.hash(populated.domain, types, populated.value))).serialized;
+  }
+}
+
+module.exports = RemoteSigner;
@@ -0,0 +1,73 @@
+const RemoteSigner = require('./remote_signer');
+
+/**
+ * HashiCorp Vault Transit-compatible signer.
+ * Works with Vault (with a secp256k1-capable Transit engine or plugin) and with any
+ * HTTP signing service that implements the same `keys` and `sign` endpoints.
+ *
+ * The key version is pinned: rotating the Transit key in Vault would otherwise change
+ * the signing address silently. Rotation is done by adding a new signer ID instead.
+ */
+class VaultTransitSigner extends RemoteSigner {
+  /**
+   * @param {object} config
+   * @param {string} config.address - The Vault address, e.g. https://vault.internal:8200.
+   * @param {string} config.token - The Vault token.
+   * @param {string} config.keyName - The Transit key name.
+   * @param {string} [config.mount='transit'] - The Transit engine mount path.
+   * @param {number} [config.keyVersion] - The key version to sign with (defaults to the latest at startup).
+   * @param {string} [config.namespace] - The Vault Enterprise namespace.
+   * @param {ethers.Provider} [provider]
+   */
+  constructor(config, provider) {
+    super(config, provider);
+    this.keyVersion = config.keyVersion;
+  }
+
+  connect(provider) {
+    const connected = super.connect(provider);
+    connected.keyVersion = this.keyVersion;
+    return connected;
+  }
+
+  async request(method, path, body) {
+    const { address, token, namespace, mount = 'transit' } = this.config;
+    const headers = { 'X-Vault-Token': token, 'Content-Type': 'application/json' };
+    if (namespace) headers['X-Vault-Namespace'] = namespace;
+
+    const response = await fetch(`${address.replace(/\/$/, '')}/v1/${mount}/${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+      throw new Error(`Vault ${method} ${path} failed with status ${response.status}: ${await response.text()}`);
+    }
+    return (await response.json()).data;
+  }
+
+  async fetchPublicKey() {
+    const data = await this.request('GET', `keys/${this.config.keyName}`);
+    if (!this.keyVersion) this.keyVersion = data.latest_version;
+    const key = data.keys[String(this.keyVersion)];
+    if (!key || !key.public_key) {
+      throw new Error(`Vault key ${this.config.keyName} has no public key for version ${this.keyVersion}.`);
+    }
+    return key.public_key;
+  }
+
+  async signDigest(digest) {
+    await this.getAddress(); // Resolves the pinned key version
+    const data = await this.request('POST', `sign/${this.config.keyName}`, {
+      input: Buffer.from(digest).toString('base64'),
+      prehashed: true,
+      hash_algorithm: 'sha2-256', // Only declares the 32-byte digest length; the digest is keccak256
+      marshaling_algorithm: 'asn1',
+      key_version: this.keyVersion,
+    });
+    // Format: vault:v<version>:<base64 DER signature>
+    return Buffer.from(data.signature.split(':').pop(), 'base64');
+  }
+}
+
+module.exports = VaultTransitSigner;
@@ -0,0 +1,133 @@
+/**
+ * State Machines
+ *
+ * The statuses of withdrawal requests and raw transaction broadcasts, and the transitions
+ * allowed between them. Every status change goes through `transition`, which:
+ * - Rejects a transition the machine does not allow, before touching the database.
+ * - Applies it as a conditional update on the status(es) the caller expects the record to
+ *   be in, so that a concurrent change (e.g. a cancellation between the worker's read and
+ *   its write) turns it into a no-op instead of being overwritten.
+ * - Writes the status history entry in the same database transaction.
+ *
+ * Callers decide what a no-op means for them: some throw (an operator action on a request
+ * that moved on), others skip (a second caller racing to apply the same transition).
+ */
+
+class StateMachine {
+  /**
+   * @param {string} name - What the records are, for error messages.
+   * @param {object} options
+   * @param {string} options.model - The Prisma model delegate, e.g. `withdrawalRequest`.
+   * @param {string} options.historyModel - The Prisma model of the status history entries.
+   * @param {string} options.historyKey - The field of a history entry referencing the record.
+   * @param {string[]} options.initial - The statuses a record can be created in.
+   * @param {Object<string, string[]>} options.transitions - The statuses reachable from each
+   *   status. Terminal statuses map to an empty list.
+   */
+  constructor(name, { model, historyModel, historyKey, initial, transitions }) {
+    this.name = name;
+    this.model = model;
+    this.historyModel = historyModel;
+    this.historyKey = historyKey;
+    this.initial = initial;
+    this.transitions = transitions;
+    this.statuses = Object.keys(transitions);
+  }
+
+  /**
+   * @returns {boolean} Whether a record may move from `from` to `to`.
+   */
+  canTransition(from, to) {
+    return (this.transitions[from] || []).includes(to);
+  }
+
+  /**
+   * @returns {boolean} Whether no transition leaves `status`.
+   */
+  isTerminal(status) {
+    return this.transitions[status]?.length === 0;
+  }
+
+  /**
+   * Throws unless a record may be created in `status`.
+   */
+  assertInitial(status) {
+    if (!this.initial.includes(status)) {
+      throw new Error(`Illegal initial status for a ${this.name}: ${status}.`);
+    }
+  }
+
+  /**
+   * Moves a record to `to`, only if it is still in one of the `from` statuses, and writes
+   * the history entry with it.
+   * @param {import('@prisma/client').PrismaClient} prisma
+   * @param {string} id - The record's database ID.
+   * @param {string|string[]} from - The status(es) the caller expects the record to be in.
+   * @param {string} to - The new status.
+   * @param {object} [data] - Other fields to update with the status.
+   * @returns {Promise<object|null>} The updated record, or null if it was no longer in `from`.
+   */
+  async transition(prisma, id, from, to, data = {}) {
+    const fromStatuses = [].concat(from);
+    for (const status of fromStatuses) {
+      if (!this.canTransition(status, to)) {
+        throw new Error(`Illegal ${this.name} transition from ${status} to ${to}.`);
+      }
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const { count } = await tx[this.model].updateMany({
+        where: { id, status: { in: fromStatuses } },
+        data: { ...data, status: to },
+      });
+      if (count === 0) return null;
+
+      await tx[this.historyModel].create({ data: { [this.historyKey]: id, status: to } });
+      return tx[this.model].findUnique({ where: { id } });
+    });
+  }
+}
+
+const withdrawalStateMachine = new StateMachine('withdrawal request', {
+  model: 'withdrawalRequest',
+  historyModel: 'historyEntry',
+  historyKey: 'requestId',
+  initial: ['PENDING_SIGNATURE', 'PENDING_APPROVAL', 'SCHEDULED', 'REJECTED_BY_POLICY'],
+  transitions: {
+    // SCHEDULED when approved before its execute_after.
+    PENDING_APPROVAL: ['PENDING_SIGNATURE', 'SCHEDULED', 'REJECTED', 'CANCELLED', 'EXPIRED'],
+    // Released to PENDING_SIGNATURE at its execute_after.
+    SCHEDULED: ['PENDING_SIGNATURE', 'CANCELLED', 'EXPIRED'],
+    PENDING_SIGNATURE: ['PROCESSING', 'BROADCASTED', 'CANCELLED', 'FAILED', 'EXPIRED'],
+    // Back to PENDING_SIGNATURE when released from a batch whose nonce run broke.
+    PROCESSING: ['PENDING_SIGNATURE', 'BROADCASTED', 'CONFIRMING', 'COMPLETED', 'CANCELLED', 'FAILED'],
+    // CANCELLED when a cancel replacement transaction is mined instead.
+    BROADCASTED: ['CONFIRMING', 'COMPLETED', 'CANCELLED', 'FAILED'],
+    // Back to BROADCASTED when the transaction is reorged out.
+    CONFIRMING: ['COMPLETED', 'BROADCASTED'],
+    // Operator actions on dead-lettered requests (see dead_letter_service.js).
+    FAILED: ['PENDING_SIGNATURE', 'REJECTED', 'CONFIRMING', 'COMPLETED'],
+    COMPLETED: [],
+    CANCELLED: [],
+    REJECTED: [],
+    REJECTED_BY_POLICY: [],
+    EXPIRED: [],
+  },
+});
+
+const broadcastStateMachine = new StateMachine('raw transaction broadcast', {
+  model: 'rawTransactionBroadcast',
+  historyModel: 'broadcastHistoryEntry',
+  historyKey: 'broadcastId',
+  initial: ['PENDING'],
+  transitions: {
+    PENDING: ['BROADCASTED', 'CONFIRMING', 'CONFIRMED', 'FAILED'],
+    BROADCASTED: ['CONFIRMING', 'CONFIRMED', 'FAILED'],
+    // Back to BROADCASTED when the transaction is reorged out.
+    CONFIRMING: ['CONFIRMED', 'BROADCASTED'],
+    CONFIRMED: [],
+    FAILED: [],
+  },
+});
+
+module.exports = { StateMachine, withdrawalStateMachine, broadcastStateMachine };
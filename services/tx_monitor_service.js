@@ -0,0 +1,547 @@
+require('dotenv').config();
+const { ethers } = require('ethers');
+const { PrismaClient } = require('@prisma/client');
+const nonceManager = require('./nonce_manager');
+const webhookService = require('./webhook_service');
+const alertingService = require('./alerting_service');
+const chainRegistry = require('./chain_registry');
+const signerService = require('./signer_service');
+const auditService = require('./audit_service');
+const { withdrawalStateMachine } = require('./state_machine');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const log = logger.child('tx-monitor');
+
+/**
+ * Transaction Monitor Service
+ *
+ * Owns the lifecycle of withdrawal transactions after signing:
+ * - Broadcasting with a nonce reserved by the nonce manager and recording each attempt.
+ *   The signed bytes and hash are persisted *before* broadcasting, so a crashed or
+ *   retried job can always find out what was sent.
+ * - Reconciling a request's attempts against the chain (mined, pending, dropped) and
+ *   rebroadcasting the exact same signed bytes only while its nonce is unused.
+ * - Detecting transactions that stay pending longer than `STUCK_TX_TIMEOUT_MS`.
+ * - Replacing stuck transactions with fee-bumped ones that reuse the same nonce,
+ *   either automatically (speed-up) or on operator request (speed-up or cancel).
+ * - Moving the request to CONFIRMING once any of its attempts is mined. The finality
+ *   watcher completes it at the required confirmation depth.
+ *
+ * A payout batch (see `batch_payout_service.js`) goes through the same lifecycle with a
+ * single transaction for all of its items; every transition is applied to each item.
+ */
+
+const CANCEL_GAS_LIMIT = 21000n;
+// Nodes reject replacements that raise fees by less than 10%.
+const MIN_FEE_BUMP_PERCENT = 10;
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+function maxBigInt(...values) {
+  return values.reduce((a, b) => (b > a ? b : a));
+}
+
+// Transactions are sent for a single request, or for a batch (always loaded with its `items`).
+function isBatch(subject) {
+  return Array.isArray(subject.items);
+}
+
+function ownerOf(subject) {
+  return isBatch(subject) ? { batchId: subject.id } : { requestId: subject.id };
+}
+
+function describe(subject) {
+  return isBatch(subject) ? `batch ${subject.id}` : `request ${subject.requestId}`;
+}
+
+function entityTypeOf(subject) {
+  return isBatch(subject) ? 'WITHDRAWAL_BATCH' : 'WITHDRAWAL_REQUEST';
+}
+
+// Identifies the subject in alerts and logs: the client's request ID, or the batch ID.
+function reference(subject) {
+  return isBatch(subject) ? { batchId: subject.id } : { requestId: subject.requestId };
+}
+
+class TxMonitorService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.stuckTimeoutMs = Number(process.env.STUCK_TX_TIMEOUT_MS || 10 * 60 * 1000);
+    this.feeBumpPercent = Number(process.env.STUCK_TX_FEE_BUMP_PERCENT || 20);
+    this.maxReplacements = Number(process.env.STUCK_TX_MAX_REPLACEMENTS || 5);
+
+    if (this.feeBumpPercent < MIN_FEE_BUMP_PERCENT) {
+      throw new Error(`STUCK_TX_FEE_BUMP_PERCENT must be at least ${MIN_FEE_BUMP_PERCENT}.`);
+    }
+  }
+
+  /**
+   * Signs and broadcasts the first transaction for a request, then marks it BROADCASTED.
+   * The nonce is reserved once per request and reused by every later attempt, so a
+   * retried job can never produce two transactions that both get mined.
+   * @param {object} request - The `WithdrawalRequest` record, or a `WithdrawalBatch` with its `items`.
+   * @param {ethers.AbstractSigner} wallet - The request's signer, connected to its chain.
+   * @param {{to: string, data: string, gasLimit?: bigint}} txRequest - The populated call to send.
+   *   The gas limit is estimated if not given.
+   * @param {object} fees - `maxFeePerGas` and `maxPriorityFeePerGas`.
+   * @returns {Promise<string>} The transaction hash.
+   */
+  async broadcast(request, wallet, txRequest, fees) {
+    const from = await wallet.getAddress();
+    const gasLimit = txRequest.gasLimit ?? (await wallet.estimateGas({ ...txRequest, from }));
+
+    let { nonce } = request;
+    if (nonce === null || nonce === undefined) {
+      nonce = await nonceManager.allocate(wallet);
+      await this.modelOf(request).update({ where: { id: request.id }, data: { nonce } });
+    }
+
+    const txHash = await this.sendAttempt(request, wallet, 'ORIGINAL', {
+      to: txRequest.to,
+      data: txRequest.data,
+      value: 0n,
+      nonce,
+      gasLimit,
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+    });
+
+    await this.markBroadcasted(request, txHash);
+    return txHash;
+  }
+
+  modelOf(subject) {
+    return isBatch(subject) ? this.prisma.withdrawalBatch : this.prisma.withdrawalRequest;
+  }
+
+  async sendAttempt(request, wallet, kind, tx) {
+    const { chainId } = request;
+    const signedTx = await wallet.signTransaction({ ...tx, chainId, type: 2 });
+    const txHash = ethers.keccak256(signedTx);
+
+    // Persist the signed bytes first: if anything fails after this point, a retry
+    // reconciles this exact transaction instead of signing a new one.
+    await this.prisma.withdrawalTransaction.create({
+      data: {
+        ...ownerOf(request),
+        kind,
+        txHash,
+        signedTx,
+        chainId,
+        signerId: request.signerId,
+        fromAddress: await wallet.getAddress(),
+        toAddress: tx.to,
+        data: tx.data,
+        value: tx.value.toString(),
+        nonce: tx.nonce,
+        gasLimit: tx.gasLimit.toString(),
+        maxFeePerGas: tx.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString(),
+      },
+    });
+
+    await auditService.recordChange(entityTypeOf(request), request, request, {
+      action: 'TRANSACTION_SIGNED',
+      details: {
+        kind,
+        txHash,
+        nonce: tx.nonce,
+        signerId: request.signerId,
+        maxFeePerGas: tx.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString(),
+      },
+    });
+
+    await this.broadcastSigned(wallet.provider, signedTx);
+    log.info(`Sent ${kind} transaction ${txHash} (nonce ${tx.nonce}) for ${describe(request)}.`, { ...reference(request), txHash, nonce: tx.nonce, kind, signerId: request.signerId });
+
+    return txHash;
+  }
+
+  /**
+   * Broadcasts already-signed bytes. Rebroadcasting a transaction the node
+   * already has is not an error.
+   * @param {ethers.Provider} provider - The provider to broadcast through.
+   * @param {string} signedTx - The serialized signed transaction.
+   */
+  async broadcastSigned(provider, signedTx) {
+    try {
+      await provider.broadcastTransaction(signedTx);
+    } catch (error) {
+      if (/already known|known transaction|already imported/i.test(error.message)) return;
+      throw error;
+    }
+  }
+
+  /**
+   * Moves a request to BROADCASTED. Only the first caller applies the transition.
+   * @param {object} request - The `WithdrawalRequest` record, or a `WithdrawalBatch` with its `items`.
+   * @param {string} txHash - The hash of the broadcast transaction.
+   */
+  async markBroadcasted(request, txHash) {
+    if (isBatch(request)) {
+      const { count } = await this.prisma.withdrawalBatch.updateMany({
+        where: { id: request.id, status: { in: ['PENDING', 'PROCESSING'] } },
+        data: { status: 'BROADCASTED', txHash },
+      });
+      if (count === 1) {
+        await auditService.recordChange('WITHDRAWAL_BATCH', request, { ...request, status: 'BROADCASTED', txHash });
+      }
+      // Each item has its own guard, so a crash halfway through is completed by the next call.
+      for (const item of request.items) {
+        await this.markBroadcasted(item, txHash);
+      }
+      return;
+    }
+
+    const broadcasted = await withdrawalStateMachine.transition(
+      this.prisma, request.id, ['PENDING_SIGNATURE', 'PROCESSING'], 'BROADCASTED', { txHash }
+    );
+    if (!broadcasted) return;
+
+    await auditService.recordChange('WITHDRAWAL_REQUEST', request, broadcasted, { details: { txHash } });
+    await webhookService.notifyWithdrawalStatusChange(broadcasted);
+  }
+
+  /**
+   * Records that one of a request's attempts was mined, moving it to CONFIRMING
+   * (or straight to COMPLETED if it is already deep enough). Safe to call
+   * concurrently: only the first caller applies the transition.
+   * @param {object} request - The `WithdrawalRequest` record, or a `WithdrawalBatch` with its `items`.
+   * @param {string} minedHash - The hash of the mined attempt.
+   * @param {ethers.TransactionReceipt} receipt - Its receipt.
+   * @param {number} [logIndex] - For a batch item, the index of its token Transfer log.
+   */
+  async markMined(request, minedHash, receipt, logIndex) {
+    if (isBatch(request)) {
+      await this.markBatchMined(request, minedHash, receipt);
+      return;
+    }
+
+    const attempt = await this.prisma.withdrawalTransaction.findUnique({ where: { txHash: minedHash } });
+
+    const requiredConfirmations = chainRegistry.getRequiredConfirmations(request.chainId, request.tokenContractAddress);
+    const confirmations = await receipt.confirmations();
+
+    let status = confirmations >= requiredConfirmations ? 'COMPLETED' : 'CONFIRMING';
+    let errorMessage = null;
+    if (attempt?.kind === 'CANCEL') {
+      status = 'CANCELLED';
+      errorMessage = `Broadcast cancelled by replacement transaction ${minedHash}. The bank's Safe signature was not used.`;
+    } else if (receipt.status !== 1) {
+      status = 'FAILED';
+      errorMessage = `Transaction ${minedHash} reverted on-chain.`;
+    }
+
+    const updated = await withdrawalStateMachine.transition(this.prisma, request.id, ['PROCESSING', 'BROADCASTED'], status, {
+      txHash: minedHash,
+      errorMessage,
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      confirmations,
+      requiredConfirmations,
+      logIndex,
+    });
+    if (!updated) return;
+
+    await this.markAttemptsMined(request, minedHash);
+    if (!request.batchId) {
+      // A batch's gas is counted once, for the batch.
+      metrics.recordGas(request.chainId, request.tokenContractAddress, receipt);
+    }
+    if (status === 'COMPLETED') {
+      metrics.observeConfirmation('withdrawal', request.chainId, attempt?.createdAt);
+    }
+
+    await auditService.recordChange('WITHDRAWAL_REQUEST', request, updated, {
+      details: { minedHash, blockNumber: receipt.blockNumber, receiptStatus: receipt.status, attemptKind: attempt?.kind, logIndex },
+    });
+    await webhookService.notifyWithdrawalStatusChange(updated);
+    log.info(`Request ${request.requestId} is ${status} (mined ${minedHash}).`, { requestId: request.requestId, txHash: minedHash, status });
+  }
+
+  async markBatchMined(batch, minedHash, receipt) {
+    const attempt = await this.prisma.withdrawalTransaction.findUnique({ where: { txHash: minedHash } });
+
+    let status = 'MINED';
+    let errorMessage = null;
+    if (attempt?.kind === 'CANCEL') {
+      status = 'CANCELLED';
+      errorMessage = `Broadcast cancelled by replacement transaction ${minedHash}.`;
+    } else if (receipt.status !== 1) {
+      status = 'FAILED';
+      errorMessage = `Transaction ${minedHash} reverted on-chain.`;
+    }
+
+    const { count } = await this.prisma.withdrawalBatch.updateMany({
+      where: { id: batch.id, status: { in: ['PROCESSING', 'BROADCASTED'] } },
+      data: { status, txHash: minedHash, errorMessage, blockNumber: receipt.blockNumber, blockHash: receipt.blockHash },
+    });
+    if (count === 1) {
+      await this.markAttemptsMined(batch, minedHash);
+      metrics.recordGas(batch.chainId, batch.tokenContractAddress, receipt);
+      await auditService.recordChange('WITHDRAWAL_BATCH', batch, {
+        ...batch, status, txHash: minedHash, errorMessage, blockNumber: receipt.blockNumber, blockHash: receipt.blockHash,
+      }, { details: { minedHash, receiptStatus: receipt.status, attemptKind: attempt?.kind } });
+      log.info(`Batch ${batch.id} is ${status} (mined ${minedHash}).`, { batchId: batch.id, txHash: minedHash, status });
+    }
+
+    const logIndexes = status === 'MINED' ? this.matchTransferLogs(batch, receipt) : new Map();
+    for (const item of batch.items) {
+      await this.markMined(item, minedHash, receipt, logIndexes.get(item.id));
+    }
+  }
+
+  /**
+   * Finds each batch item's token Transfer log. Items execute in `batchIndex` order and
+   * each makes exactly one transfer out of the treasury, so the logs are matched in order.
+   * @returns {Map<string, number>} Log index by item ID.
+   */
+  matchTransferLogs(batch, receipt) {
+    const transfers = receipt.logs.filter(
+      (entry) =>
+        entry.address.toLowerCase() === batch.tokenContractAddress.toLowerCase() &&
+        entry.topics[0] === TRANSFER_TOPIC &&
+        ethers.getAddress(ethers.dataSlice(entry.topics[1], 12)) === ethers.getAddress(batch.treasuryContractAddress)
+    );
+    const items = [...batch.items].filter((item) => item.batchIndex !== null).sort((a, b) => a.batchIndex - b.batchIndex);
+
+    const logIndexes = new Map();
+    items.forEach((item, i) => {
+      const transfer = transfers[i];
+      if (transfer && ethers.getAddress(ethers.dataSlice(transfer.topics[2], 12)) === ethers.getAddress(item.destinationAddress)) {
+        logIndexes.set(item.id, transfer.index);
+      } else {
+        log.warn(`No matching Transfer log for request ${item.requestId} in batch ${batch.id}.`, { requestId: item.requestId, batchId: batch.id, txHash: receipt.hash });
+      }
+    });
+    return logIndexes;
+  }
+
+  async markAttemptsMined(subject, minedHash) {
+    await this.prisma.withdrawalTransaction.updateMany({
+      where: { ...ownerOf(subject), txHash: { not: minedHash } },
+      data: { status: 'REPLACED' },
+    });
+    await this.prisma.withdrawalTransaction.updateMany({
+      where: { txHash: minedHash },
+      data: { status: 'MINED' },
+    });
+  }
+
+  /**
+   * Determines what happened on-chain to a request's recorded attempts.
+   * @param {object} request - The `WithdrawalRequest` record, with `transactions` included.
+   * @param {ethers.Provider} provider - The provider to query.
+   * @returns {Promise<{state: 'MINED'|'PENDING'|'DROPPED'|'NONCE_CONSUMED', attempt?: object, receipt?: object}>}
+   *   DROPPED means no attempt is known to the node and the nonce is still unused, so
+   *   rebroadcasting the latest attempt is safe. NONCE_CONSUMED means the nonce was used
+   *   by a transaction that is not one of ours.
+   */
+  async reconcile(request, provider) {
+    for (const attempt of request.transactions) {
+      const receipt = await provider.getTransactionReceipt(attempt.txHash);
+      if (receipt) return { state: 'MINED', attempt, receipt };
+    }
+
+    for (const attempt of [...request.transactions].reverse()) {
+      if (await provider.getTransaction(attempt.txHash)) return { state: 'PENDING', attempt };
+    }
+
+    const latest = request.transactions[request.transactions.length - 1];
+    const minedNonce = await provider.getTransactionCount(latest.fromAddress, 'latest');
+    if (minedNonce > latest.nonce) return { state: 'NONCE_CONSUMED', attempt: latest };
+
+    return { state: 'DROPPED', attempt: latest };
+  }
+
+  /**
+   * Recovers a request whose job is retried after at least one attempt was signed.
+   * Never signs a new transaction: it completes, hands over to monitoring, or
+   * rebroadcasts the same signed bytes.
+   * @param {object} request - The `WithdrawalRequest` record, with `transactions` included.
+   * @param {ethers.AbstractSigner} wallet - The request's signer, connected to its chain.
+   * @returns {Promise<{state: string, txHash: string}>}
+   */
+  async recover(request, wallet) {
+    const { state, attempt, receipt } = await this.reconcile(request, wallet.provider);
+    log.info(`Reconciled ${describe(request)}: ${state} (${attempt.txHash}).`, { ...reference(request), txHash: attempt.txHash, state });
+
+    switch (state) {
+      case 'MINED':
+        await this.markMined(request, attempt.txHash, receipt);
+        break;
+      case 'PENDING':
+        await this.markBroadcasted(request, attempt.txHash);
+        break;
+      case 'DROPPED':
+        await this.broadcastSigned(wallet.provider, attempt.signedTx);
+        await this.markBroadcasted(request, attempt.txHash);
+        break;
+      default:
+        throw new Error(
+          `Service wallet nonce ${attempt.nonce} was consumed by a transaction not recorded for ${describe(request)}. Manual review required.`
+        );
+    }
+
+    return { state, txHash: attempt.txHash };
+  }
+
+  /**
+   * Checks every BROADCASTED request and batch, on every chain: completes mined ones,
+   * rebroadcasts dropped ones and replaces stuck ones.
+   */
+  async checkBroadcasted() {
+    const requests = await this.prisma.withdrawalRequest.findMany({
+      where: { status: 'BROADCASTED', transactions: { some: {} } },
+      include: { transactions: { orderBy: { createdAt: 'asc' } } },
+    });
+    const batches = await this.prisma.withdrawalBatch.findMany({
+      where: { status: 'BROADCASTED', transactions: { some: {} } },
+      include: { items: true, transactions: { orderBy: { createdAt: 'asc' } } },
+    });
+
+    for (const subject of [...requests, ...batches]) {
+      try {
+        await this.checkRequest(subject, await signerService.getSigner(subject.signerId, subject.chainId));
+      } catch (error) {
+        log.error(`Failed to check ${describe(subject)}.`, { error: error.message, ...reference(subject) });
+      }
+    }
+  }
+
+  async checkRequest(request, wallet) {
+    const { state, attempt, receipt } = await this.reconcile(request, wallet.provider);
+
+    if (state === 'MINED') {
+      await this.markMined(request, attempt.txHash, receipt);
+      return;
+    }
+    if (state === 'NONCE_CONSUMED') {
+      await alertingService.sendAlert('Withdrawal Nonce Consumed By Unknown Transaction', {
+        ...reference(request), nonce: attempt.nonce, latestTxHash: attempt.txHash,
+      }, { severity: 'critical', dedupKey: `nonce-consumed:${request.id}` });
+      return;
+    }
+    if (state === 'DROPPED') {
+      log.warn(`Transaction ${attempt.txHash} for ${describe(request)} was dropped. Rebroadcasting the same signed bytes.`, { ...reference(request), txHash: attempt.txHash });
+      await this.broadcastSigned(wallet.provider, attempt.signedTx);
+    }
+
+    const latest = request.transactions[request.transactions.length - 1];
+    if (Date.now() - latest.createdAt.getTime() < this.stuckTimeoutMs) {
+      return;
+    }
+
+    const replacements = request.transactions.length - 1;
+    if (replacements >= this.maxReplacements) {
+      await alertingService.sendAlert('Withdrawal Transaction Stuck', {
+        ...reference(request), nonce: request.nonce, latestTxHash: latest.txHash, replacements,
+      }, { severity: 'critical', dedupKey: `tx-stuck:${request.id}` });
+      return;
+    }
+
+    log.warn(`Transaction ${latest.txHash} for ${describe(request)} pending for over ${this.stuckTimeoutMs}ms. Speeding up.`, { ...reference(request), txHash: latest.txHash, nonce: latest.nonce });
+    await this.replace(request, wallet, latest.kind === 'CANCEL' ? 'CANCEL' : 'SPEED_UP');
+  }
+
+  /**
+   * Replaces the latest pending attempt of a request with a fee-bumped one using the same nonce.
+   * @param {object} request - The `WithdrawalRequest` record (or `WithdrawalBatch` with its `items`),
+   *   with `transactions` included.
+   * @param {ethers.AbstractSigner} wallet - The request's signer, connected to its chain.
+   * @param {'SPEED_UP'|'CANCEL'} kind - Resend the same call, or a 0-value self-transfer.
+   * @returns {Promise<string>} The replacement transaction hash.
+   */
+  async replace(request, wallet, kind) {
+    const latest = request.transactions[request.transactions.length - 1];
+    const feeData = await chainRegistry.getFees(request.chainId);
+    const fees = this.bumpFees(latest, feeData, chainRegistry.getMaxFeePerGas(request.chainId));
+    const from = await wallet.getAddress();
+    if (from !== latest.fromAddress) {
+      throw new Error(`Signer ${request.signerId} (${from}) did not sign the pending transaction from ${latest.fromAddress}; it cannot replace it.`);
+    }
+
+    const tx =
+      kind === 'CANCEL'
+        ? { to: from, data: '0x', value: 0n, gasLimit: CANCEL_GAS_LIMIT }
+        : { to: latest.toAddress, data: latest.data, value: BigInt(latest.value), gasLimit: BigInt(latest.gasLimit) };
+
+    const txHash = await this.sendAttempt(request, wallet, kind, { ...tx, nonce: latest.nonce, ...fees });
+
+    await this.modelOf(request).update({
+      where: { id: request.id },
+      data: { txHash },
+    });
+    if (isBatch(request)) {
+      await this.prisma.withdrawalRequest.updateMany({ where: { batchId: request.id }, data: { txHash } });
+    }
+    await auditService.recordChange(entityTypeOf(request), request, { ...request, txHash }, {
+      action: 'TRANSACTION_REPLACED',
+      details: { kind, replacedTxHash: latest.txHash, txHash },
+    });
+
+    return txHash;
+  }
+
+  bumpFees(latest, feeData, ceiling) {
+    const factor = BigInt(100 + this.feeBumpPercent);
+    const maxPriorityFeePerGas = maxBigInt(
+      (BigInt(latest.maxPriorityFeePerGas) * factor) / 100n,
+      feeData.maxPriorityFeePerGas ?? 0n
+    );
+    const maxFeePerGas = maxBigInt(
+      (BigInt(latest.maxFeePerGas) * factor) / 100n,
+      feeData.maxFeePerGas ?? 0n,
+      maxPriorityFeePerGas
+    );
+
+    if (ceiling && maxFeePerGas > ceiling) {
+      throw new Error(
+        `Replacement maxFeePerGas ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei exceeds the ceiling of ${ethers.formatUnits(ceiling, 'gwei')} gwei.`
+      );
+    }
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  /**
+   * Handles an operator's manual speed-up or cancel of a stuck withdrawal.
+   * For a batched request, the batch transaction is replaced, which affects every item.
+   * @param {string} dbId - The database ID of the `WithdrawalRequest`.
+   * @param {'SPEED_UP'|'CANCEL'} kind - The requested replacement.
+   */
+  async replaceByOperator(dbId, kind) {
+    let request = await this.prisma.withdrawalRequest.findUnique({
+      where: { id: dbId },
+      include: { transactions: { orderBy: { createdAt: 'asc' } } },
+    });
+    if (request?.batchId) {
+      request = await this.prisma.withdrawalBatch.findUnique({
+        where: { id: request.batchId },
+        include: { items: true, transactions: { orderBy: { createdAt: 'asc' } } },
+      });
+    }
+
+    if (!request || request.status !== 'BROADCASTED' || request.transactions.length === 0) {
+      log.info(`Skipping ${kind} for ${dbId}: request is no longer pending on-chain.`, { dbId });
+      return;
+    }
+
+    const wallet = await signerService.getSigner(request.signerId, request.chainId);
+
+    // The transaction may have been mined since the operator asked.
+    const { state, attempt, receipt } = await this.reconcile(request, wallet.provider);
+    if (state === 'MINED') {
+      await this.markMined(request, attempt.txHash, receipt);
+      return;
+    }
+    if (state === 'NONCE_CONSUMED') {
+      throw new Error(`Nonce ${attempt.nonce} is already used on-chain; nothing to replace.`);
+    }
+
+    await this.replace(request, wallet, kind);
+  }
+}
+
+module.exports = new TxMonitorService();
@@ -0,0 +1,282 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { Queue } = require('bullmq');
+const auditService = require('./audit_service');
+const eventStream = require('./event_stream');
+const logger = require('./logger');
+
+const log = logger.child('webhooks');
+
+/**
+ * Webhook Service
+ *
+ * Notifies banks of status changes so they don't have to poll `/status`:
+ * - Recording a `WebhookDelivery` for every withdrawal and broadcast status transition.
+ * - Enqueuing deliveries on the `webhook-delivery` queue, which retries with backoff.
+ * - Signing and sending each delivery to the client's registered callback URL.
+ *
+ * Each delivery is a POST with a JSON body and these headers:
+ *   X-Webhook-Id:        the delivery ID (stable across retries, use it to de-duplicate)
+ *   X-Webhook-Event:     the event type
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the client's secret>
+ */
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const DELIVERY_JOB_OPTIONS = {
+  attempts: 8,
+  backoff: { type: 'exponential', delay: 5000 }, // 5s, 10s, 20s ... ~10 min
+  removeOnComplete: true,
+};
+
+class WebhookService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.deliveryQueue = new Queue('webhook-delivery', {
+      connection: {
+        host: process.env.REDIS_HOST || '127.0.0.1',
+        port: process.env.REDIS_PORT || 6379,
+      },
+    });
+  }
+
+  /**
+   * Registers (or replaces) a client's callback URL and signing secret.
+   * @param {string} clientId - The ID of the client.
+   * @param {string} url - The HTTPS callback URL.
+   * @param {string} [secret] - The HMAC secret. A random one is generated if omitted.
+   * @returns {Promise<{webhookUrl: string, webhookSecret: string}>}
+   */
+  async registerWebhook(clientId, url, secret) {
+    const webhookSecret = secret || `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    const before = await this.prisma.apiClient.findUnique({ where: { id: clientId } });
+    const client = await this.prisma.apiClient.update({
+      where: { id: clientId },
+      data: { webhookUrl: url, webhookSecret },
+    });
+    // The secret itself is never written to the audit log.
+    await auditService.recordChange('API_CLIENT', before, client, {
+      action: 'WEBHOOK_REGISTERED',
+      actor: auditService.clientActor(clientId),
+      details: { secretRotated: before.webhookSecret !== webhookSecret },
+    });
+    return { webhookUrl: client.webhookUrl, webhookSecret: client.webhookSecret };
+  }
+
+  /**
+   * Removes a client's webhook registration. Pending deliveries will fail.
+   * @param {string} clientId - The ID of the client.
+   */
+  async unregisterWebhook(clientId) {
+    const before = await this.prisma.apiClient.findUnique({ where: { id: clientId } });
+    const client = await this.prisma.apiClient.update({
+      where: { id: clientId },
+      data: { webhookUrl: null, webhookSecret: null },
+    });
+    await auditService.recordChange('API_CLIENT', before, client, {
+      action: 'WEBHOOK_UNREGISTERED',
+      actor: auditService.clientActor(clientId),
+    });
+  }
+
+  /**
+   * Produces a `withdrawal.status_changed` delivery for a withdrawal request, and publishes
+   * it to the live event stream of the dashboard (with the confirmation count).
+   * Never throws: a notification problem must not fail the status transition itself.
+   * @param {object} request - The updated `WithdrawalRequest` record.
+   */
+  async notifyWithdrawalStatusChange(request) {
+    const data = {
+      requestId: request.requestId,
+      chainId: request.chainId,
+      status: request.status,
+      treasuryContractAddress: request.treasuryContractAddress,
+      destinationAddress: request.destinationAddress,
+      tokenContractAddress: request.tokenContractAddress,
+      amount: request.amount,
+      txHash: request.txHash,
+      batchId: request.batchId,
+      logIndex: request.logIndex,
+      errorMessage: request.errorMessage,
+      errorCode: request.errorCode,
+      executeAfter: request.executeAfter,
+      expiresAt: request.expiresAt,
+      updatedAt: request.updatedAt,
+    };
+    await eventStream.publish(request.clientId, 'withdrawal.status_changed', {
+      ...data,
+      confirmations: request.confirmations,
+      requiredConfirmations: request.requiredConfirmations,
+    });
+    await this.enqueueEvent(request.clientId, 'withdrawal.status_changed', data);
+  }
+
+  /**
+   * Produces a `broadcast.status_changed` delivery for a raw transaction broadcast.
+   * Never throws: a notification problem must not fail the status transition itself.
+   * @param {object} broadcast - The updated `RawTransactionBroadcast` record.
+   */
+  async notifyBroadcastStatusChange(broadcast) {
+    await this.enqueueEvent(broadcast.clientId, 'broadcast.status_changed', {
+      broadcastId: broadcast.id,
+      chainId: broadcast.chainId,
+      status: broadcast.status,
+      txHash: broadcast.txHash,
+      errorMessage: broadcast.errorMessage,
+      updatedAt: broadcast.updatedAt,
+    });
+  }
+
+  async enqueueEvent(clientId, eventType, data) {
+    if (!clientId) return;
+
+    try {
+      const client = await this.prisma.apiClient.findUnique({ where: { id: clientId } });
+      if (!client || !client.webhookUrl) return;
+
+      const delivery = await this.prisma.webhookDelivery.create({
+        data: {
+          clientId,
+          eventType,
+          url: client.webhookUrl,
+          payload: { type: eventType, createdAt: new Date().toISOString(), data },
+        },
+      });
+      await this.deliveryQueue.add('deliver-webhook', { deliveryId: delivery.id }, DELIVERY_JOB_OPTIONS);
+    } catch (error) {
+      log.error(`Failed to enqueue ${eventType} for client ${clientId}.`, { error: error.message, clientId, eventType });
+    }
+  }
+
+  /**
+   * Computes the signature header value for a delivery body.
+   * @param {string} secret - The client's webhook secret.
+   * @param {string} body - The exact JSON body being sent.
+   * @param {number} timestamp - Unix time in seconds.
+   */
+  sign(secret, body, timestamp) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Sends a delivery to the client's callback URL. Throws on any non-2xx
+   * response so the queue retries it.
+   * @param {string} deliveryId - The ID of the `WebhookDelivery` to send.
+   */
+  async deliver(deliveryId) {
+    const delivery = await this.prisma.webhookDelivery.findUnique({
+      where: { id: deliveryId },
+      include: { client: true },
+    });
+
+    if (!delivery || delivery.status === 'DELIVERED') {
+      return;
+    }
+    if (!delivery.client.webhookSecret) {
+      throw new Error('Client no longer has a webhook registered.');
+    }
+
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Signature': this.sign(delivery.client.webhookSecret, body, timestamp),
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      responseStatus = response.status;
+
+      if (!response.ok) {
+        throw new Error(`Callback responded with HTTP ${response.status}.`);
+      }
+
+      await this.prisma.webhookDelivery.update({
+        where: { id: deliveryId },
+        data: { status: 'DELIVERED', attempts: { increment: 1 }, responseStatus, lastError: null, deliveredAt: new Date() },
+      });
+    } catch (error) {
+      await this.prisma.webhookDelivery.update({
+        where: { id: deliveryId },
+        data: { attempts: { increment: 1 }, responseStatus, lastError: error.message },
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Marks a delivery as permanently failed once the queue has given up on it.
+   * @param {string} deliveryId - The ID of the `WebhookDelivery`.
+   * @param {string} errorMessage - The last error seen.
+   */
+  async markFailed(deliveryId, errorMessage) {
+    await this.prisma.webhookDelivery.update({
+      where: { id: deliveryId },
+      data: { status: 'FAILED', lastError: errorMessage },
+    });
+  }
+
+  /**
+   * Lists a client's recent deliveries, newest first.
+   * @param {string} clientId - The ID of the client.
+   * @param {object} options - Pagination options.
+   * @param {number} options.page - The current page number.
+   * @param {number} options.pageSize - The number of items per page.
+   */
+  async listDeliveries(clientId, { page = 1, pageSize = 20 }) {
+    const where = { clientId };
+    const [deliveries, total] = await this.prisma.$transaction([
+      this.prisma.webhookDelivery.findMany({
+        where,
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        orderBy: { createdAt: 'desc' },
+      }),
+      this.prisma.webhookDelivery.count({ where }),
+    ]);
+
+    return {
+      data: deliveries,
+      pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) },
+    };
+  }
+
+  /**
+   * Re-sends a delivery with the same ID and payload, regardless of its current status.
+   * @param {string} deliveryId - The ID of the `WebhookDelivery` to replay.
+   * @param {string} clientId - The ID of the client that owns the delivery.
+   */
+  async replayDelivery(deliveryId, clientId) {
+    const delivery = await this.prisma.webhookDelivery.findFirst({
+      where: { id: deliveryId, clientId },
+      include: { client: true },
+    });
+
+    if (!delivery) {
+      throw new Error('Webhook delivery not found.');
+    }
+    if (!delivery.client.webhookUrl) {
+      throw new Error('No webhook is registered for this client.');
+    }
+
+    // Replays go to the currently registered URL, so a fixed endpoint can catch up.
+    await this.prisma.webhookDelivery.update({
+      where: { id: deliveryId },
+      data: { status: 'PENDING', url: delivery.client.webhookUrl, deliveredAt: null },
+    });
+    await this.deliveryQueue.add('deliver-webhook', { deliveryId }, DELIVERY_JOB_OPTIONS);
+    log.info(`Webhook delivery ${deliveryId} re-enqueued for replay.`, { deliveryId });
+
+    return { deliveryId, status: 'PENDING' };
+  }
+}
+
+module.exports = new WebhookService();
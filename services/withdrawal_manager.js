@@ -1,49 +1,120 @@
 require('dotenv').config();
+const { ethers } = require('ethers');
 const { PrismaClient } = require('@prisma/client');
 const { Queue } = require('bullmq');
+const webhookService = require('./webhook_service');
+const policyEngine = require('./policy_engine');
+const chainRegistry = require('./chain_registry');
+const preflightService = require('./preflight_service');
+const auditService = require('./audit_service');
+const { withdrawalStateMachine } = require('./state_machine');
+const logger = require('./logger');
+
+const log = logger.child('withdrawals');
+const healthCheckLog = logger.child('health-check');
 
 /**
  * Withdrawal Manager Service
  *
  * This service is the core of the withdrawal activation logic. It handles:
  * - Validating and persisting withdrawal requests to the database.
- * - Enqueuing requests for processing by a separate worker.
+ * - Checking requests against the withdrawal policy.
+ * - Collecting operator approvals for requests held in PENDING_APPROVAL.
+ * - Holding requests with a future `execute_after` in SCHEDULED until then, and expiring
+ *   requests that were not picked up by their `expires_at`, with delayed jobs on the
+ *   withdrawal queue.
+ * - Enqueuing requests for processing by a separate worker. Batchable requests are
+ *   left to the batch collector instead (see `batch_payout_service.js`).
+ */
+
+const ERC20_INTERFACE = new ethers.Interface([
+  'function transfer(address to, uint256 amount)',
+  'function transferFrom(address from, address to, uint256 amount)',
+  'function approve(address spender, uint256 amount)',
+]);
+
+/**
+ * Decodes ERC20 transfer, transferFrom and approve calldata.
+ * @returns {object|null} The function name and its arguments as strings, or null for other calls.
  */
+function decodeErc20Call(data) {
+  let parsed;
+  try {
+    parsed = ERC20_INTERFACE.parseTransaction({ data });
+  } catch (e) {
+    return null;
+  }
+  if (!parsed) return null;
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = parsed.args[i].toString();
+  });
+  return { function: parsed.name, ...args };
+}
+
+const REQUEST_STATUSES = withdrawalStateMachine.statuses;
+
+// The statuses a request can expire in: those it waits in before the worker picks it up.
+const EXPIRABLE_STATUSES = ['PENDING_APPROVAL', 'SCHEDULED', 'PENDING_SIGNATURE'];
+
+// The `sort` values accepted by the list, and the column each one sorts on.
+const LIST_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  amount: 'amountValue',
+  status: 'status',
+  requestId: 'requestId',
+};
 
 class WithdrawalManager {
   constructor() {
-    // --- Blockchain Connection Setup ---
-    const network = process.env.ETHEREUM_NETWORK || 'sepolia'; // Default to sepolia for safety
-    const rpcUrl =
-      network === 'mainnet' ?
-      process.env.MAINNET_RPC_URL :
-      process.env.SEPOLIA_RPC_URL;
-
-    if (!rpcUrl) {
-      throw new Error(
-        `RPC URL for network '${network}' is not defined in environment variables.`
-      );
-    }
     this.prisma = new PrismaClient();
+    // Number of distinct operators that must approve a PENDING_APPROVAL request
+    this.approvalQuorum = Number(process.env.APPROVAL_QUORUM || 2);
     this.withdrawalQueue = new Queue('withdrawal-processing', {
       connection: {
         host: process.env.REDIS_HOST || '127.0.0.1',
         port: process.env.REDIS_PORT || 6379,
       },
+      // --- Retry Logic Configuration ---
+      // Retries are safe: the worker reconciles any previously signed transaction
+      // against the chain before doing anything else.
+      defaultJobOptions: {
+        attempts: 5, // Try a job up to 5 times
+        backoff: {
+          type: 'exponential', // Use exponential backoff
+          delay: 10000, // Start with a 10-second delay (10s, 20s, 40s, 80s)
+        },
+      },
     });
     this.rawTxBroadcastQueue = new Queue('raw-tx-broadcasting', {
       connection: {
         host: process.env.REDIS_HOST || '127.0.0.1',
         port: process.env.REDIS_PORT || 6379,
       },
+      defaultJobOptions: {
+        attempts: 3, // Fewer retries for raw tx as failure is more likely due to invalid user input
+        backoff: { type: 'exponential', delay: 5000 },
+      },
+    });
+    this.txMonitorQueue = new Queue('tx-monitoring', {
+      connection: {
+        host: process.env.REDIS_HOST || '127.0.0.1',
+        port: process.env.REDIS_PORT || 6379,
+      },
     });
   }
 
   /**
    * Processes a new multi-sig withdrawal request from the bank.
-   * @param {object} requestData - The validated request data from the API.
+   * @param {object} requestData - The validated request data from the API. With `batch: true`,
+   *   the request is paid in a batch with others from the same treasury and token. With a future
+   *   `execute_after`, it is held in SCHEDULED until then; with `expires_at`, it expires if the
+   *   worker has not picked it up by then.
+   * @param {string} clientId - The ID of the authenticated API client submitting the request.
    */
-  async processNewRequest(requestData) {
+  async processNewRequest(requestData, clientId) {
     const existingRequest = await this.prisma.withdrawalRequest.findUnique({
       where: { requestId: requestData.request_id },
     });
@@ -54,61 +125,394 @@ class WithdrawalManager {
       );
     }
 
-    const newRequest = await this.prisma.withdrawalRequest.create({
-      data: {
-        requestId: requestData.request_id,
-        treasuryContractAddress: requestData.treasury_contract_address,
-        destinationAddress: requestData.destination_address,
-        tokenContractAddress: requestData.token_contract_address,
-        amount: requestData.amount,
-        partiallySignedTx: requestData.partially_signed_tx,
-        history: { create: { status: 'PENDING_SIGNATURE' } },
-      },
+    const executeAfter = requestData.execute_after || null;
+    const expiresAt = requestData.expires_at || null;
+    // An execute_after that has already passed releases the request right away.
+    const scheduled = Boolean(executeAfter) && executeAfter > new Date();
+
+    const policyResult = await policyEngine.evaluate(requestData, clientId);
+    const status = {
+      ALLOW: scheduled ? 'SCHEDULED' : 'PENDING_SIGNATURE',
+      REQUIRE_APPROVAL: 'PENDING_APPROVAL',
+      REJECT: 'REJECTED_BY_POLICY',
+    }[policyResult.decision];
+    withdrawalStateMachine.assertInitial(status);
+
+    let newRequest;
+    try {
+      newRequest = await this.prisma.withdrawalRequest.create({
+        data: {
+          status,
+          requestId: requestData.request_id,
+          chainId: requestData.chain_id,
+          treasuryContractAddress: requestData.treasury_contract_address,
+          destinationAddress: requestData.destination_address,
+          tokenContractAddress: requestData.token_contract_address,
+          amount: requestData.amount,
+          amountValue: requestData.amount,
+          partiallySignedTx: requestData.partially_signed_tx,
+          batchable: Boolean(requestData.batch),
+          clientId,
+          executeAfter,
+          expiresAt,
+          policyRule: policyResult.rule,
+          errorMessage: policyResult.decision === 'REJECT' ? policyResult.reason : null,
+          history: { create: { status } },
+        },
+      });
+    } catch (error) {
+      // The same request_id submitted concurrently passes the check above.
+      if (error.code === 'P2002') {
+        throw new Error('Duplicate request_id. This request has already been submitted.');
+      }
+      throw error;
+    }
+
+    await auditService.recordChange('WITHDRAWAL_REQUEST', null, newRequest, {
+      action: 'CREATED',
+      actor: auditService.clientActor(clientId),
+      details: { policyDecision: policyResult.decision, policyReason: policyResult.reason, batchable: newRequest.batchable },
+    });
+    await webhookService.notifyWithdrawalStatusChange(newRequest);
+    if (expiresAt && !withdrawalStateMachine.isTerminal(status)) {
+      await this.scheduleExpiry(newRequest);
+    }
+
+    const result = { requestId: requestData.request_id, chainId: newRequest.chainId, receivedAt: new Date().toISOString() };
+
+    if (policyResult.decision !== 'ALLOW') {
+      log.info(`Request ${newRequest.requestId} set to ${status} by policy rule '${policyResult.rule}': ${policyResult.reason}`, { requestId: newRequest.requestId, status, policyRule: policyResult.rule });
+      return { ...result, status, policyRule: policyResult.rule, reason: policyResult.reason };
+    }
+
+    if (status === 'SCHEDULED') {
+      await this.scheduleRelease(newRequest);
+      log.info(`New request ${newRequest.requestId} saved and scheduled for ${executeAfter.toISOString()}.`, { requestId: newRequest.requestId, clientId: newRequest.clientId });
+      return { ...result, status, executeAfter, expiresAt, batchable: newRequest.batchable };
+    }
+
+    await this.enqueue(newRequest);
+    log.info(`New request ${newRequest.requestId} saved and ${newRequest.batchable ? 'queued for batching' : 'enqueued for processing'}.`, { requestId: newRequest.requestId, clientId: newRequest.clientId });
+
+    return { ...result, status: 'PENDING', batchable: newRequest.batchable };
+  }
+
+  /**
+   * Processes several withdrawal requests submitted together, for batched payout.
+   * Each one is handled like a `/initiate` request with `batch: true`, so one invalid
+   * or duplicate item does not affect the others.
+   * @param {object[]} withdrawals - The validated request data of each withdrawal.
+   * @param {string} clientId - The ID of the authenticated API client submitting the requests.
+   * @returns {Promise<object[]>} One result per withdrawal, in order, with an `error` for failed items.
+   */
+  async processBatchRequest(withdrawals, clientId) {
+    const results = [];
+    for (const requestData of withdrawals) {
+      try {
+        results.push(await this.processNewRequest({ ...requestData, batch: true }, clientId));
+      } catch (error) {
+        if (error.message.startsWith('Duplicate request_id')) {
+          results.push({ requestId: requestData.request_id, status: 'ERROR', error: error.message });
+          continue;
+        }
+        log.error('Failed to process batch withdrawal item.', { requestId: requestData.request_id, error: error.message });
+        results.push({ requestId: requestData.request_id, status: 'ERROR', error: 'An internal error occurred.' });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Hands a PENDING_SIGNATURE request to the worker. Batchable requests are picked up by the
+   * batch collector, so they are not enqueued individually.
+   */
+  async enqueue(request) {
+    if (request.batchable) return;
+    await this.withdrawalQueue.add('process-withdrawal', { dbId: request.id });
+  }
+
+  /**
+   * Adds the delayed job releasing a SCHEDULED request at its `executeAfter` (see `releaseScheduled`).
+   */
+  async scheduleRelease(request) {
+    await this.withdrawalQueue.add('release-scheduled', { dbId: request.id }, {
+      jobId: `release-${request.id}`,
+      delay: Math.max(0, request.executeAfter.getTime() - Date.now()),
+      removeOnComplete: true,
+    });
+  }
+
+  /**
+   * Adds the delayed job expiring a request at its `expiresAt` (see `expireRequest`). It is
+   * left in place once the request is picked up: expiring is conditional on the status.
+   */
+  async scheduleExpiry(request) {
+    await this.withdrawalQueue.add('expire-withdrawal', { dbId: request.id }, {
+      jobId: `expire-${request.id}`,
+      delay: Math.max(0, request.expiresAt.getTime() - Date.now()),
+      removeOnComplete: true,
     });
+  }
 
-    // Add a job to the queue for the worker to process
-    await this.withdrawalQueue.add('process-withdrawal', { dbId: newRequest.id });
-    console.log(`[INFO] New request ${newRequest.requestId} saved and enqueued for processing.`);
+  /**
+   * Moves a SCHEDULED request to PENDING_SIGNATURE and hands it to the worker. Run by the
+   * `release-scheduled` job; a request cancelled or expired in the meantime is left as is.
+   * @param {string} dbId - The request's database ID.
+   * @returns {Promise<object|null>} The released request, or null if it was no longer SCHEDULED.
+   */
+  async releaseScheduled(dbId) {
+    const request = await this.prisma.withdrawalRequest.findUnique({ where: { id: dbId } });
+    if (!request) {
+      throw new Error(`Withdrawal request ${dbId} not found.`);
+    }
+
+    const released = await withdrawalStateMachine.transition(this.prisma, request.id, 'SCHEDULED', 'PENDING_SIGNATURE');
+    if (!released) {
+      log.info(`Scheduled request ${request.requestId} not released: it is no longer SCHEDULED.`, { requestId: request.requestId });
+      return null;
+    }
 
-    return { requestId: requestData.request_id, receivedAt: new Date().toISOString() };
+    await auditService.recordChange('WITHDRAWAL_REQUEST', request, released, {
+      action: 'RELEASED',
+      details: { executeAfter: request.executeAfter },
+    });
+    await webhookService.notifyWithdrawalStatusChange(released);
+    await this.enqueue(released);
+    log.info(`Scheduled request ${request.requestId} released for processing.`, { requestId: request.requestId });
+    return released;
+  }
+
+  /**
+   * Expires a request that the worker has not picked up by its `expiresAt`. Run by the
+   * `expire-withdrawal` job, and by the worker for a request it picks up too late.
+   * @param {string} dbId - The request's database ID.
+   * @returns {Promise<object|null>} The expired request, or null if it had already been picked up or closed.
+   */
+  async expireRequest(dbId) {
+    const request = await this.prisma.withdrawalRequest.findUnique({ where: { id: dbId } });
+    if (!request) {
+      throw new Error(`Withdrawal request ${dbId} not found.`);
+    }
+    if (!EXPIRABLE_STATUSES.includes(request.status)) {
+      log.info(`Request ${request.requestId} not expired: status is already ${request.status}.`, { requestId: request.requestId, status: request.status });
+      return null;
+    }
+
+    const expired = await withdrawalStateMachine.transition(this.prisma, request.id, request.status, 'EXPIRED', {
+      errorMessage: `Not executed before it expired at ${request.expiresAt.toISOString()}.`,
+    });
+    if (!expired) {
+      log.info(`Request ${request.requestId} not expired: its status changed in the meantime.`, { requestId: request.requestId });
+      return null;
+    }
+
+    await this.removeScheduledJobs(request);
+    await auditService.recordChange('WITHDRAWAL_REQUEST', request, expired, {
+      action: 'EXPIRED',
+      details: { expiresAt: request.expiresAt },
+    });
+    await webhookService.notifyWithdrawalStatusChange(expired);
+    log.info(`Request ${request.requestId} expired in ${request.status}.`, { requestId: request.requestId, status: request.status });
+    return expired;
+  }
+
+  /**
+   * Removes the pending release and expiry jobs of a request that was closed before they ran.
+   * They would be no-ops, since both are conditional on the request's status.
+   */
+  async removeScheduledJobs(request) {
+    for (const jobId of [`release-${request.id}`, `expire-${request.id}`]) {
+      try {
+        await this.withdrawalQueue.remove(jobId);
+      } catch (error) {
+        log.warn(`Failed to remove job ${jobId}.`, { requestId: request.requestId, error: error.message });
+      }
+    }
   }
 
   /**
    * Cancels a pending withdrawal request.
    * @param {string} requestId - The unique ID of the request to cancel.
+   * @param {string} [clientId] - If set, only a request owned by this client can be cancelled.
+   * @param {object} user - The authenticated caller (`req.user`), for the audit log.
    */
-  async cancelRequest(requestId) {
-    const request = await this.prisma.withdrawalRequest.findUnique({
-      where: { requestId },
+  async cancelRequest(requestId, clientId, user) {
+    const request = await this.prisma.withdrawalRequest.findFirst({
+      where: { requestId, clientId },
     });
 
     if (!request) {
       throw new Error('Request not found.');
     }
 
-    if (request.status !== 'PENDING_SIGNATURE') {
+    if (!['PENDING_SIGNATURE', 'PENDING_APPROVAL', 'SCHEDULED'].includes(request.status)) {
       throw new Error(
         `Cannot cancel request. Status is already '${request.status}'.`
       );
     }
 
-    const updatedRequest = await this.prisma.withdrawalRequest.update({
-      where: { requestId },
-      data: { status: 'CANCELLED', history: { create: { status: 'CANCELLED' } } },
-    });
+    // Conditional on the status read above, so that a request picked up by the worker meanwhile is not cancelled.
+    const updatedRequest = await withdrawalStateMachine.transition(this.prisma, request.id, request.status, 'CANCELLED');
+    if (!updatedRequest) {
+      throw new Error('Cannot cancel request. Its status changed in the meantime.');
+    }
+    await this.removeScheduledJobs(request);
 
-    console.log(`[INFO] Request cancelled by client: ${requestId}`);
+    await auditService.recordChange('WITHDRAWAL_REQUEST', request, updatedRequest, {
+      action: 'CANCELLED',
+      actor: auditService.userActor(user),
+    });
+    await webhookService.notifyWithdrawalStatusChange(updatedRequest);
+    log.info(`Request ${requestId} cancelled by ${user.name}.`, { requestId, operator: user.name });
     return { requestId: updatedRequest.requestId, status: updatedRequest.status };
   }
 
+  /**
+   * Records an operator's approval of a request held for manual approval.
+   * Once the quorum of distinct operators is reached, the request is released to the worker,
+   * or SCHEDULED if its `executeAfter` is still to come.
+   * @param {string} requestId - The unique ID of the request to approve.
+   * @param {object} operator - The authenticated operator (`req.user`).
+   * @param {string} [comment] - An optional note for the decision trail.
+   */
+  async approveRequest(requestId, operator, comment) {
+    const request = await this.recordApprovalDecision(requestId, operator, 'APPROVED', comment);
+
+    const approvals = await this.prisma.withdrawalApproval.count({
+      where: { requestId: request.id, decision: 'APPROVED' },
+    });
+    await auditService.recordChange('WITHDRAWAL_REQUEST', request, request, {
+      action: 'APPROVED',
+      actor: auditService.userActor(operator),
+      details: { comment, approvals, quorum: this.approvalQuorum },
+    });
+
+    if (approvals < this.approvalQuorum) {
+      log.info(`Request ${requestId} approved by ${operator.name} (${approvals}/${this.approvalQuorum}).`, { requestId, operator: operator.name, approvals });
+      return { requestId, status: 'PENDING_APPROVAL', approvals, quorum: this.approvalQuorum };
+    }
+
+    const status = request.executeAfter && request.executeAfter > new Date() ? 'SCHEDULED' : 'PENDING_SIGNATURE';
+    // Conditional so that concurrent approvals reaching the quorum release the request only once.
+    const released = await withdrawalStateMachine.transition(this.prisma, request.id, 'PENDING_APPROVAL', status);
+
+    if (released) {
+      await auditService.recordChange('WITHDRAWAL_REQUEST', request, released, {
+        actor: auditService.userActor(operator),
+        details: { reason: 'Approval quorum reached.', approvals, quorum: this.approvalQuorum },
+      });
+      await webhookService.notifyWithdrawalStatusChange(released);
+      if (status === 'SCHEDULED') {
+        await this.scheduleRelease(released);
+        log.info(`Request ${requestId} reached approval quorum (${approvals}/${this.approvalQuorum}) and was scheduled for ${released.executeAfter.toISOString()}.`, { requestId, approvals });
+      } else {
+        await this.enqueue(released);
+        log.info(`Request ${requestId} reached approval quorum (${approvals}/${this.approvalQuorum}) and was enqueued for processing.`, { requestId, approvals });
+      }
+    }
+
+    return { requestId, status, approvals, quorum: this.approvalQuorum };
+  }
+
+  /**
+   * Records an operator's rejection of a request held for manual approval.
+   * A single rejection is final.
+   * @param {string} requestId - The unique ID of the request to reject.
+   * @param {object} operator - The authenticated operator (`req.user`).
+   * @param {string} reason - Why the request was rejected.
+   */
+  async rejectRequest(requestId, operator, reason) {
+    const request = await this.recordApprovalDecision(requestId, operator, 'REJECTED', reason);
+
+    const rejected = await withdrawalStateMachine.transition(this.prisma, request.id, 'PENDING_APPROVAL', 'REJECTED', {
+      errorMessage: `Rejected by ${operator.name}: ${reason}`,
+    });
+
+    if (!rejected) {
+      throw new Error('Request is no longer pending approval.');
+    }
+    await auditService.recordChange('WITHDRAWAL_REQUEST', request, rejected, {
+      action: 'REJECTED',
+      actor: auditService.userActor(operator),
+      details: { reason },
+    });
+    await webhookService.notifyWithdrawalStatusChange(rejected);
+    log.info(`Request ${requestId} rejected by ${operator.name}.`, { requestId, operator: operator.name });
+
+    return { requestId, status: 'REJECTED' };
+  }
+
+  async recordApprovalDecision(requestId, operator, decision, comment) {
+    const request = await this.prisma.withdrawalRequest.findUnique({ where: { requestId } });
+
+    if (!request) {
+      throw new Error('Request not found.');
+    }
+    if (request.status !== 'PENDING_APPROVAL') {
+      throw new Error(`Cannot record a decision. Status is '${request.status}', not 'PENDING_APPROVAL'.`);
+    }
+
+    try {
+      await this.prisma.withdrawalApproval.create({
+        data: {
+          requestId: request.id,
+          operatorId: operator.clientId,
+          operatorName: operator.name,
+          decision,
+          comment,
+        },
+      });
+    } catch (e) {
+      if (e.code === 'P2002') {
+        throw new Error('This operator has already made a decision on this request.');
+      }
+      throw e;
+    }
+
+    return request;
+  }
+
+  /**
+   * Asks the worker to replace a broadcast withdrawal's pending transaction,
+   * reusing its nonce with higher fees.
+   * @param {string} requestId - The unique ID of the request.
+   * @param {'speed-up'|'cancel'} action - Resend the same call, or replace it with a 0-value self-transfer.
+   * @param {object} operator - The authenticated operator (`req.user`).
+   */
+  async requestTransactionReplacement(requestId, action, operator) {
+    const request = await this.prisma.withdrawalRequest.findUnique({ where: { requestId } });
+
+    if (!request) {
+      throw new Error('Request not found.');
+    }
+    if (request.status !== 'BROADCASTED') {
+      throw new Error(`Cannot ${action} request. Status is '${request.status}', not 'BROADCASTED'.`);
+    }
+
+    const job = await this.txMonitorQueue.add(action, { dbId: request.id });
+    await auditService.recordChange('WITHDRAWAL_REQUEST', request, request, {
+      action: action === 'speed-up' ? 'SPEED_UP_REQUESTED' : 'CANCEL_BROADCAST_REQUESTED',
+      actor: auditService.userActor(operator),
+      details: { txHash: request.txHash, nonce: request.nonce, jobId: `tx-monitoring:${job.id}` },
+    });
+    log.info(`${operator.name} requested ${action} for request ${requestId} (nonce ${request.nonce}).`, { requestId, operator: operator.name, txHash: request.txHash, nonce: request.nonce });
+
+    return { requestId, action, txHash: request.txHash, nonce: request.nonce };
+  }
+
   /**
    * Retrieves the current status and details of a withdrawal request.
    * @param {string} requestId - The unique ID of the request to retrieve.
+   * @param {string} [clientId] - If set, only a request owned by this client is returned.
    */
-  async getRequestStatus(requestId) {
-    const request = await this.prisma.withdrawalRequest.findUnique({
-      where: { requestId },
-      include: { history: true }, // Include the status history
+  async getRequestStatus(requestId, clientId) {
+    const request = await this.prisma.withdrawalRequest.findFirst({
+      where: { requestId, clientId },
+      include: {
+        history: { orderBy: { timestamp: 'asc' } }, // Include the status history
+        approvals: { orderBy: { createdAt: 'asc' } }, // And the approval decision trail
+        transactions: { orderBy: { createdAt: 'asc' } }, // And every broadcast and replacement
+      },
     });
 
     if (!request) {
@@ -119,59 +523,190 @@ class WithdrawalManager {
   }
 
   /**
-   * Retrieves all requests for the dashboard with pagination.
-   * @param {object} options - Pagination options.
-   * @param {number} options.page - The current page number.
-   * @param {number} options.pageSize - The number of items per page.
+   * Builds the Prisma filter for listing and exporting requests. Addresses match in any case.
+   * @param {object} filters
+   * @param {string[]} [filters.statuses] - Only requests in one of these statuses.
+   * @param {number} [filters.chainId]
+   * @param {Date} [filters.createdFrom] - Created at or after.
+   * @param {Date} [filters.createdTo] - Created at or before.
+   * @param {string} [filters.tokenContractAddress]
+   * @param {string} [filters.destinationAddress]
+   * @param {string} [filters.treasuryContractAddress]
+   * @param {string} [filters.clientId] - If set, only requests owned by this client are listed.
+   * @param {string} [filters.amountMin] - Minimum amount, in token units.
+   * @param {string} [filters.amountMax] - Maximum amount, in token units.
+   * @param {string} [filters.search] - Part of a request ID, or the start of a tx hash (including replaced ones).
    */
-  async getAllRequests({ page = 1, pageSize = 10 }) {
-    const skip = (page - 1) * pageSize;
-    const take = pageSize;
+  buildListFilter({
+    statuses, chainId, createdFrom, createdTo, tokenContractAddress, destinationAddress,
+    treasuryContractAddress, clientId, amountMin, amountMax, search,
+  }) {
+    const where = { clientId, chainId };
+    if (statuses) where.status = { in: statuses };
+    if (createdFrom || createdTo) where.createdAt = { gte: createdFrom, lte: createdTo };
+    if (amountMin || amountMax) where.amountValue = { gte: amountMin, lte: amountMax };
+
+    const addresses = { tokenContractAddress, destinationAddress, treasuryContractAddress };
+    for (const [field, address] of Object.entries(addresses)) {
+      if (address) where[field] = { equals: address, mode: 'insensitive' };
+    }
+
+    if (search) {
+      const txHashPrefix = search.toLowerCase();
+      where.OR = [
+        { requestId: { contains: search, mode: 'insensitive' } },
+        { txHash: { startsWith: txHashPrefix } },
+        { transactions: { some: { txHash: { startsWith: txHashPrefix } } } },
+      ];
+    }
+    return where;
+  }
+
+  listOrderBy(sort = 'createdAt', order = 'desc') {
+    // The ID breaks ties, so that cursor pagination never skips or repeats a request.
+    return [{ [LIST_SORT_FIELDS[sort]]: order }, { id: order }];
+  }
+
+  /**
+   * Retrieves requests for the dashboard and clients, filtered and sorted. Pages are
+   * addressed by number, or by the `nextCursor` of the previous page, which stays
+   * stable while new requests come in.
+   * @param {object} options - The filters of `buildListFilter`, plus:
+   * @param {number} [options.page=1] - The page number, ignored with a cursor.
+   * @param {number} [options.pageSize=10] - The number of items per page.
+   * @param {string} [options.cursor] - The `nextCursor` returned with the previous page.
+   * @param {string} [options.sort='createdAt'] - One of `LIST_SORT_FIELDS`.
+   * @param {string} [options.order='desc'] - `asc` or `desc`.
+   */
+  async getAllRequests({ page = 1, pageSize = 10, cursor, sort, order, ...filters }) {
+    const where = this.buildListFilter(filters);
 
     const [requests, total] = await this.prisma.$transaction([
       this.prisma.withdrawalRequest.findMany({
-        skip,
-        take,
-        orderBy: {
-          createdAt: 'desc',
-        },
+        where,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : { skip: (page - 1) * pageSize }),
+        take: pageSize + 1, // One more tells whether there is a next page
+        orderBy: this.listOrderBy(sort, order),
       }),
-      this.prisma.withdrawalRequest.count(),
+      this.prisma.withdrawalRequest.count({ where }),
     ]);
 
+    const data = requests.slice(0, pageSize);
     return {
-      data: requests,
+      data,
       pagination: {
-        page,
+        page: cursor ? undefined : page,
         pageSize,
         total,
         totalPages: Math.ceil(total / pageSize),
+        nextCursor: requests.length > pageSize ? data[data.length - 1].id : null,
       },
     };
   }
 
+  /**
+   * Iterates over every request matching the filters, in batches, for exports.
+   * @param {object} options - The filters of `buildListFilter`, plus `sort` and `order`.
+   * @param {number} [batchSize=500]
+   * @returns {AsyncGenerator<object[]>} Batches of `WithdrawalRequest` records.
+   */
+  async *iterateRequests({ sort, order, ...filters }, batchSize = 500) {
+    const where = this.buildListFilter(filters);
+    let cursor = null;
+    for (;;) {
+      const requests = await this.prisma.withdrawalRequest.findMany({
+        where,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+        take: batchSize,
+        orderBy: this.listOrderBy(sort, order),
+      });
+      if (requests.length === 0) return;
+      yield requests;
+      if (requests.length < batchSize) return;
+      cursor = requests[requests.length - 1].id;
+    }
+  }
+
   /**
    * Processes a new raw transaction broadcast request.
-   * @param {string} rawTx - The signed raw transaction hex string.
+   * @param {string} rawTx - The signed raw transaction hex string, already validated by the route.
+   * @param {number} chainId - The EIP-155 chain ID to broadcast on.
    * @param {string} [clientId] - The ID of the client making the request.
    */
-  async processRawTransactionBroadcast(rawTx, clientId) {
-    const newBroadcast = await this.prisma.rawTransactionBroadcast.create({
-      data: {
-        rawTx,
-        clientId, // Useful for logging and tenancy
-      },
+  async processRawTransactionBroadcast(rawTx, chainId, clientId) {
+    const tx = ethers.Transaction.from(rawTx);
+
+    const existing = await this.prisma.rawTransactionBroadcast.findUnique({ where: { txHash: tx.hash } });
+    if (existing) {
+      throw new Error(`Duplicate raw_tx. Transaction ${tx.hash} was already submitted as broadcast ${existing.id}.`);
+    }
+
+    // Transactions that would revert or can't pay for gas are refused before they are stored.
+    const preflight = await preflightService.checkRawTransaction(tx, chainId);
+    if (!preflight.ok) {
+      log.info(`Raw transaction ${tx.hash} rejected by pre-flight check ${preflight.errorCode}: ${preflight.reason}`, { txHash: tx.hash, errorCode: preflight.errorCode });
+      return { chainId, txHash: tx.hash, status: 'REJECTED_BY_PREFLIGHT', errorCode: preflight.errorCode, reason: preflight.reason };
+    }
+
+    let newBroadcast;
+    try {
+      newBroadcast = await this.prisma.rawTransactionBroadcast.create({
+        data: {
+          rawTx,
+          chainId,
+          txHash: tx.hash,
+          fromAddress: tx.from,
+          nonce: tx.nonce,
+          toAddress: tx.to,
+          value: tx.value.toString(),
+          erc20Call: (tx.to && decodeErc20Call(tx.data)) || undefined,
+          clientId, // Useful for logging and tenancy
+          history: { create: { status: 'PENDING' } },
+        },
+      });
+    } catch (e) {
+      if (e.code === 'P2002') {
+        throw new Error(`Duplicate raw_tx. Transaction ${tx.hash} was already submitted.`);
+      }
+      throw e;
+    }
+
+    await auditService.recordChange('RAW_BROADCAST', null, newBroadcast, {
+      action: 'CREATED',
+      actor: auditService.clientActor(clientId),
+      details: { chainId, fromAddress: tx.from, nonce: tx.nonce },
     });
+    await webhookService.notifyBroadcastStatusChange(newBroadcast);
 
     // Add a job to the new queue for the broadcast worker
     await this.rawTxBroadcastQueue.add('broadcast-raw-tx', { dbId: newBroadcast.id });
-    console.log(`[INFO] New raw transaction ${newBroadcast.id} received and enqueued for broadcasting.`);
+    log.info(`New raw transaction ${newBroadcast.id} received and enqueued for broadcasting.`, { broadcastId: newBroadcast.id, txHash: newBroadcast.txHash, clientId: newBroadcast.clientId });
 
-    return { broadcastId: newBroadcast.id, status: 'PENDING' };
+    return { broadcastId: newBroadcast.id, chainId, txHash: tx.hash, status: 'PENDING' };
   }
 
   /**
-   * Checks the health of the service's dependencies (Database, Queue).
+   * Retrieves the current status and details of a raw transaction broadcast.
+   * @param {string} broadcastId - The ID returned when the transaction was submitted.
+   * @param {string} [clientId] - If set, only a broadcast owned by this client is returned.
+   */
+  async getBroadcastStatus(broadcastId, clientId) {
+    const broadcast = await this.prisma.rawTransactionBroadcast.findFirst({
+      where: { id: broadcastId, clientId },
+      include: { history: { orderBy: { timestamp: 'asc' } } },
+    });
+
+    if (!broadcast) {
+      throw new Error('Broadcast not found.');
+    }
+
+    return broadcast;
+  }
+
+  /**
+   * Checks the health of the service's dependencies (Database, Queue, RPC endpoints).
+   * An RPC outage degrades the reported status but does not make the API unhealthy:
+   * requests are still accepted and the workers retry once the endpoints recover.
    * @returns {Promise<{healthStatus: object, isHealthy: boolean}>}
    */
   async checkHealth() {
@@ -189,7 +724,7 @@ class WithdrawalManager {
       health.database = { status: 'ERROR', message: e.message };
       health.overallStatus = 'ERROR';
       isHealthy = false;
-      console.error('[HEALTH-CHECK] Database connection failed:', e.message);
+      healthCheckLog.error('Database connection failed.', { error: e.message });
     }
 
     try {
@@ -199,7 +734,14 @@ class WithdrawalManager {
       health.queue = { status: 'ERROR', message: e.message };
       health.overallStatus = 'ERROR';
       isHealthy = false;
-      console.error('[HEALTH-CHECK] Queue connection failed:', e.message);
+      healthCheckLog.error('Queue connection failed.', { error: e.message });
+    }
+
+    health.rpc = await chainRegistry.checkRpcHealth();
+    const unhealthyChains = Object.keys(health.rpc).filter((name) => health.rpc[name].status !== 'OK');
+    if (unhealthyChains.length > 0) {
+      if (health.overallStatus === 'OK') health.overallStatus = 'DEGRADED';
+      healthCheckLog.error(`RPC endpoints degraded for: ${unhealthyChains.join(', ')}`);
     }
 
     return { healthStatus: health, isHealthy };
@@ -207,4 +749,6 @@ class WithdrawalManager {
 }
 
 // Export a singleton instance so the state is managed in one place
-module.exports = new WithdrawalManager();
\ No newline at end of file
+module.exports = new WithdrawalManager();
+module.exports.REQUEST_STATUSES = REQUEST_STATUSES;
+module.exports.LIST_SORT_FIELDS = Object.keys(LIST_SORT_FIELDS);
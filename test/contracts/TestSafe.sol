@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+/// @notice A multisig treasury for the end-to-end tests, with the interface and signature
+/// scheme of a Safe (v1.3.0 and later) that the service relies on: EIP-712 SafeTx hashes,
+/// one ECDSA signature per owner in ascending owner order, and a nonce per executed
+/// transaction. Only CALL operations without gas refunds are supported.
+contract TestSafe {
+    bytes32 private constant DOMAIN_SEPARATOR_TYPEHASH =
+        keccak256("EIP712Domain(uint256 chainId,address verifyingContract)");
+    bytes32 private constant SAFE_TX_TYPEHASH =
+        keccak256(
+            "SafeTx(address to,uint256 value,bytes data,uint8 operation,uint256 safeTxGas,uint256 baseGas,uint256 gasPrice,address gasToken,address refundReceiver,uint256 nonce)"
+        );
+
+    mapping(address => bool) public isOwner;
+    uint256 public getThreshold;
+    uint256 public nonce;
+
+    event ExecutionSuccess(bytes32 txHash, uint256 payment);
+
+    constructor(address[] memory owners, uint256 threshold) {
+        require(threshold > 0 && threshold <= owners.length, "GS201");
+        for (uint256 i = 0; i < owners.length; i++) {
+            isOwner[owners[i]] = true;
+        }
+        getThreshold = threshold;
+    }
+
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_SEPARATOR_TYPEHASH, block.chainid, address(this)));
+    }
+
+    function getTransactionHash(
+        address to,
+        uint256 value,
+        bytes memory data,
+        uint8 operation,
+        uint256 safeTxGas,
+        uint256 baseGas,
+        uint256 gasPrice,
+        address gasToken,
+        address refundReceiver,
+        uint256 _nonce
+    ) public view returns (bytes32) {
+        bytes32 safeTxHash = keccak256(
+            abi.encode(
+                SAFE_TX_TYPEHASH,
+                to,
+                value,
+                keccak256(data),
+                operation,
+                safeTxGas,
+                baseGas,
+                gasPrice,
+                gasToken,
+                refundReceiver,
+                _nonce
+            )
+        );
+        return keccak256(abi.encodePacked(bytes1(0x19), bytes1(0x01), domainSeparator(), safeTxHash));
+    }
+
+    function execTransaction(
+        address to,
+        uint256 value,
+        bytes calldata data,
+        uint8 operation,
+        uint256 safeTxGas,
+        uint256 baseGas,
+        uint256 gasPrice,
+        address gasToken,
+        address payable refundReceiver,
+        bytes memory signatures
+    ) external payable returns (bool success) {
+        require(operation == 0 && gasPrice == 0, "TestSafe: unsupported operation");
+        bytes32 txHash = getTransactionHash(
+            to, value, data, operation, safeTxGas, baseGas, gasPrice, gasToken, refundReceiver, nonce
+        );
+        nonce++;
+        checkSignatures(txHash, signatures);
+
+        (success, ) = to.call{value: value}(data);
+        require(success, "GS013");
+        emit ExecutionSuccess(txHash, 0);
+    }
+
+    function checkSignatures(bytes32 txHash, bytes memory signatures) public view {
+        require(signatures.length >= getThreshold * 65, "GS020");
+        address lastOwner = address(0);
+        for (uint256 i = 0; i < getThreshold; i++) {
+            bytes32 r;
+            bytes32 s;
+            uint8 v;
+            assembly {
+                let offset := add(signatures, mul(i, 65))
+                r := mload(add(offset, 0x20))
+                s := mload(add(offset, 0x40))
+                v := byte(0, mload(add(offset, 0x60)))
+            }
+            address owner = ecrecover(txHash, v, r, s);
+            require(owner > lastOwner && isOwner[owner], "GS026");
+            lastOwner = owner;
+        }
+    }
+}
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const TestHarness = require('../harness');
+
+describe('cancellation races', () => {
+  const harness = new TestHarness();
+
+  const cancel = (requestId) => harness.api('/api/v2/withdrawal/cancel', { method: 'POST', body: { request_id: requestId } });
+
+  before(() => harness.start());
+  after(() => harness.stop());
+
+  it('never pays a request cancelled before the worker picks it up', async () => {
+    await harness.queue.pause();
+    const withdrawal = await harness.withdrawal();
+    const nonceBefore = await harness.chain.safeNonce();
+    try {
+      assert.equal((await harness.initiate(withdrawal)).status, 202);
+      const res = await cancel(withdrawal.request_id);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, 'CANCELLED');
+    } finally {
+      await harness.queue.resume();
+    }
+
+    // Give the worker time to run the job it was holding.
+    await new Promise((resolve) => setTimeout(resolve, 3000));
+    const request = await harness.getStatus(withdrawal.request_id);
+    assert.equal(request.status, 'CANCELLED');
+    assert.deepEqual(request.history.map((entry) => entry.status), ['PENDING_SIGNATURE', 'CANCELLED']);
+    assert.equal(request.transactions.length, 0);
+    assert.equal(await harness.chain.tokenBalance(withdrawal.destination_address), 0n);
+    assert.equal(await harness.chain.safeNonce(), nonceBefore);
+  });
+
+  it('refuses to cancel a request the worker already executed', async () => {
+    const withdrawal = await harness.withdrawal();
+    assert.equal((await harness.initiate(withdrawal)).status, 202);
+    await harness.waitForStatus(withdrawal.request_id, 'CONFIRMING');
+
+    const res = await cancel(withdrawal.request_id);
+    assert.equal(res.status, 404);
+    assert.match(res.body.error, /Cannot cancel request/);
+
+    const completed = await harness.confirm(withdrawal.request_id);
+    assert.ok(!completed.history.some((entry) => entry.status === 'CANCELLED'));
+  });
+
+  it('applies exactly one of two concurrent cancellations', async () => {
+    await harness.queue.pause();
+    const withdrawal = await harness.withdrawal();
+    let results;
+    try {
+      assert.equal((await harness.initiate(withdrawal)).status, 202);
+      results = await Promise.all([cancel(withdrawal.request_id), cancel(withdrawal.request_id)]);
+    } finally {
+      await harness.queue.resume();
+    }
+
+    assert.deepEqual(results.map((res) => res.status).sort(), [200, 404]);
+    const request = await harness.getStatus(withdrawal.request_id);
+    assert.equal(request.history.filter((entry) => entry.status === 'CANCELLED').length, 1);
+  });
+
+  it('ends a cancel racing the worker in exactly one outcome', async () => {
+    const withdrawal = await harness.withdrawal();
+    const nonceBefore = await harness.chain.safeNonce();
+    assert.equal((await harness.initiate(withdrawal)).status, 202);
+    const res = await cancel(withdrawal.request_id);
+
+    if (res.status === 200) {
+      // Cancelled before the worker moved it to PROCESSING: nothing is paid.
+      await new Promise((resolve) => setTimeout(resolve, 3000));
+      const request = await harness.getStatus(withdrawal.request_id);
+      assert.equal(request.status, 'CANCELLED');
+      assert.equal(request.transactions.length, 0);
+      assert.equal(await harness.chain.safeNonce(), nonceBefore);
+    } else {
+      // The worker won: the cancellation is refused and the payout goes through.
+      assert.equal(res.status, 404);
+      await harness.confirm(withdrawal.request_id);
+      assert.equal(await harness.chain.safeNonce(), nonceBefore + 1n);
+    }
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const TestHarness = require('../harness');
+const { TOKEN_DECIMALS } = require('../harness/chain');
+
+describe('duplicate request_id', () => {
+  const harness = new TestHarness();
+
+  before(() => harness.start());
+  after(() => harness.stop());
+
+  it('refuses a request_id that was already submitted, and pays it once', async () => {
+    const withdrawal = await harness.withdrawal();
+    assert.equal((await harness.initiate(withdrawal)).status, 202);
+
+    const duplicate = await harness.initiate(withdrawal);
+    assert.equal(duplicate.status, 409);
+
+    await harness.confirm(withdrawal.request_id);
+    assert.equal(await harness.chain.tokenBalance(withdrawal.destination_address), ethers.parseUnits('12.5', TOKEN_DECIMALS));
+  });
+
+  it('accepts exactly one of two concurrent submissions of a request_id', async () => {
+    const withdrawal = await harness.withdrawal();
+    const nonceBefore = await harness.chain.safeNonce();
+
+    const results = await Promise.all([harness.initiate(withdrawal), harness.initiate(withdrawal)]);
+    assert.deepEqual(results.map((res) => res.status).sort(), [202, 409]);
+
+    const completed = await harness.confirm(withdrawal.request_id);
+    assert.equal(completed.transactions.length, 1);
+    assert.equal(await harness.chain.tokenBalance(withdrawal.destination_address), ethers.parseUnits('12.5', TOKEN_DECIMALS));
+    assert.equal(await harness.chain.safeNonce(), nonceBefore + 1n);
+  });
+
+  it('refuses a duplicate request_id within /initiate/batch per item', async () => {
+    const existing = await harness.withdrawal();
+    assert.equal((await harness.initiate(existing)).status, 202);
+    await harness.confirm(existing.request_id);
+
+    // The duplicate's signature is for a different transfer; it must not be stored or used.
+    const duplicate = await harness.withdrawal({ request_id: existing.request_id });
+    const res = await harness.api('/api/v2/withdrawal/initiate/batch', { method: 'POST', body: { withdrawals: [duplicate] } });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.accepted, 0);
+    assert.equal(res.body.results[0].status, 'ERROR');
+    assert.match(res.body.results[0].error, /request_id/);
+
+    const request = await harness.getStatus(existing.request_id);
+    assert.equal(request.destinationAddress, existing.destination_address);
+    assert.equal(request.status, 'COMPLETED');
+    assert.equal(await harness.chain.tokenBalance(duplicate.destination_address), 0n);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const TestHarness = require('../harness');
+const { waitFor } = require('../harness/wait');
+
+describe('health and degradation', () => {
+  const harness = new TestHarness();
+
+  const health = () => harness.api('/api/v2/withdrawal/health', { key: null });
+
+  before(() => harness.start());
+  after(() => harness.stop());
+
+  it('reports every dependency as OK', async () => {
+    const res = await health();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.overallStatus, 'OK');
+    assert.equal(res.body.database.status, 'OK');
+    assert.equal(res.body.queue.status, 'OK');
+    assert.equal(res.body.rpc.sepolia.status, 'OK');
+    assert.equal(res.body.rpc.sepolia.chainId, harness.chain.chainId);
+  });
+
+  it('degrades, but keeps accepting requests, while the RPC endpoint is down', async () => {
+    harness.rpc.setDown(true);
+    let withdrawal;
+    try {
+      const res = await health();
+      assert.equal(res.status, 200);
+      assert.equal(res.body.overallStatus, 'DEGRADED');
+      assert.equal(res.body.database.status, 'OK');
+      assert.equal(res.body.rpc.sepolia.status, 'ERROR');
+      assert.ok(res.body.rpc.sepolia.endpoints.every((endpoint) => endpoint.status !== 'OK'));
+
+      withdrawal = await harness.withdrawal();
+      assert.equal((await harness.initiate(withdrawal)).status, 202);
+    } finally {
+      harness.rpc.setDown(false);
+    }
+
+    // Back to OK once the endpoint answers again and its circuit closes.
+    await waitFor(async () => (await health()).body.overallStatus === 'OK', {
+      timeoutMs: 30 * 1000,
+      description: 'the health check to recover',
+    });
+    await harness.waitForStatus(withdrawal.request_id, 'CONFIRMING', 90 * 1000);
+    await harness.confirm(withdrawal.request_id);
+  });
+
+  it('reports the API unavailable when the database is down', async () => {
+    // Last in the suite: the database is not restarted.
+    await harness.postgres.stop();
+
+    const res = await health();
+    assert.equal(res.status, 503);
+    assert.equal(res.body.overallStatus, 'ERROR');
+    assert.equal(res.body.database.status, 'ERROR');
+    assert.equal(res.body.queue.status, 'OK');
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const TestHarness = require('../harness');
+const { TOKEN_DECIMALS } = require('../harness/chain');
+
+describe('raw transaction relay', () => {
+  const harness = new TestHarness();
+
+  before(() => harness.start());
+  after(() => harness.stop());
+
+  /**
+   * Signs a transaction of the relay client, as a client managing its own keys would.
+   */
+  async function signRaw(tx, { chainId = harness.chain.chainId } = {}) {
+    const { provider, relayClient } = harness.chain;
+    const { maxFeePerGas, maxPriorityFeePerGas } = await provider.getFeeData();
+    return relayClient.signTransaction({
+      type: 2,
+      chainId,
+      nonce: await provider.getTransactionCount(relayClient.address, 'pending'),
+      gasLimit: 100000n,
+      maxFeePerGas,
+      maxPriorityFeePerGas,
+      value: 0n,
+      data: '0x',
+      ...tx,
+    });
+  }
+
+  const relay = (rawTx, chainId = harness.chain.chainId) =>
+    harness.api('/api/v2/withdrawal/broadcast/raw-transaction', { method: 'POST', body: { chain_id: chainId, raw_tx: rawTx } });
+
+  it('broadcasts a signed transaction and confirms it after its confirmations', async () => {
+    const recipient = ethers.Wallet.createRandom().address;
+    const rawTx = await signRaw({ to: recipient, value: ethers.parseEther('1.5'), gasLimit: 21000n });
+
+    const res = await relay(rawTx);
+    assert.equal(res.status, 202);
+    assert.equal(res.body.status, 'PENDING');
+    assert.equal(res.body.txHash, ethers.Transaction.from(rawTx).hash);
+
+    const confirming = await harness.waitForBroadcast(res.body.broadcastId, 'CONFIRMING');
+    assert.equal(confirming.requiredConfirmations, 3);
+    await harness.chain.mine(3);
+    const confirmed = await harness.waitForBroadcast(res.body.broadcastId, 'CONFIRMED');
+    assert.equal(confirmed.explorerUrl, `https://sepolia.etherscan.io/tx/${confirmed.txHash}`);
+    assert.deepEqual(
+      confirmed.history.map((entry) => entry.status),
+      ['PENDING', 'BROADCASTED', 'CONFIRMING', 'CONFIRMED']
+    );
+    assert.equal(await harness.chain.provider.getBalance(recipient), ethers.parseEther('1.5'));
+  });
+
+  it('refuses a transaction that was already submitted', async () => {
+    const rawTx = await signRaw({ to: ethers.Wallet.createRandom().address, value: 1n, gasLimit: 21000n });
+    const first = await relay(rawTx);
+    assert.equal(first.status, 202);
+
+    const duplicate = await relay(rawTx);
+    assert.equal(duplicate.status, 409);
+    assert.match(duplicate.body.error, /Duplicate raw_tx/);
+
+    await harness.waitForBroadcast(first.body.broadcastId, 'CONFIRMING');
+  });
+
+  it('refuses a transaction signed for another chain', async () => {
+    const rawTx = await signRaw({ to: ethers.Wallet.createRandom().address, value: 1n, gasLimit: 21000n }, { chainId: 1 });
+    const res = await relay(rawTx);
+    assert.equal(res.status, 400);
+    assert.match(res.body.errors[0].msg, /signed for chain 1/);
+  });
+
+  it('refuses a transfer the sender cannot cover, before storing it', async () => {
+    // The relay client holds none of the token.
+    const data = harness.chain.token.interface.encodeFunctionData('transfer', [
+      ethers.Wallet.createRandom().address,
+      ethers.parseUnits('1', TOKEN_DECIMALS),
+    ]);
+    const rawTx = await signRaw({ to: harness.chain.tokenAddress, data });
+
+    const res = await relay(rawTx);
+    assert.equal(res.status, 422);
+    assert.equal(res.body.status, 'REJECTED_BY_PREFLIGHT');
+    assert.equal(res.body.errorCode, 'INSUFFICIENT_TOKEN_BALANCE');
+
+    // Not stored: the same bytes are not a duplicate once the sender is funded.
+    await (await harness.chain.token.mint(harness.chain.relayClient.address, ethers.parseUnits('1', TOKEN_DECIMALS))).wait();
+    const funded = await relay(rawTx);
+    assert.equal(funded.status, 202);
+    await harness.waitForBroadcast(funded.body.broadcastId, 'CONFIRMING');
+  });
+});
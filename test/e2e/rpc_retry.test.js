@@ -0,0 +1,73 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const TestHarness = require('../harness');
+const { TOKEN_DECIMALS } = require('../harness/chain');
+
+// Failed attempts are retried with a 10s exponential backoff (see withdrawal_manager.js).
+const RETRY_TIMEOUT_MS = 90 * 1000;
+
+describe('retries after RPC failures', () => {
+  const harness = new TestHarness();
+
+  before(() => harness.start());
+  afterEach(() => harness.rpc.setDown(false));
+  after(() => harness.stop());
+
+  /**
+   * Waits for the withdrawal to complete and checks that it was paid exactly once.
+   */
+  async function assertPaidOnce(withdrawal, nonceBefore) {
+    await harness.waitForStatus(withdrawal.request_id, 'CONFIRMING', RETRY_TIMEOUT_MS);
+    const completed = await harness.confirm(withdrawal.request_id);
+    assert.equal(
+      await harness.chain.tokenBalance(withdrawal.destination_address),
+      ethers.parseUnits(withdrawal.amount, TOKEN_DECIMALS)
+    );
+    assert.equal(await harness.chain.safeNonce(), nonceBefore + 1n);
+    return completed;
+  }
+
+  it('retries a withdrawal whose chain reads were rate limited', async () => {
+    const withdrawal = await harness.withdrawal();
+    const nonceBefore = await harness.chain.safeNonce();
+    const failuresBefore = harness.rpc.failures;
+
+    // The worker's first read of the request is the token's decimals().
+    harness.rpc.failNext(1, 'eth_call');
+    assert.equal((await harness.initiate(withdrawal)).status, 202);
+
+    const completed = await assertPaidOnce(withdrawal, nonceBefore);
+    assert.equal(harness.rpc.failures, failuresBefore + 1);
+    assert.equal(completed.transactions.length, 1);
+  });
+
+  it('rebroadcasts the persisted transaction when the broadcast failed, without signing a second one', async () => {
+    const withdrawal = await harness.withdrawal();
+    const nonceBefore = await harness.chain.safeNonce();
+
+    harness.rpc.failNext(1, 'eth_sendRawTransaction');
+    assert.equal((await harness.initiate(withdrawal)).status, 202);
+
+    const completed = await assertPaidOnce(withdrawal, nonceBefore);
+    // The signed transaction was stored before the failed broadcast, and reused on the retry.
+    assert.equal(completed.transactions.length, 1);
+    assert.equal(completed.transactions[0].txHash, completed.txHash);
+    assert.ok(completed.history.some((entry) => entry.status === 'BROADCASTED'));
+  });
+
+  it('completes a withdrawal submitted while the RPC endpoint was down', async () => {
+    const withdrawal = await harness.withdrawal();
+    const nonceBefore = await harness.chain.safeNonce();
+
+    harness.rpc.setDown(true);
+    assert.equal((await harness.initiate(withdrawal)).status, 202);
+    // Long enough for the first attempt to fail, short of the first retry.
+    await new Promise((resolve) => setTimeout(resolve, 4000));
+    assert.equal((await harness.getStatus(withdrawal.request_id)).transactions.length, 0);
+    harness.rpc.setDown(false);
+
+    const completed = await assertPaidOnce(withdrawal, nonceBefore);
+    assert.equal(completed.transactions.length, 1);
+  });
+});
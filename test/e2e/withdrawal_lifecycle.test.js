@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const TestHarness = require('../harness');
+const { TOKEN_DECIMALS } = require('../harness/chain');
+
+describe('withdrawal lifecycle', () => {
+  const harness = new TestHarness();
+
+  before(() => harness.start());
+  after(() => harness.stop());
+
+  it('pays an initiated withdrawal and completes it after its confirmations', async () => {
+    const withdrawal = await harness.withdrawal({ amount: '250.75' });
+    const nonceBefore = await harness.chain.safeNonce();
+
+    const res = await harness.initiate(withdrawal);
+    assert.equal(res.status, 202);
+    assert.equal(res.body.status, 'PENDING');
+
+    const confirming = await harness.waitForStatus(withdrawal.request_id, 'CONFIRMING');
+    assert.match(confirming.txHash, /^0x[0-9a-f]{64}$/);
+    assert.equal(confirming.requiredConfirmations, 3);
+
+    const completed = await harness.confirm(withdrawal.request_id);
+    assert.equal(completed.txHash, confirming.txHash);
+    assert.ok(completed.confirmations >= 3);
+    assert.equal(completed.explorerUrl, `https://sepolia.etherscan.io/tx/${completed.txHash}`);
+    assert.deepEqual(
+      completed.history.map((entry) => entry.status),
+      ['PENDING_SIGNATURE', 'PROCESSING', 'CONFIRMING', 'COMPLETED']
+    );
+    assert.equal(completed.transactions.length, 1);
+    assert.equal(completed.transactions[0].txHash, completed.txHash);
+
+    assert.equal(
+      await harness.chain.tokenBalance(withdrawal.destination_address),
+      ethers.parseUnits('250.75', TOKEN_DECIMALS)
+    );
+    assert.equal(await harness.chain.safeNonce(), nonceBefore + 1n);
+  });
+
+  it('fails a withdrawal whose bank signature is not bound to the request', async () => {
+    // Signed for another amount than the request's.
+    const withdrawal = await harness.withdrawal();
+    const tampered = { ...withdrawal, amount: '13' };
+    const nonceBefore = await harness.chain.safeNonce();
+
+    assert.equal((await harness.initiate(tampered)).status, 202);
+
+    const failed = await harness.waitForStatus(tampered.request_id, 'FAILED');
+    assert.equal(failed.errorCode, 'BANK_SIGNATURE_REJECTED');
+    assert.equal(failed.transactions.length, 0);
+    assert.equal(await harness.chain.tokenBalance(withdrawal.destination_address), 0n);
+    assert.equal(await harness.chain.safeNonce(), nonceBefore);
+  });
+
+  it('only shows a request to the client that submitted it and to operators', async () => {
+    const withdrawal = await harness.withdrawal();
+    assert.equal((await harness.initiate(withdrawal)).status, 202);
+    await harness.confirm(withdrawal.request_id);
+
+    const otherClientKey = await harness.createApiClient('e2e other bank', 'CLIENT');
+    const res = await harness.api(`/api/v2/withdrawal/status/${withdrawal.request_id}`, { key: otherClientKey });
+    assert.equal(res.status, 404);
+
+    // Operators see every client's requests.
+    const operator = await harness.api(`/api/v2/withdrawal/status/${withdrawal.request_id}`, { key: harness.operatorKey });
+    assert.equal(operator.status, 200);
+    assert.equal(operator.body.status, 'COMPLETED');
+
+    const unauthenticated = await harness.api(`/api/v2/withdrawal/status/${withdrawal.request_id}`, { key: null });
+    assert.equal(unauthenticated.status, 401);
+  });
+});
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+const solc = require('solc');
+const { waitFor, waitForExit } = require('./wait');
+
+/**
+ * Local Chain
+ *
+ * A Hardhat node on the Sepolia chain ID, with the fixtures deployed on every start:
+ * - `TestToken`: an ERC20 with 6 decimals, minted to the treasury.
+ * - `TestSafe`: the treasury, a 2-of-2 multisig owned by the bank and the service wallet
+ *   that verifies signatures like a Safe (see test/contracts/TestSafe.sol).
+ *
+ * The fixtures are compiled with solc-js and the accounts derived from Hardhat's default
+ * mnemonic, so nothing is downloaded. The node mines a block with every transaction;
+ * `mine` adds blocks to give transactions their confirmations.
+ */
+
+const CHAIN_ID = 11155111;
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const CONTRACTS_DIR = path.join(__dirname, '..', 'contracts');
+const HARDHAT_CONFIG = path.join(__dirname, 'hardhat.config.js');
+const TOKEN_DECIMALS = 6;
+const TREASURY_BALANCE = ethers.parseUnits('1000000', TOKEN_DECIMALS);
+
+// The payload and SafeTx types of services/safe_multisig_service.js, as the bank builds them.
+const BANK_PAYLOAD_TYPES = [
+  'address', 'address', 'uint256', 'bytes', 'uint8', 'uint256', 'uint256', 'uint256', 'address', 'address', 'uint256', 'bytes',
+];
+const SAFE_TX_TYPES = {
+  SafeTx: [
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+    { name: 'operation', type: 'uint8' },
+    { name: 'safeTxGas', type: 'uint256' },
+    { name: 'baseGas', type: 'uint256' },
+    { name: 'gasPrice', type: 'uint256' },
+    { name: 'gasToken', type: 'address' },
+    { name: 'refundReceiver', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+/**
+ * Compiles the contracts of test/contracts.
+ * @returns {Object<string, {abi: object[], bytecode: string}>} The artifacts, by contract name.
+ */
+function compileFixtures() {
+  const sources = {};
+  for (const file of fs.readdirSync(CONTRACTS_DIR).filter((name) => name.endsWith('.sol'))) {
+    sources[file] = { content: fs.readFileSync(path.join(CONTRACTS_DIR, file), 'utf8') };
+  }
+  const output = JSON.parse(
+    solc.compile(
+      JSON.stringify({
+        language: 'Solidity',
+        sources,
+        settings: {
+          optimizer: { enabled: true, runs: 200 },
+          outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } },
+        },
+      })
+    )
+  );
+
+  const errors = (output.errors || []).filter((error) => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`Failed to compile the fixtures:\n${errors.map((error) => error.formattedMessage).join('\n')}`);
+  }
+
+  const artifacts = {};
+  for (const contracts of Object.values(output.contracts)) {
+    for (const [name, contract] of Object.entries(contracts)) {
+      artifacts[name] = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+    }
+  }
+  return artifacts;
+}
+
+class LocalChain {
+  /**
+   * @param {object} options
+   * @param {number} options.port - The port of the node's JSON-RPC server.
+   * @param {string} options.logFile - Where the node's output is written.
+   */
+  constructor({ port, logFile }) {
+    this.port = port;
+    this.logFile = logFile;
+    this.url = `http://127.0.0.1:${port}`;
+    this.chainId = CHAIN_ID;
+    this.process = null;
+
+    const account = (index) => ethers.HDNodeWallet.fromPhrase(MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`);
+    this.deployer = account(0);
+    // Co-owner of the treasury, signing each withdrawal before it is submitted.
+    this.bank = account(1);
+    // The service wallet: the other owner of the treasury, used by the worker only.
+    this.serviceWallet = account(2);
+    // Signs its own transactions for the raw transaction relay.
+    this.relayClient = account(3);
+  }
+
+  async start() {
+    const log = fs.openSync(this.logFile, 'a');
+    this.process = spawn(
+      process.execPath,
+      [require.resolve('hardhat/internal/cli/cli'), '--config', HARDHAT_CONFIG, 'node', '--hostname', '127.0.0.1', '--port', String(this.port)],
+      { env: { ...process.env, HARDHAT_DISABLE_TELEMETRY_PROMPT: 'true' }, stdio: ['ignore', log, log] }
+    );
+    fs.closeSync(log);
+
+    // Without ethers' request cache, consecutive transactions see each other's nonces.
+    this.provider = new ethers.JsonRpcProvider(this.url, CHAIN_ID, { staticNetwork: true, pollingInterval: 200, cacheTimeout: -1 });
+    await waitFor(
+      async () => {
+        if (this.process.exitCode !== null) {
+          throw new Error(`The Hardhat node exited with code ${this.process.exitCode}. See ${this.logFile}.`);
+        }
+        return this.provider.getBlockNumber().then(() => true, () => false);
+      },
+      { timeoutMs: 60 * 1000, description: 'the Hardhat node to answer' }
+    );
+
+    await this.deployFixtures();
+  }
+
+  async deployFixtures() {
+    const artifacts = compileFixtures();
+    const deployer = this.deployer.connect(this.provider);
+    const deploy = async (name, ...args) => {
+      const { abi, bytecode } = artifacts[name];
+      const contract = await new ethers.ContractFactory(abi, bytecode, deployer).deploy(...args);
+      await contract.waitForDeployment();
+      return contract;
+    };
+
+    this.token = await deploy('TestToken', 'Test USD', 'TUSD', TOKEN_DECIMALS);
+    this.safe = await deploy('TestSafe', [this.bank.address, this.serviceWallet.address], 2);
+    this.tokenAddress = await this.token.getAddress();
+    this.safeAddress = await this.safe.getAddress();
+    await (await this.token.mint(this.safeAddress, TREASURY_BALANCE)).wait();
+  }
+
+  /**
+   * Mines `blocks` empty blocks.
+   */
+  async mine(blocks = 1) {
+    await this.provider.send('hardhat_mine', [ethers.toQuantity(blocks)]);
+  }
+
+  /**
+   * @param {string} address
+   * @returns {Promise<bigint>} The token balance of `address`, in base units.
+   */
+  async tokenBalance(address) {
+    return this.token.balanceOf(address);
+  }
+
+  /**
+   * @returns {Promise<bigint>} The treasury's current Safe nonce.
+   */
+  async safeNonce() {
+    return this.safe.nonce();
+  }
+
+  /**
+   * Builds the bank's `partially_signed_tx` for a transfer from the treasury.
+   * @param {object} withdrawal
+   * @param {string} withdrawal.destination - The recipient of the tokens.
+   * @param {string} withdrawal.amount - The amount, in token units (e.g. `"12.5"`).
+   * @param {bigint} [withdrawal.nonce] - The Safe nonce to sign for. Defaults to the current one.
+   * @returns {Promise<string>}
+   */
+  async signWithdrawal({ destination, amount, nonce }) {
+    const safeTx = {
+      to: this.tokenAddress,
+      value: 0n,
+      data: this.token.interface.encodeFunctionData('transfer', [destination, ethers.parseUnits(amount, TOKEN_DECIMALS)]),
+      operation: 0,
+      safeTxGas: 0n,
+      baseGas: 0n,
+      gasPrice: 0n,
+      gasToken: ethers.ZeroAddress,
+      refundReceiver: ethers.ZeroAddress,
+      nonce: nonce ?? (await this.safeNonce()),
+    };
+    const signature = await this.bank.signTypedData({ chainId: CHAIN_ID, verifyingContract: this.safeAddress }, SAFE_TX_TYPES, safeTx);
+
+    return ethers.AbiCoder.defaultAbiCoder().encode(BANK_PAYLOAD_TYPES, [
+      this.safeAddress, safeTx.to, safeTx.value, safeTx.data, safeTx.operation, safeTx.safeTxGas,
+      safeTx.baseGas, safeTx.gasPrice, safeTx.gasToken, safeTx.refundReceiver, safeTx.nonce, signature,
+    ]);
+  }
+
+  async stop() {
+    this.provider?.destroy();
+    if (this.process && this.process.exitCode === null) {
+      this.process.kill('SIGTERM');
+      await waitForExit(this.process, 10 * 1000);
+    }
+  }
+}
+
+module.exports = LocalChain;
+module.exports.TOKEN_DECIMALS = TOKEN_DECIMALS;
@@ -0,0 +1,14 @@
+/**
+ * Hardhat configuration of the local chain started by `chain.js`. Nothing is compiled with
+ * Hardhat: the fixtures are compiled with solc-js, so no compiler is downloaded.
+ */
+module.exports = {
+  networks: {
+    hardhat: {
+      // Sepolia's chain ID, so the service enables the node through SEPOLIA_RPC_URL.
+      chainId: 11155111,
+      // Blocks are mined with each transaction; the suites mine more to add confirmations.
+      mining: { auto: true },
+    },
+  },
+};
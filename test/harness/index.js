@@ -0,0 +1,297 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { ethers } = require('ethers');
+const { Queue } = require('bullmq');
+const LocalChain = require('./chain');
+const RpcProxy = require('./rpc_proxy');
+const ServiceProcess = require('./processes');
+const { startPostgres, startRedis } = require('./infra');
+const { waitFor, freePort } = require('./wait');
+
+/**
+ * Test Harness
+ *
+ * Runs the whole service offline for the end-to-end suites in test/e2e:
+ * - A throwaway Postgres database and Redis server (see `infra.js`).
+ * - A local chain with the token and multisig treasury fixtures (see `chain.js`), reached
+ *   through an RPC proxy that can inject endpoint failures (see `rpc_proxy.js`).
+ * - The API (server.js), the worker (worker.js) and the finality watcher
+ *   (finality_watcher.js) as child processes, with short polling intervals.
+ * - An operator and a client API key, created with scripts/create_api_client.js.
+ *
+ * Each suite starts its own harness in `before` and stops it in `after`. Everything runs in
+ * a temporary directory, removed on stop unless E2E_KEEP_DIR is set; the processes' logs are
+ * written there. The Prisma client must be generated (`npm run prisma:generate`).
+ */
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+const execFileAsync = promisify(execFile);
+
+class TestHarness {
+  constructor() {
+    this.services = [];
+    this.stack = []; // Stop functions, in start order
+    this.requestCount = 0;
+    this.keepDir = Boolean(process.env.E2E_KEEP_DIR);
+  }
+
+  async start() {
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'withdrawal-e2e-'));
+    // Postgres drops root privileges, so the cluster's directory must be reachable by its user.
+    fs.chmodSync(this.dir, 0o755);
+
+    try {
+      await this.startInfrastructure();
+      this.env = await this.serviceEnv();
+      this.operatorKey = await this.createApiClient('e2e operator', 'OPERATOR');
+      this.clientKey = await this.createApiClient('e2e bank', 'CLIENT');
+      await this.startServices();
+    } catch (error) {
+      this.keepDir = true; // For its logs
+      await this.stop();
+      error.message = `${error.message} (logs in ${this.dir})`;
+      throw error;
+    }
+  }
+
+  async startInfrastructure() {
+    const postgres = await startPostgres({
+      dataDir: path.join(this.dir, 'postgres'),
+      port: await freePort(),
+      logFile: path.join(this.dir, 'postgres.log'),
+    });
+    this.postgres = postgres;
+    this.stack.push(postgres.stop);
+
+    this.redis = await startRedis();
+    this.stack.push(this.redis.stop);
+
+    this.chain = new LocalChain({ port: await freePort(), logFile: path.join(this.dir, 'chain.log') });
+    this.stack.push(() => this.chain.stop());
+    await this.chain.start();
+
+    this.rpc = new RpcProxy(this.chain.url);
+    await this.rpc.start(await freePort());
+    this.stack.push(() => this.rpc.stop());
+  }
+
+  /**
+   * @returns {Promise<object>} The environment of the service's processes. Nothing is
+   *   inherited but PATH, HOME and the log settings, so no other chain or integration is enabled.
+   */
+  async serviceEnv() {
+    this.apiPort = await freePort();
+    return {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+      ...(process.env.LOG_FORMAT && { LOG_FORMAT: process.env.LOG_FORMAT }),
+      DATABASE_URL: this.postgres.url,
+      REDIS_HOST: this.redis.host,
+      REDIS_PORT: String(this.redis.port),
+      PORT: String(this.apiPort),
+      WORKER_METRICS_PORT: String(await freePort()),
+      FINALITY_METRICS_PORT: String(await freePort()),
+      SEPOLIA_RPC_URL: this.rpc.url,
+      SERVICE_WALLET_PRIVATE_KEY: this.chain.serviceWallet.privateKey,
+      TX_MONITOR_INTERVAL_MS: '2000',
+      BATCH_COLLECT_INTERVAL_MS: '2000',
+      FINALITY_POLL_INTERVAL_MS: '500',
+      RPC_TIMEOUT_MS: '2000',
+      RPC_CIRCUIT_COOLDOWN_MS: '500',
+    };
+  }
+
+  /**
+   * @returns {Promise<string>} The new client's API key.
+   */
+  async createApiClient(name, role) {
+    const { stdout } = await execFileAsync(process.execPath, [path.join(REPO_ROOT, 'scripts', 'create_api_client.js'), name, role], {
+      cwd: this.dir,
+      env: this.env,
+      timeout: 30 * 1000,
+    });
+    const match = stdout.match(/sk_live_\w+/);
+    if (!match) {
+      throw new Error(`No API key in the output of create_api_client.js: ${stdout}`);
+    }
+    return match[0];
+  }
+
+  async startServices() {
+    for (const [name, script] of [['server', 'server.js'], ['worker', 'worker.js'], ['finality', 'finality_watcher.js']]) {
+      const service = new ServiceProcess(name, script, { env: this.env, cwd: this.dir });
+      service.start();
+      this.services.push(service);
+    }
+    this.stack.push(() => Promise.all(this.services.map((service) => service.stop())));
+
+    await waitFor(
+      async () => {
+        const exited = this.services.find((service) => service.hasExited());
+        if (exited) {
+          throw new Error(`${exited.name} exited with code ${exited.process.exitCode}. See ${exited.logFile}.`);
+        }
+        const res = await this.api('/api/v2/withdrawal/health').catch(() => null);
+        return res?.status === 200;
+      },
+      { timeoutMs: 60 * 1000, description: 'the API to report healthy' }
+    );
+
+    // Lets suites hold jobs back, e.g. to cancel a request before the worker picks it up.
+    this.queue = new Queue('withdrawal-processing', { connection: { host: this.redis.host, port: this.redis.port } });
+    this.stack.push(() => this.queue.close());
+  }
+
+  /**
+   * Stops everything, in the reverse order it was started. The temporary directory is kept
+   * if the harness failed to start.
+   */
+  async stop() {
+    while (this.stack.length > 0) {
+      const stop = this.stack.pop();
+      try {
+        await stop();
+      } catch (error) {
+        console.error(`[e2e] Failed to stop a harness component: ${error.message}`);
+      }
+    }
+    if (this.dir && !this.keepDir) {
+      fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Calls the API.
+   * @param {string} urlPath - e.g. `/api/v2/withdrawal/initiate`.
+   * @param {object} [options]
+   * @param {string} [options.method='GET']
+   * @param {object} [options.body] - Sent as JSON.
+   * @param {string|null} [options.key] - The API key. Defaults to the client's; null for none.
+   * @returns {Promise<{status: number, body: object}>}
+   */
+  async api(urlPath, { method = 'GET', body, key = this.clientKey } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (key) headers.Authorization = `Bearer ${key}`;
+    const res = await fetch(`http://127.0.0.1:${this.apiPort}${urlPath}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch (error) {
+      json = { text };
+    }
+    return { status: res.status, body: json };
+  }
+
+  /**
+   * Builds an /initiate body for a transfer from the treasury, signed by the bank.
+   * @param {object} [overrides] - Fields to set or replace. `nonce` sets the bank's Safe nonce.
+   * @returns {Promise<object>}
+   */
+  async withdrawal({ nonce, ...overrides } = {}) {
+    this.requestCount += 1;
+    const destination = overrides.destination_address || ethers.Wallet.createRandom().address;
+    const amount = overrides.amount || '12.5';
+    return {
+      request_id: `e2e-${process.pid}-${Date.now()}-${this.requestCount}`,
+      chain_id: this.chain.chainId,
+      treasury_contract_address: this.chain.safeAddress,
+      destination_address: destination,
+      token_contract_address: this.chain.tokenAddress,
+      amount,
+      partially_signed_tx: await this.chain.signWithdrawal({ destination, amount, nonce }),
+      ...overrides,
+    };
+  }
+
+  /**
+   * Submits a withdrawal through /initiate.
+   * @returns {Promise<{status: number, body: object}>}
+   */
+  initiate(withdrawal) {
+    return this.api('/api/v2/withdrawal/initiate', { method: 'POST', body: withdrawal });
+  }
+
+  /**
+   * @param {string} requestId
+   * @returns {Promise<object>} The request, as returned by /status.
+   */
+  async getStatus(requestId) {
+    const { status, body } = await this.api(`/api/v2/withdrawal/status/${encodeURIComponent(requestId)}`);
+    if (status !== 200) {
+      throw new Error(`GET /status/${requestId} returned ${status}: ${JSON.stringify(body)}`);
+    }
+    return body;
+  }
+
+  /**
+   * Waits for a request to reach one of `statuses`.
+   * @param {string} requestId
+   * @param {string|string[]} statuses
+   * @returns {Promise<object>} The request, as returned by /status.
+   */
+  async waitForStatus(requestId, statuses, timeoutMs = 60 * 1000) {
+    const expected = [].concat(statuses);
+    let last;
+    try {
+      return await waitFor(
+        async () => {
+          last = await this.getStatus(requestId);
+          return expected.includes(last.status) && last;
+        },
+        { timeoutMs, intervalMs: 200, description: `${requestId} to reach ${expected.join(' or ')}` }
+      );
+    } catch (error) {
+      error.message = `${error.message} Last status: ${last?.status} (${last?.errorMessage || 'no error'}).`;
+      throw error;
+    }
+  }
+
+  /**
+   * Waits for a raw transaction broadcast to reach one of `statuses`.
+   * @param {string} broadcastId
+   * @param {string|string[]} statuses
+   * @returns {Promise<object>} The broadcast, as returned by /broadcast/:broadcastId.
+   */
+  async waitForBroadcast(broadcastId, statuses, timeoutMs = 60 * 1000) {
+    const expected = [].concat(statuses);
+    let last;
+    try {
+      return await waitFor(
+        async () => {
+          const { status, body } = await this.api(`/api/v2/withdrawal/broadcast/${encodeURIComponent(broadcastId)}`);
+          if (status !== 200) {
+            throw new Error(`GET /broadcast/${broadcastId} returned ${status}: ${JSON.stringify(body)}`);
+          }
+          last = body;
+          return expected.includes(last.status) && last;
+        },
+        { timeoutMs, intervalMs: 200, description: `broadcast ${broadcastId} to reach ${expected.join(' or ')}` }
+      );
+    } catch (error) {
+      error.message = `${error.message} Last status: ${last?.status}.`;
+      throw error;
+    }
+  }
+
+  /**
+   * Takes a mined withdrawal to COMPLETED: mines its confirmations and waits for the
+   * finality watcher.
+   * @returns {Promise<object>} The completed request.
+   */
+  async confirm(requestId) {
+    await this.waitForStatus(requestId, 'CONFIRMING');
+    await this.chain.mine(3);
+    return this.waitForStatus(requestId, 'COMPLETED');
+  }
+}
+
+module.exports = TestHarness;
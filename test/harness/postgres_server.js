@@ -0,0 +1,43 @@
+/**
+ * Runs a throwaway Postgres cluster for the harness, as a child process forked by `infra.js`.
+ *
+ * Usage: node postgres_server.js <data dir> <port>
+ *
+ * embedded-postgres installs process exit hooks that end the process with code 0, which
+ * would hide a test run's failures, so it is only ever loaded here. The parent is sent
+ * `{ ready: true }` once the `withdrawals` database exists. The cluster is stopped, and its
+ * directory removed, on SIGTERM or when the parent goes away.
+ */
+
+async function main() {
+  const [dataDir, port] = process.argv.slice(2);
+  // embedded-postgres is an ES module.
+  const { default: EmbeddedPostgres } = await import('embedded-postgres');
+  const postgres = new EmbeddedPostgres({
+    databaseDir: dataDir,
+    port: Number(port),
+    user: 'postgres',
+    password: 'postgres',
+    persistent: false,
+    // Postgres refuses to run as root; the cluster is then owned by a `postgres` system user.
+    createPostgresUser: true,
+    onLog: (message) => console.log(message),
+    onError: (message) => console.error(message),
+  });
+
+  await postgres.initialise();
+  await postgres.start();
+  await postgres.createDatabase('withdrawals');
+
+  // SIGTERM is handled by embedded-postgres itself, which stops the cluster and exits.
+  process.on('disconnect', async () => {
+    await postgres.stop();
+    process.exit(0);
+  });
+  process.send({ ready: true });
+}
+
+main().catch((error) => {
+  console.error('[ERROR] Failed to start Postgres:', error);
+  process.exit(1);
+});
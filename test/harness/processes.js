@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { waitForExit } = require('./wait');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Service Process
+ *
+ * One of the service's entry points (server.js, worker.js, finality_watcher.js) running as
+ * a child process, configured only by the environment it is given. It runs from the
+ * harness's temporary directory, so a developer's .env in the repository is not loaded.
+ */
+class ServiceProcess {
+  /**
+   * @param {string} name - Names the log file, e.g. `worker`.
+   * @param {string} script - The entry point, relative to the repository root.
+   * @param {object} options
+   * @param {object} options.env - The process's whole environment.
+   * @param {string} options.cwd - The working directory; the log file is written there.
+   */
+  constructor(name, script, { env, cwd }) {
+    this.name = name;
+    this.script = path.join(REPO_ROOT, script);
+    this.env = env;
+    this.cwd = cwd;
+    this.logFile = path.join(cwd, `${name}.log`);
+    this.process = null;
+  }
+
+  start() {
+    const log = fs.openSync(this.logFile, 'a');
+    this.process = spawn(process.execPath, [this.script], { cwd: this.cwd, env: this.env, stdio: ['ignore', log, log] });
+    fs.closeSync(log);
+  }
+
+  /**
+   * @returns {boolean} Whether the process has exited.
+   */
+  hasExited() {
+    return Boolean(this.process) && (this.process.exitCode !== null || this.process.signalCode !== null);
+  }
+
+  /**
+   * Stops the process with SIGTERM, so it shuts down gracefully, or SIGKILL after `timeoutMs`.
+   */
+  async stop(timeoutMs = 15 * 1000) {
+    if (!this.process || this.hasExited()) return;
+    this.process.kill('SIGTERM');
+    await waitForExit(this.process, timeoutMs);
+  }
+}
+
+module.exports = ServiceProcess;
@@ -0,0 +1,98 @@
+const http = require('http');
+
+/**
+ * RPC Proxy
+ *
+ * Stands between the service and the local chain, so that a suite can make the chain's
+ * endpoint fail the way a hosted one does:
+ * - `failNext(count, method)`: answers the next `count` calls (of `method`, if set) with a
+ *   rate-limit error (-32005), which the service treats as an endpoint failure.
+ * - `setDown(true)`: answers every call with HTTP 503, until `setDown(false)`.
+ *
+ * `calls` counts the calls forwarded per method, and `failures` the calls failed on purpose.
+ */
+
+const RATE_LIMITED = -32005;
+
+class RpcProxy {
+  /**
+   * @param {string} targetUrl - The JSON-RPC URL of the chain.
+   */
+  constructor(targetUrl) {
+    this.targetUrl = targetUrl;
+    this.down = false;
+    this.pendingFailures = [];
+    this.calls = {};
+    this.failures = 0;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * @param {number} port
+   */
+  async start(port) {
+    await new Promise((resolve) => this.server.listen(port, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${port}`;
+  }
+
+  /**
+   * Fails the next `count` calls, or the next `count` calls of `method`.
+   */
+  failNext(count, method = null) {
+    this.pendingFailures.push({ count, method });
+  }
+
+  setDown(down) {
+    this.down = down;
+  }
+
+  async handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks).toString();
+
+    if (this.down) {
+      this.failures += 1;
+      res.writeHead(503, { 'Content-Type': 'text/plain' }).end('Service Unavailable');
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      res.writeHead(400).end();
+      return;
+    }
+
+    // The service sends one call per request; batches are forwarded untouched.
+    if (!Array.isArray(payload)) {
+      const failure = this.pendingFailures.find((f) => f.count > 0 && (!f.method || f.method === payload.method));
+      if (failure) {
+        failure.count -= 1;
+        this.failures += 1;
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(
+          JSON.stringify({ jsonrpc: '2.0', id: payload.id, error: { code: RATE_LIMITED, message: 'Rate limited by the test RPC proxy.' } })
+        );
+        return;
+      }
+    }
+
+    for (const call of [].concat(payload)) {
+      this.calls[call.method] = (this.calls[call.method] || 0) + 1;
+    }
+    try {
+      const response = await fetch(this.targetUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+      res.writeHead(response.status, { 'Content-Type': 'application/json' }).end(await response.text());
+    } catch (error) {
+      res.writeHead(502, { 'Content-Type': 'text/plain' }).end(error.message);
+    }
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+}
+
+module.exports = RpcProxy;
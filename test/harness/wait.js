@@ -0,0 +1,54 @@
+const net = require('net');
+
+/**
+ * Polls `fn` until it returns a truthy value, and returns that value.
+ * @param {Function} fn - Called every `intervalMs`; may be async. An error it throws is not retried.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=30000]
+ * @param {number} [options.intervalMs=250]
+ * @param {string} [options.description] - What is awaited, for the timeout error.
+ */
+async function waitFor(fn, { timeoutMs = 30 * 1000, intervalMs = 250, description = 'the condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await fn();
+    if (result) return result;
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out after ${timeoutMs}ms waiting for ${description}.`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+/**
+ * Waits for a child process to exit, and kills it if it has not within `timeoutMs`.
+ * @param {import('child_process').ChildProcess} child
+ * @param {number} timeoutMs
+ */
+function waitForExit(child, timeoutMs) {
+  if (child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+/**
+ * @returns {Promise<number>} A TCP port that is free on the loopback interface.
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+module.exports = { waitFor, waitForExit, freePort };
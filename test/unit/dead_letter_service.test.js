@@ -0,0 +1,114 @@
+const { describe, it, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const OPERATOR = { id: 'operator-1', name: 'Operator' };
+
+describe('dead-lettered batch requests', () => {
+  let deadLetterService;
+  let batchPayoutService;
+  let withdrawalManager;
+  let request;
+  let entry;
+
+  before(() => {
+    // The services open their queues when loaded: give them queues that never connect to Redis.
+    const bullmqPath = require.resolve('bullmq');
+    require.cache[bullmqPath] = {
+      id: bullmqPath,
+      filename: bullmqPath,
+      loaded: true,
+      exports: {
+        Queue: class {
+          constructor(name) { this.name = name; }
+          async add() {}
+          async getJob() { return null; }
+          async close() {}
+        },
+        UnrecoverableError: class extends Error {},
+      },
+    };
+    process.env.SEPOLIA_RPC_URL ||= 'http://127.0.0.1:8545';
+
+    deadLetterService = require('../../services/dead_letter_service');
+    batchPayoutService = require('../../services/batch_payout_service');
+    withdrawalManager = require('../../services/withdrawal_manager');
+    const auditService = require('../../services/audit_service');
+    const webhookService = require('../../services/webhook_service');
+    mock.method(auditService, 'recordChange', async () => {});
+    mock.method(webhookService, 'notifyWithdrawalStatusChange', async () => {});
+
+    // Applies the conditional updates of the state machine, as the database would.
+    const withdrawalRequest = {
+      updateMany: async ({ where, data }) => {
+        if (where.id !== request.id || !where.status.in.includes(request.status)) return { count: 0 };
+        Object.assign(request, data);
+        return { count: 1 };
+      },
+      findUnique: async () => ({ ...request }),
+    };
+    deadLetterService.prisma = {
+      $transaction: (fn) => fn({ withdrawalRequest, historyEntry: { create: async () => {} } }),
+      deadLetterJob: {
+        findUnique: async () => ({ ...entry, request: { ...request, transactions: [], batch: entry.batch } }),
+        update: async ({ data }) => Object.assign(entry, data),
+      },
+    };
+    batchPayoutService.prisma = {
+      withdrawalRequest: {
+        findMany: async ({ where }) =>
+          [request].filter((r) => r.batchable && r.batchId === where.batchId && r.status === where.status),
+      },
+    };
+  });
+
+  beforeEach(() => {
+    request = {
+      id: 'db-1',
+      requestId: 'request-1',
+      status: 'FAILED',
+      batchable: true,
+      batchId: 'batch-1',
+      batchIndex: 0,
+      chainId: 11155111,
+      treasuryContractAddress: '0x0000000000000000000000000000000000000001',
+      tokenContractAddress: '0x0000000000000000000000000000000000000002',
+      createdAt: new Date(0),
+      errorMessage: 'Batch reverted',
+    };
+    entry = {
+      id: 'dead-letter-1',
+      status: 'OPEN',
+      queue: batchPayoutService.batchQueue.name,
+      jobId: '7',
+      requestId: request.id,
+      batch: { id: 'batch-1', transactions: [] },
+    };
+  });
+
+  it('requeues the request into a new batch', async (t) => {
+    const add = t.mock.method(withdrawalManager.withdrawalQueue, 'add', async () => {});
+    const createBatch = t.mock.method(batchPayoutService, 'createBatch', async () => {});
+
+    const result = await deadLetterService.requeue(entry.id, OPERATOR, 'RPC fixed');
+
+    assert.deepEqual(result, { id: entry.id, status: 'REQUEUED', requestId: 'request-1', requestStatus: 'PENDING_SIGNATURE' });
+    assert.equal(request.batchId, null);
+    assert.equal(request.batchIndex, null);
+    assert.equal(add.mock.callCount(), 0);
+
+    await batchPayoutService.collect();
+    assert.deepEqual(createBatch.mock.calls.map((call) => call.arguments[0].map((r) => r.id)), [['db-1']]);
+  });
+
+  it('refuses to requeue a request whose batch has a signed transaction', async () => {
+    entry.batch.transactions = [{ txHash: '0xabc', status: 'PENDING' }];
+
+    await assert.rejects(deadLetterService.requeue(entry.id, OPERATOR), /has a signed transaction/);
+    assert.equal(request.status, 'FAILED');
+  });
+
+  it('refuses to retry a batch job for one of its requests', async () => {
+    await assert.rejects(deadLetterService.retry(entry.id, OPERATOR), /cannot be retried for one of them/);
+    assert.equal(request.status, 'FAILED');
+  });
+});
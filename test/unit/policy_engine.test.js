@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const TOKEN = ethers.Wallet.createRandom().address;
+const CLIENT_ID = 'client-1';
+
+describe('policy engine', () => {
+  let dir;
+  let policyPath;
+  let policyEngine;
+  let rows;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-'));
+    policyPath = path.join(dir, 'policy.json');
+    fs.writeFileSync(policyPath, JSON.stringify({ defaults: { dailyLimit: '100' } }));
+    process.env.WITHDRAWAL_POLICY_PATH = policyPath;
+    policyEngine = require('../../services/policy_engine');
+
+    // Applies the status filter of the query, as the database would.
+    policyEngine.prisma = {
+      withdrawalRequest: {
+        findMany: async ({ where }) => rows.filter((row) => !where.status.notIn.includes(row.status)),
+      },
+    };
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const evaluate = (amount) =>
+    policyEngine.evaluate(
+      { destination_address: ethers.Wallet.createRandom().address, token_contract_address: TOKEN, amount },
+      CLIENT_ID
+    );
+
+  it('counts requests that moved or may still move funds', async () => {
+    rows = [{ status: 'COMPLETED', amount: '80' }];
+    assert.equal((await evaluate('50')).rule, 'velocity.daily');
+  });
+
+  for (const status of ['CANCELLED', 'REJECTED', 'REJECTED_BY_POLICY', 'FAILED', 'EXPIRED']) {
+    it(`does not count ${status} requests`, async () => {
+      rows = [{ status, amount: '80' }];
+      assert.deepEqual(await evaluate('50'), { decision: 'ALLOW' });
+    });
+  }
+
+  it('applies token limits keyed by a checksummed address', async () => {
+    rows = [];
+    fs.writeFileSync(policyPath, JSON.stringify({ tokens: { [ethers.getAddress(TOKEN)]: { maxAmount: '10' } } }));
+    policyEngine.load();
+    try {
+      assert.equal((await evaluate('50')).rule, 'amount.max');
+    } finally {
+      fs.writeFileSync(policyPath, JSON.stringify({ defaults: { dailyLimit: '100' } }));
+      policyEngine.load();
+    }
+  });
+
+  it('refuses a policy with token limits that are not keyed by address', () => {
+    fs.writeFileSync(policyPath, JSON.stringify({ tokens: { USDC: { maxAmount: '10' } } }));
+    try {
+      assert.throws(() => policyEngine.load(), /tokens must be keyed by token address/);
+    } finally {
+      fs.writeFileSync(policyPath, JSON.stringify({ defaults: { dailyLimit: '100' } }));
+      policyEngine.load();
+    }
+  });
+});
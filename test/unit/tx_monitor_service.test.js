@@ -0,0 +1,73 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const topic = (address) => ethers.zeroPadValue(address, 32);
+const randomAddress = () => ethers.Wallet.createRandom().address;
+
+describe('batch transfer log matching', () => {
+  let txMonitorService;
+  let auditService;
+  let metrics;
+
+  before(() => {
+    // The services open their queues when loaded: give them queues that never connect to Redis.
+    const bullmqPath = require.resolve('bullmq');
+    require.cache[bullmqPath] = {
+      id: bullmqPath,
+      filename: bullmqPath,
+      loaded: true,
+      exports: { Queue: class { async add() {} async close() {} } },
+    };
+    process.env.SEPOLIA_RPC_URL ||= 'http://127.0.0.1:8545';
+
+    txMonitorService = require('../../services/tx_monitor_service');
+    auditService = require('../../services/audit_service');
+    metrics = require('../../services/metrics');
+
+    txMonitorService.prisma = {
+      withdrawalTransaction: { findUnique: async () => null, updateMany: async () => ({ count: 0 }) },
+      withdrawalBatch: { updateMany: async () => ({ count: 1 }) },
+    };
+  });
+
+  it('marks every item mined when a Transfer log does not match its item', async (t) => {
+    t.mock.method(auditService, 'recordChange', async () => {});
+    t.mock.method(metrics, 'recordGas', () => {});
+    const markMined = t.mock.method(txMonitorService, 'markMined', async () => {});
+
+    const token = randomAddress();
+    const treasury = randomAddress();
+    const [first, second] = [randomAddress(), randomAddress()];
+    const batch = {
+      id: 'batch-1',
+      chainId: 11155111,
+      status: 'BROADCASTED',
+      tokenContractAddress: token.toLowerCase(),
+      treasuryContractAddress: treasury,
+      items: [
+        { id: 'item-2', requestId: 'request-2', destinationAddress: second, batchIndex: 1 },
+        { id: 'item-1', requestId: 'request-1', destinationAddress: first, batchIndex: 0 },
+      ],
+    };
+    const receipt = {
+      hash: ethers.id('batch-tx'),
+      status: 1,
+      blockNumber: 10,
+      blockHash: ethers.id('block'),
+      logs: [
+        { address: token, topics: [TRANSFER_TOPIC, topic(treasury), topic(first)], index: 3 },
+        // Paid somewhere other than the second item's destination.
+        { address: token, topics: [TRANSFER_TOPIC, topic(treasury), topic(randomAddress())], index: 5 },
+      ],
+    };
+
+    await txMonitorService.markBatchMined(batch, receipt.hash, receipt);
+
+    assert.deepEqual(
+      markMined.mock.calls.map((call) => [call.arguments[0].id, call.arguments[3]]),
+      [['item-2', undefined], ['item-1', 3]]
+    );
+  });
+});
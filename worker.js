@@ -1,14 +1,36 @@
 require('dotenv').config();
-const { Worker } = require('bullmq');
+const { Queue, Worker, UnrecoverableError } = require('bullmq');
 const { ethers } = require('ethers');
 const { PrismaClient } = require('@prisma/client');
 const alertingService = require('./services/alerting_service');
+const safeMultiSigService = require('./services/safe_multisig_service');
+const webhookService = require('./services/webhook_service');
+const txMonitorService = require('./services/tx_monitor_service');
+const nonceManager = require('./services/nonce_manager');
+const preflightService = require('./services/preflight_service');
+const chainRegistry = require('./services/chain_registry');
+const signerService = require('./services/signer_service');
+const ResilientProvider = require('./services/resilient_provider');
+const batchPayoutService = require('./services/batch_payout_service');
+const reconciliationService = require('./services/reconciliation_service');
+const auditService = require('./services/audit_service');
+const deadLetterService = require('./services/dead_letter_service');
+const withdrawalManager = require('./services/withdrawal_manager');
+const { withdrawalStateMachine, broadcastStateMachine } = require('./services/state_machine');
+const logger = require('./services/logger');
+const metrics = require('./services/metrics');
+
+const log = logger.child('worker');
+const rawTxWorkerLog = logger.child('raw-tx-worker');
+const webhookWorkerLog = logger.child('webhook-worker');
+const txMonitorLog = logger.child('tx-monitor');
+const batchLog = logger.child('batch');
+const reconciliationLog = logger.child('reconciliation');
 
 const prisma = new PrismaClient();
 
-// Standard ERC20 ABI for the 'transfer' function and 'decimals'
+// Standard ERC20 ABI for 'decimals', used to convert the request amount to base units
 const ERC20_ABI = [
-  'function transfer(address to, uint256 amount) returns (bool)',
   'function decimals() view returns (uint8)',
 ];
 
@@ -17,192 +39,587 @@ const connection = {
   port: process.env.REDIS_PORT || 6379,
 };
 
+// How long a job waits for its transaction to be mined before leaving it to the transaction monitor
+const CONFIRMATION_TIMEOUT_MS = Number(process.env.TX_CONFIRMATION_TIMEOUT_MS || 2 * 60 * 1000);
+const TX_MONITOR_INTERVAL_MS = Number(process.env.TX_MONITOR_INTERVAL_MS || 30 * 1000);
+// How often batchable requests are checked for a batch that is ready to go
+const BATCH_COLLECT_INTERVAL_MS = Number(process.env.BATCH_COLLECT_INTERVAL_MS || 10 * 1000);
+const RECONCILIATION_INTERVAL_MS = Number(process.env.RECONCILIATION_INTERVAL_MS || 60 * 60 * 1000);
+const WORKER_METRICS_PORT = Number(process.env.WORKER_METRICS_PORT || 9464);
+
+/**
+ * Runs `fn` in the context of a job: the job's queue, ID and attempt number are on every
+ * log line, and the job is the actor of the audit log entries it produces.
+ */
+function inJobContext(job, attempt, fn) {
+  return logger.runWithContext({ queue: job.queueName, jobId: job.id, jobName: job.name, attempt }, () =>
+    auditService.runAs(auditService.jobActor(job), fn)
+  );
+}
+
+/**
+ * Wraps a job processor: runs it in the job's context and records the attempt's duration.
+ */
+function processor(handler) {
+  return (job) => inJobContext(job, job.attemptsMade + 1, () => metrics.timeJob(job, () => handler(job)));
+}
+
+/**
+ * Wraps a 'failed' listener: runs it in the context of the failed job.
+ */
+function failedListener(handler) {
+  return (job, err) => inJobContext(job, job.attemptsMade, () => handler(job, err));
+}
+
 const multiSigWorker = new Worker(
   'withdrawal-processing',
-  async (job) => {
+  processor(async (job) => {
+    // The delayed jobs of scheduled and time-limited requests (see withdrawal_manager.js).
+    switch (job.name) {
+      case 'release-scheduled':
+        await withdrawalManager.releaseScheduled(job.data.dbId);
+        return;
+      case 'expire-withdrawal':
+        await withdrawalManager.expireRequest(job.data.dbId);
+        return;
+    }
+
     const { dbId } = job.data;
-    console.log(`[WORKER] Processing job ${job.id} (Attempt #${job.attemptsMade + 1}) for DB request ${dbId}`);
+    log.info(`Processing job ${job.id} (Attempt #${job.attemptsMade + 1}) for DB request ${dbId}`);
+
+    const request = await prisma.withdrawalRequest.findUnique({
+      where: { id: dbId },
+      include: { transactions: { orderBy: { createdAt: 'asc' } } },
+    });
+    logger.addContext({ requestId: request?.requestId });
 
-    const request = await prisma.withdrawalRequest.findUnique({ where: { id: dbId } });
+    // Only requests that have not been broadcast yet are processed here. Once a
+    // transaction is out, the transaction monitor owns it, so a retry can never
+    // send a second transfer.
+    if (!request || !['PENDING_SIGNATURE', 'PROCESSING'].includes(request.status)) {
+      log.info(`Skipping job ${job.id}, request is in state: ${request?.status}.`);
+      return;
+    }
 
-    // Skip processing if the request has been successfully completed or cancelled.
-    if (!request || ['COMPLETED', 'CANCELLED'].includes(request.status)) {
-      console.log(`[WORKER] Skipping job ${job.id}, request already in a final state: ${request?.status}.`);
+    // A request picked up after its expiry, e.g. behind a long queue or on a requeue, is not paid.
+    if (request.status === 'PENDING_SIGNATURE' && request.expiresAt && request.expiresAt <= new Date()) {
+      await withdrawalManager.expireRequest(dbId);
       return;
     }
 
     // --- Blockchain Connection Setup ---
-    const network = process.env.ETHEREUM_NETWORK || 'sepolia';
-    const rpcUrl = network === 'mainnet' ? process.env.MAINNET_RPC_URL : process.env.SEPOLIA_RPC_URL;
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const serviceWallet = new ethers.Wallet(process.env.SERVICE_WALLET_PRIVATE_KEY, provider);
+    // Each request is executed on its own chain. The signer is assigned once and recorded,
+    // so retries and replacements keep signing with the same key during a key rotation.
+    if (!request.signerId) {
+      request.signerId = signerService.assignSigner(request.chainId);
+      await prisma.withdrawalRequest.update({ where: { id: dbId }, data: { signerId: request.signerId } });
+    }
+    const serviceWallet = await signerService.getSigner(request.signerId, request.chainId);
+    const { provider } = serviceWallet;
 
     // The try...catch block now re-throws errors to let BullMQ handle retries.
     // The final 'failed' state is handled by the 'failed' event listener.
     try {
-      // Set status to PROCESSING only if it's the first attempt.
-      if (job.attemptsMade === 0) {
-        await prisma.withdrawalRequest.update({
-          where: { id: dbId },
-          data: {
-            status: 'PROCESSING',
-            errorMessage: null, // Clear previous errors on a new run
-            history: { create: { status: 'PROCESSING' } },
-          },
+      // Set status to PROCESSING only on the first run. The transition is conditional, so a
+      // request cancelled since it was read above is left alone.
+      if (request.status === 'PENDING_SIGNATURE') {
+        const processing = await withdrawalStateMachine.transition(prisma, dbId, 'PENDING_SIGNATURE', 'PROCESSING', {
+          errorMessage: null, // Clear previous errors on a new run
+          errorCode: null,
+        });
+        if (!processing) {
+          log.info(`Skipping job ${job.id}, request ${request.requestId} left PENDING_SIGNATURE in the meantime.`);
+          return;
+        }
+        await auditService.recordChange('WITHDRAWAL_REQUEST', request, processing, {
+          details: { attempt: job.attemptsMade + 1 },
         });
+        await webhookService.notifyWithdrawalStatusChange(processing);
+      }
+
+      // --- Recovery After A Partial Run ---
+      // A previous attempt already signed (and maybe broadcast) a transaction.
+      // Reconcile it against the chain instead of signing a second transfer.
+      if (request.transactions.length > 0) {
+        try {
+          const { state, txHash } = await txMonitorService.recover(request, serviceWallet);
+          log.info(`Recovered request ${request.requestId} from a previous attempt: ${state} (${txHash}).`);
+        } catch (error) {
+          if (ResilientProvider.isTransientError(error)) throw error; // Connectivity problems are retried
+          throw new UnrecoverableError(error.message);
+        }
+        return;
       }
 
-      // --- ERC20 Token Transfer Logic ---
-      const tokenContract = new ethers.Contract(request.tokenContractAddress, ERC20_ABI, serviceWallet);
+      // --- Bank Signature Verification ---
+      const tokenContract = new ethers.Contract(request.tokenContractAddress, ERC20_ABI, provider);
 
       // Dynamically fetch token decimals for accuracy
       const decimals = await tokenContract.decimals();
       const tokenAmount = ethers.parseUnits(request.amount, decimals);
 
-      // --- Dynamic Gas Price Management (EIP-1559) ---
-      const feeData = await provider.getFeeData();
-      console.log(`[WORKER] Current network fee data: maxFeePerGas=${ethers.formatUnits(feeData.maxFeePerGas, "gwei")} gwei, maxPriorityFeePerGas=${ethers.formatUnits(feeData.maxPriorityFeePerGas, "gwei")} gwei`);
+      // A payload that is not bound to this request can never succeed, so it
+      // fails the job immediately instead of going through the retry loop.
+      let payload;
+      let coSigned;
+      try {
+        payload = safeMultiSigService.decodeBankPayload(request.partiallySignedTx);
+        safeMultiSigService.assertBoundToRequest(payload, request, tokenAmount);
+        coSigned = await safeMultiSigService.coSign(payload, serviceWallet);
+      } catch (error) {
+        if (ResilientProvider.isTransientError(error)) throw error; // Connectivity problems are retried
+        await setErrorCode(dbId, 'BANK_SIGNATURE_REJECTED');
+        throw new UnrecoverableError(`Bank signature rejected: ${error.message}`);
+      }
 
-      const txOverrides = {
-        maxFeePerGas: feeData.maxFeePerGas,
-        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
-      };
+      // --- Dynamic Gas Price Management (EIP-1559, per chain gas strategy) ---
+      const fees = await chainRegistry.getFees(request.chainId);
+      log.info(`Current fee data on chain ${request.chainId}: maxFeePerGas=${ethers.formatUnits(fees.maxFeePerGas, "gwei")} gwei, maxPriorityFeePerGas=${ethers.formatUnits(fees.maxPriorityFeePerGas, "gwei")} gwei`);
 
-      console.log(`[WORKER] Broadcasting ERC20 transfer for request ${request.requestId} with dynamic gas.`);
-      const txResponse = await tokenContract.transfer(
-        request.destinationAddress,
-        tokenAmount,
-        txOverrides
+      const txRequest = await safeMultiSigService.populateExecTransaction(
+        coSigned.safe,
+        payload.safeTx,
+        coSigned.signatures
       );
 
-      await prisma.withdrawalRequest.update({
-        where: { id: dbId },
-        data: {
-          status: 'BROADCASTED',
-          txHash: txResponse.hash,
-          history: { create: { status: 'BROADCASTED' } },
-        },
-      });
-      console.log(`[WORKER] Transaction broadcasted for ${request.requestId}. TxHash: ${txResponse.hash}`);
+      // --- Pre-flight Checks ---
+      // Balances, fee ceiling and a simulation of the exact call, before anything is
+      // signed. A failing check would fail the same way on every retry.
+      const preflight = await preflightService.checkWithdrawal(request, serviceWallet, txRequest, fees, tokenAmount);
+      if (!preflight.ok) {
+        await setErrorCode(dbId, preflight.errorCode);
+        throw new UnrecoverableError(`Pre-flight check failed: ${preflight.reason}`);
+      }
 
-      await txResponse.wait(1); // Wait for 1 confirmation
+      log.info(`Submitting co-signed execTransaction on treasury ${request.treasuryContractAddress} for request ${request.requestId} with dynamic gas.`);
+      const txHash = await txMonitorService.broadcast(request, serviceWallet, { ...txRequest, gasLimit: preflight.gasLimit }, fees);
+      logger.addContext({ txHash });
+      log.info(`Transaction broadcasted for ${request.requestId}. TxHash: ${txHash}`);
+
+      // Wait for 1 confirmation, but never indefinitely: if the transaction is
+      // still pending, the transaction monitor completes or replaces it.
+      let receipt;
+      try {
+        receipt = await provider.waitForTransaction(txHash, 1, CONFIRMATION_TIMEOUT_MS);
+      } catch (error) {
+        if (error.code !== 'TIMEOUT') throw error;
+        log.warn(`Transaction ${txHash} for ${request.requestId} not mined within ${CONFIRMATION_TIMEOUT_MS}ms. Handing over to the transaction monitor.`);
+        return;
+      }
 
-      await prisma.withdrawalRequest.update({
-        where: { id: dbId },
-        data: { status: 'COMPLETED', history: { create: { status: 'COMPLETED' } } },
-      });
-      console.log(`[WORKER] Transaction confirmed for ${request.requestId}.`);
+      await txMonitorService.markMined(request, txHash, receipt);
+      log.info(`Transaction mined for ${request.requestId}.`);
     } catch (error) {
-      console.error(`[WORKER-ERROR] Attempt #${job.attemptsMade + 1} failed for job ${job.id} (${request.requestId}):`, error.message);
+      log.error(`Attempt #${job.attemptsMade + 1} failed for job ${job.id} (${request.requestId}).`, { error: error.message });
       // Re-throw the error to trigger BullMQ's retry mechanism.
       throw error;
     }
-  },
-  {
-    connection,
-    // --- Retry Logic Configuration ---
-    attempts: 5, // Try a job up to 5 times
-    backoff: {
-      type: 'exponential', // Use exponential backoff
-      delay: 10000, // Start with a 10-second delay (10s, 20s, 40s, 80s)
-    },
-  }
+  }),
+  { connection } // Retries and backoff are job options, set on the queue by the withdrawal manager
 );
 
+/**
+ * Records why a withdrawal cannot succeed. The failed listener sets the status and message.
+ */
+async function setErrorCode(dbId, errorCode) {
+  await prisma.withdrawalRequest.update({ where: { id: dbId }, data: { errorCode } });
+}
+
 // --- Worker for the Raw Transaction Relay Model ---
 
 const rawTxBroadcastWorker = new Worker(
   'raw-tx-broadcasting',
-  async (job) => {
+  processor(async (job) => {
     const { dbId } = job.data;
-    console.log(`[RAW-TX-WORKER] Processing job ${job.id} for DB request ${dbId}`);
+    rawTxWorkerLog.info(`Processing job ${job.id} for DB request ${dbId}`);
 
     const request = await prisma.rawTransactionBroadcast.findUnique({ where: { id: dbId } });
+    logger.addContext({ broadcastId: dbId, txHash: request?.txHash });
 
-    if (!request || request.status !== 'PENDING') {
-      console.log(`[RAW-TX-WORKER] Skipping job ${job.id}, request not found or not in pending state.`);
+    // BROADCASTED requests are picked up again by retries, to wait for their confirmation.
+    if (!request || !['PENDING', 'BROADCASTED'].includes(request.status)) {
+      rawTxWorkerLog.info(`Skipping job ${job.id}, request not found or already final.`);
       return;
     }
 
-    const network = process.env.ETHEREUM_NETWORK || 'sepolia';
-    const rpcUrl = network === 'mainnet' ? process.env.MAINNET_RPC_URL : process.env.SEPOLIA_RPC_URL;
-    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const provider = chainRegistry.getProvider(request.chainId);
 
-    try {
-      console.log(`[RAW-TX-WORKER] Broadcasting raw transaction for request ${request.id}`);
-      const txResponse = await provider.broadcastTransaction(request.rawTx);
+    // The hash is derived from the signed bytes, so it is known (and persisted) before broadcasting.
+    let { txHash } = request;
+    if (!txHash) {
+      try {
+        txHash = ethers.Transaction.from(request.rawTx).hash;
+        logger.addContext({ txHash });
+      } catch (error) {
+        throw new UnrecoverableError(`Invalid raw transaction: ${error.message}`);
+      }
+      try {
+        await prisma.rawTransactionBroadcast.update({ where: { id: dbId }, data: { txHash } });
+      } catch (error) {
+        if (error.code === 'P2002') throw new UnrecoverableError(`Transaction ${txHash} was already submitted for broadcasting.`);
+        throw error;
+      }
+    }
 
-      await prisma.rawTransactionBroadcast.update({
-        where: { id: dbId },
-        data: { status: 'BROADCASTED', txHash: txResponse.hash },
-      });
-      console.log(`[RAW-TX-WORKER] Transaction broadcasted for ${request.id}. TxHash: ${txResponse.hash}`);
+    try {
+      // Reconcile with the chain before (re)broadcasting. Rebroadcasting the same
+      // bytes can never produce a second transfer: they always have the same hash.
+      let receipt = await provider.getTransactionReceipt(txHash);
+      if (!receipt) {
+        if (!(await provider.getTransaction(txHash))) {
+          rawTxWorkerLog.info(`Broadcasting raw transaction for request ${request.id}`);
+          try {
+            await txMonitorService.broadcastSigned(provider, request.rawTx);
+          } catch (error) {
+            if (error.code !== 'NONCE_EXPIRED') throw error;
+            // Either it was mined in the meantime, or the sender replaced it.
+            if (!(await provider.getTransactionReceipt(txHash))) {
+              throw new UnrecoverableError('The sender nonce was already used by a different transaction.');
+            }
+          }
+        }
+
+        await updateBroadcastStatus(dbId, 'PENDING', { status: 'BROADCASTED' });
+        rawTxWorkerLog.info(`Transaction broadcasted for ${request.id}. TxHash: ${txHash}`);
+
+        // A timeout fails this attempt; the retry reconciles again without double-sending.
+        receipt = await provider.waitForTransaction(txHash, 1, CONFIRMATION_TIMEOUT_MS);
+      }
 
-      await txResponse.wait(1);
+      if (receipt.status !== 1) {
+        throw new UnrecoverableError(`Transaction ${txHash} reverted on-chain.`);
+      }
 
-      await prisma.rawTransactionBroadcast.update({
-        where: { id: dbId },
-        data: { status: 'CONFIRMED' },
+      // The finality watcher moves it to CONFIRMED at the required depth.
+      const requiredConfirmations = chainRegistry.getRequiredConfirmations(request.chainId, ethers.Transaction.from(request.rawTx).to);
+      const confirmations = await receipt.confirmations();
+      await updateBroadcastStatus(dbId, ['PENDING', 'BROADCASTED'], {
+        status: confirmations >= requiredConfirmations ? 'CONFIRMED' : 'CONFIRMING',
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        confirmations,
+        requiredConfirmations,
       });
-      console.log(`[RAW-TX-WORKER] Transaction confirmed for ${request.id}.`);
+      rawTxWorkerLog.info(`Transaction mined for ${request.id} (${confirmations}/${requiredConfirmations} confirmations).`);
     } catch (error) {
-      console.error(`[RAW-TX-WORKER-ERROR] Attempt #${job.attemptsMade + 1} failed for job ${job.id} (${request.id}):`, error.message);
+      rawTxWorkerLog.error(`Attempt #${job.attemptsMade + 1} failed for job ${job.id} (${request.id}).`, { error: error.message });
       throw error;
     }
-  },
-  {
-    connection,
-    attempts: 3, // Fewer retries for raw tx as failure is more likely due to invalid user input
-    backoff: { type: 'exponential', delay: 5000 },
+  }),
+  { connection } // Retries and backoff are job options, set on the queue by the withdrawal manager
+);
+
+/**
+ * Applies a raw broadcast status change only if the record is still in one of the
+ * expected statuses, and notifies the client's webhook when it does.
+ */
+async function updateBroadcastStatus(dbId, fromStatus, data) {
+  const before = await prisma.rawTransactionBroadcast.findUnique({ where: { id: dbId } });
+  const { status, ...fields } = data;
+  const updated = await broadcastStateMachine.transition(prisma, dbId, fromStatus, status, fields);
+  if (updated) {
+    await auditService.recordChange('RAW_BROADCAST', before, updated);
+    if (updated.status === 'CONFIRMED') {
+      metrics.observeConfirmation('raw_broadcast', updated.chainId, updated.createdAt);
+    }
+    await webhookService.notifyBroadcastStatusChange(updated);
   }
+}
+
+// --- Worker for Outbound Webhook Deliveries ---
+
+const webhookDeliveryWorker = new Worker(
+  'webhook-delivery',
+  processor(async (job) => {
+    const { deliveryId } = job.data;
+    logger.addContext({ deliveryId });
+    try {
+      await webhookService.deliver(deliveryId);
+      webhookWorkerLog.info(`Delivery ${deliveryId} succeeded (Attempt #${job.attemptsMade + 1}).`);
+    } catch (error) {
+      webhookWorkerLog.error(`Attempt #${job.attemptsMade + 1} failed for delivery ${deliveryId}.`, { error: error.message });
+      throw error;
+    }
+  }),
+  { connection, concurrency: 10 } // Retries and backoff are set per job by the webhook service
+);
+
+// --- Worker for Pending Transaction Monitoring (stuck detection, speed-up, cancel) ---
+
+const txMonitorWorker = new Worker(
+  'tx-monitoring',
+  processor(async (job) => {
+    switch (job.name) {
+      case 'check-broadcasted':
+        await txMonitorService.checkBroadcasted();
+        break;
+      case 'speed-up':
+        await txMonitorService.replaceByOperator(job.data.dbId, 'SPEED_UP');
+        break;
+      case 'cancel':
+        await txMonitorService.replaceByOperator(job.data.dbId, 'CANCEL');
+        break;
+      default:
+        txMonitorLog.warn(`Unknown job name '${job.name}'.`);
+    }
+  }),
+  { connection, concurrency: 1 } // Replacements for one wallet must not interleave
+);
+
+async function scheduleTxMonitoring() {
+  const txMonitorQueue = new Queue('tx-monitoring', { connection });
+  await txMonitorQueue.add('check-broadcasted', {}, {
+    repeat: { every: TX_MONITOR_INTERVAL_MS },
+    jobId: 'check-broadcasted',
+    removeOnComplete: true,
+    removeOnFail: 100,
+  });
+  await txMonitorQueue.close();
+}
+
+// --- Worker for Batched Payouts (see services/batch_payout_service.js) ---
+
+const batchWorker = new Worker(
+  'withdrawal-batching',
+  processor(async (job) => {
+    switch (job.name) {
+      case 'collect-batches':
+        await batchPayoutService.collect();
+        break;
+      case 'process-batch':
+        logger.addContext({ batchId: job.data.batchId });
+        batchLog.info(`Processing job ${job.id} (Attempt #${job.attemptsMade + 1}) for batch ${job.data.batchId}`);
+        await batchPayoutService.processBatch(job.data.batchId);
+        break;
+      default:
+        batchLog.warn(`Unknown job name '${job.name}'.`);
+    }
+  }),
+  { connection, concurrency: 1 } // Batches on the same treasury must run in Safe nonce order
 );
 
+async function scheduleBatchCollection() {
+  const batchQueue = new Queue('withdrawal-batching', { connection });
+  await batchQueue.add('collect-batches', {}, {
+    repeat: { every: BATCH_COLLECT_INTERVAL_MS },
+    jobId: 'collect-batches',
+    attempts: 1,
+    removeOnComplete: true,
+    removeOnFail: 100,
+  });
+  await batchQueue.close();
+}
+
+// --- Worker for Treasury Reconciliation (see services/reconciliation_service.js) ---
+
+const reconciliationWorker = new Worker(
+  'reconciliation',
+  processor(async (job) => {
+    switch (job.name) {
+      case 'reconcile-scheduled':
+        await reconciliationService.runScheduled();
+        break;
+      case 'run-report':
+        logger.addContext({ reportId: job.data.reportId });
+        reconciliationLog.info(`Running report ${job.data.reportId} (Attempt #${job.attemptsMade + 1})`);
+        await reconciliationService.runReport(job.data.reportId);
+        break;
+      default:
+        reconciliationLog.warn(`Unknown job name '${job.name}'.`);
+    }
+  }),
+  { connection, concurrency: 1 } // Log scans are heavy on the RPC endpoints
+);
+
+async function scheduleReconciliation() {
+  const reconciliationQueue = new Queue('reconciliation', { connection });
+  await reconciliationQueue.add('reconcile-scheduled', {}, {
+    repeat: { every: RECONCILIATION_INTERVAL_MS },
+    jobId: 'reconcile-scheduled',
+    attempts: 1,
+    removeOnComplete: true,
+    removeOnFail: 100,
+  });
+  await reconciliationQueue.close();
+}
+
+/**
+ * BullMQ emits 'failed' for every failed attempt. Returns true only when the job
+ * will not be retried again.
+ */
+function isFinalAttempt(job, err) {
+  return err instanceof UnrecoverableError || job.attemptsMade >= (job.opts.attempts || 1);
+}
+
+const workers = [multiSigWorker, rawTxBroadcastWorker, webhookDeliveryWorker, txMonitorWorker, batchWorker, reconciliationWorker];
+
+// Kept open for the queue depth metrics.
+const monitoredQueues = workers.map((worker) => new Queue(worker.name, { connection }));
+
 function setupEventListeners() {
+  for (const worker of workers) {
+    worker.on('failed', (job, err) => {
+      if (job) metrics.recordJobFailure(job, isFinalAttempt(job, err));
+    });
+  }
+
   multiSigWorker.on('completed', (job) => {
-    console.log(`[WORKER-SUCCESS] Multi-sig job ${job.id} has completed!`);
+    log.info(`Multi-sig job ${job.id} has completed!`);
   });
 
-  multiSigWorker.on('failed', async (job, err) => {
-    console.error(`[WORKER-FATAL] Multi-sig job ${job.id} has failed after ${job.attemptsMade + 1} attempts with error: ${err.message}`);
+  multiSigWorker.on('failed', failedListener(async (job, err) => {
+    if (job.name !== 'process-withdrawal') {
+      log.error(`Job ${job.name} (${job.id}) failed: ${err.message}`);
+      return;
+    }
+    if (!isFinalAttempt(job, err)) {
+      log.warn(`Multi-sig job ${job.id} failed attempt #${job.attemptsMade} and will be retried: ${err.message}`);
+      return;
+    }
+    log.error(`Multi-sig job ${job.id} has failed after ${job.attemptsMade} attempts with error: ${err.message}`);
     const { dbId } = job.data;
-    await prisma.withdrawalRequest.update({
+    const request = await prisma.withdrawalRequest.findUnique({
       where: { id: dbId },
-      data: { status: 'FAILED', errorMessage: err.message, history: { create: { status: 'FAILED' } } },
+      include: { transactions: { orderBy: { createdAt: 'asc' } } },
     });
+
+    if (!request) {
+      log.error(`Request ${dbId} of failed job ${job.id} no longer exists.`);
+    } else if (request.transactions.length > 0 && !(err instanceof UnrecoverableError)) {
+      // A signed transaction exists and may be on-chain. Marking the request FAILED
+      // could lead to a second payout, so the transaction monitor reconciles it instead.
+      const latest = request.transactions[request.transactions.length - 1];
+      await txMonitorService.markBroadcasted(request, latest.txHash);
+      log.warn(`Request ${request.requestId} has a signed transaction (${latest.txHash}); handed over to the transaction monitor.`);
+    } else {
+      const failed = await withdrawalStateMachine.transition(prisma, dbId, ['PENDING_SIGNATURE', 'PROCESSING', 'BROADCASTED'], 'FAILED', {
+        errorMessage: err.message,
+      });
+      if (!failed) {
+        log.warn(`Request ${request.requestId} left ${request.status} before it could be marked FAILED.`);
+        return;
+      }
+      await auditService.recordChange('WITHDRAWAL_REQUEST', request, failed, {
+        details: { error: err.message, attempts: job.attemptsMade },
+      });
+      await webhookService.notifyWithdrawalStatusChange(failed);
+      if (failed.nonce !== null && request.transactions.length === 0) {
+        // The reserved nonce was never used on-chain; hand it back to avoid a gap.
+        const released = await nonceManager.release(await signerService.getSigner(failed.signerId, failed.chainId), failed.nonce);
+        if (released) {
+          await prisma.withdrawalRequest.update({ where: { id: dbId }, data: { nonce: null } });
+          await auditService.recordChange('WITHDRAWAL_REQUEST', failed, { ...failed, nonce: null }, {
+            action: 'NONCE_RELEASED',
+            details: { nonce: failed.nonce, signerId: failed.signerId },
+          });
+        } else {
+          // Later nonces are in use, so this one stays on the request: a requeue sends with it
+          // and fills the gap. Until then, the signer's later transactions cannot be mined.
+          await alertingService.sendAlert('Withdrawal Nonce Gap', {
+            databaseId: dbId, chainId: failed.chainId, signerId: failed.signerId, nonce: failed.nonce,
+            action: 'Requeue the request, or fill the nonce with a 0-value self-transfer.',
+          }, { severity: 'critical', dedupKey: `nonce-gap:${failed.chainId}:${failed.signerId}:${failed.nonce}` });
+        }
+      }
+      // Kept for operators to retry, requeue, force-fail or resolve (see api/dead_letter_routes.js).
+      await deadLetterService.record(job, err, failed);
+    }
+
     await alertingService.sendAlert('Multi-Sig Withdrawal Job Failed', {
-      jobId: job.id, databaseId: dbId, attempts: job.attemptsMade + 1, error: err.message,
-    });
-  });
+      jobId: job.id, databaseId: dbId, chainId: request?.chainId, attempts: job.attemptsMade, error: err.message,
+    }, { severity: 'critical', dedupKey: `withdrawal-failed:${dbId}` });
+  }));
 
   rawTxBroadcastWorker.on('completed', (job) => {
-    console.log(`[RAW-TX-WORKER-SUCCESS] Raw TX job ${job.id} has completed!`);
+    rawTxWorkerLog.info(`Raw TX job ${job.id} has completed!`);
   });
 
-  rawTxBroadcastWorker.on('failed', async (job, err) => {
-    console.error(`[RAW-TX-WORKER-FATAL] Raw TX job ${job.id} has failed after ${job.attemptsMade + 1} attempts with error: ${err.message}`);
+  rawTxBroadcastWorker.on('failed', failedListener(async (job, err) => {
+    if (!isFinalAttempt(job, err)) {
+      rawTxWorkerLog.warn(`Raw TX job ${job.id} failed attempt #${job.attemptsMade} and will be retried: ${err.message}`);
+      return;
+    }
+    rawTxWorkerLog.error(`Raw TX job ${job.id} has failed after ${job.attemptsMade} attempts with error: ${err.message}`);
     const { dbId } = job.data;
-    await prisma.rawTransactionBroadcast.update({
-      where: { id: dbId },
-      data: { status: 'FAILED', errorMessage: err.message },
+    const before = await prisma.rawTransactionBroadcast.findUnique({ where: { id: dbId } });
+    const failed = await broadcastStateMachine.transition(prisma, dbId, ['PENDING', 'BROADCASTED'], 'FAILED', { errorMessage: err.message });
+    if (!failed) {
+      rawTxWorkerLog.warn(`Broadcast ${dbId} left ${before.status} before it could be marked FAILED.`);
+      return;
+    }
+    await auditService.recordChange('RAW_BROADCAST', before, failed, {
+      details: { error: err.message, attempts: job.attemptsMade },
     });
+    await webhookService.notifyBroadcastStatusChange(failed);
     await alertingService.sendAlert('Raw Transaction Broadcast Job Failed', {
-      jobId: job.id, databaseId: dbId, attempts: job.attemptsMade + 1, error: err.message,
-    });
+      jobId: job.id, databaseId: dbId, chainId: failed.chainId, attempts: job.attemptsMade, error: err.message,
+    }, { severity: 'warning', dedupKey: `raw-tx-failed:${dbId}` });
+  }));
+
+  batchWorker.on('failed', failedListener(async (job, err) => {
+    if (job.name !== 'process-batch') {
+      batchLog.error(`Job ${job.name} (${job.id}) failed: ${err.message}`);
+      return;
+    }
+    if (!isFinalAttempt(job, err)) {
+      batchLog.warn(`Batch job ${job.id} failed attempt #${job.attemptsMade} and will be retried: ${err.message}`);
+      return;
+    }
+    batchLog.error(`Batch job ${job.id} has failed after ${job.attemptsMade} attempts with error: ${err.message}`);
+    const failed = await batchPayoutService.handleFinalFailure(job.data.batchId, err, err instanceof UnrecoverableError);
+    // Kept for operators to requeue, force-fail or resolve one by one (see api/dead_letter_routes.js).
+    for (const request of failed) {
+      await deadLetterService.record(job, err, request);
+    }
+  }));
+
+  reconciliationWorker.on('failed', failedListener(async (job, err) => {
+    if (job.name !== 'run-report') {
+      reconciliationLog.error(`Job ${job.name} (${job.id}) failed: ${err.message}`);
+      return;
+    }
+    if (!isFinalAttempt(job, err)) {
+      reconciliationLog.warn(`Report job ${job.id} failed attempt #${job.attemptsMade} and will be retried: ${err.message}`);
+      return;
+    }
+    await reconciliationService.markError(job.data.reportId, err);
+  }));
+
+  txMonitorWorker.on('failed', (job, err) => {
+    txMonitorLog.error(`Job ${job.name} (${job.id}) failed: ${err.message}`);
+  });
+
+  webhookDeliveryWorker.on('failed', async (job, err) => {
+    // Only mark the delivery as failed once all retries are exhausted.
+    if (!isFinalAttempt(job, err)) return;
+    webhookWorkerLog.error(`Delivery ${job.data.deliveryId} has failed after ${job.attemptsMade} attempts with error: ${err.message}`);
+    await webhookService.markFailed(job.data.deliveryId, err.message);
   });
 
-  console.log('All workers started and listening for jobs...');
+  log.info('All workers started and listening for jobs...');
 }
 
 async function gracefulShutdown(signal) {
-  console.log(`\nReceived ${signal}. Shutting down gracefully...`);
-  await multiSigWorker.close();
-  await rawTxBroadcastWorker.close();
+  log.info(`Received ${signal}. Shutting down gracefully...`);
+  metricsServer.close();
+  for (const worker of workers) {
+    await worker.close();
+  }
+  for (const queue of monitoredQueues) {
+    await queue.close();
+  }
   await prisma.$disconnect();
-  console.log('All connections closed. Exiting.');
+  chainRegistry.destroy();
+  log.info('All connections closed. Exiting.');
   process.exit(0);
 }
 
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 
-setupEventListeners();
\ No newline at end of file
+setupEventListeners();
+metrics.trackQueues(monitoredQueues);
+const metricsServer = metrics.startServer(WORKER_METRICS_PORT);
+scheduleTxMonitoring().catch((error) => txMonitorLog.error('Failed to schedule monitoring.', { error: error.message }));
+scheduleBatchCollection().catch((error) => batchLog.error('Failed to schedule batch collection.', { error: error.message }));
+scheduleReconciliation().catch((error) => reconciliationLog.error('Failed to schedule reconciliation.', { error: error.message }));
\ No newline at end of file